@@ -0,0 +1,30 @@
+/**
+ * @fileoverview Utility for decoding HTML entities in strings.
+ * @author Nicholas C. Zakas
+ */
+
+//-----------------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------------
+
+/**
+ * Decodes HTML entities in a string using text-based replacement.
+ * Handles common named and numeric entities.
+ * @param {string} value
+ * @returns {string}
+ */
+export function decodeHtmlEntities(value) {
+	if (!value || typeof value !== "string") {
+		return value;
+	}
+	return value
+		.replace(/&amp;/g, "&")
+		.replace(/&lt;/g, "<")
+		.replace(/&gt;/g, ">")
+		.replace(/&quot;/g, '"')
+		.replace(/&#39;|&apos;/g, "'")
+		.replace(/&#(x?)([0-9a-fA-F]+);/g, (m, hex, code) => {
+			const n = hex ? parseInt(code, 16) : parseInt(code, 10);
+			return String.fromCodePoint(n);
+		});
+}
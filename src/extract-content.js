@@ -0,0 +1,690 @@
+/**
+ * @fileoverview Extracts the main content of a page from a DOM Document.
+ * @author Nicholas C. Zakas
+ */
+
+//-----------------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------------
+
+import { resolveUrl } from "./resolve-url.js";
+import { WebpageImage } from "./webpage-image.js";
+
+//-----------------------------------------------------------------------------
+// Types
+//-----------------------------------------------------------------------------
+
+/**
+ * The main content of a page.
+ * @typedef {Object} MainContent
+ * @property {string} selector A CSS selector for the element identified as the main content.
+ * @property {string} html The cleaned HTML of the main content.
+ * @property {string} text The plain text of the main content, with blank lines between blocks.
+ * @property {number} wordCount The number of words in the text.
+ * @property {number} readingTime The estimated reading time in minutes.
+ * @property {WebpageImage|undefined} leadImage The first sizable image in the main content.
+ */
+
+//-----------------------------------------------------------------------------
+// Data
+//-----------------------------------------------------------------------------
+
+/**
+ * The average reading speed used to estimate reading time.
+ */
+const WORDS_PER_MINUTE = 200;
+
+/**
+ * Elements that are never part of the main content.
+ */
+const REMOVED_SELECTOR = [
+	"script",
+	"style",
+	"noscript",
+	"template",
+	"iframe",
+	"object",
+	"embed",
+	"form",
+	"button",
+	"input",
+	"select",
+	"textarea",
+	"nav",
+	"aside",
+	"footer",
+	"svg",
+	"canvas",
+	"dialog",
+	"[hidden]",
+	"[aria-hidden='true']",
+	"[role='navigation']",
+	"[role='complementary']",
+	"[role='contentinfo']",
+	"[role='dialog']",
+].join(", ");
+
+/**
+ * Matches class names and IDs of elements that are unlikely to be content.
+ */
+const UNLIKELY_PATTERN =
+	/-ad-|\bads?\b|advert|banner|breadcrumb|combx|comment|community|cookie|disqus|gdpr|menu|modal|newsletter|popup|promo|related|remark|replies|share|shoutbox|sidebar|skyscraper|social|sponsor|subscribe|toolbar|widget/i;
+
+/**
+ * Matches class names and IDs of elements that are likely to be content.
+ */
+const POSITIVE_PATTERN =
+	/article|blog|body|content|entry|h-entry|hentry|main|page|post|story|text/i;
+
+/**
+ * Matches class names and IDs of elements that are likely not content.
+ */
+const NEGATIVE_PATTERN =
+	/-ad-|\bads?\b|banner|byline|combx|comment|contact|foot|masthead|meta|outbrain|promo|related|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget/i;
+
+/**
+ * The starting score of a content candidate by tag name.
+ * @type {Map<string, number>}
+ */
+const TAG_SCORES = new Map([
+	["ARTICLE", 10],
+	["MAIN", 5],
+	["SECTION", 5],
+	["DIV", 5],
+	["PRE", 3],
+	["TD", 3],
+	["BLOCKQUOTE", 3],
+	["ADDRESS", -3],
+	["OL", -3],
+	["UL", -3],
+	["DL", -3],
+	["DD", -3],
+	["DT", -3],
+	["LI", -3],
+	["H1", -5],
+	["H2", -5],
+	["H3", -5],
+	["H4", -5],
+	["H5", -5],
+	["H6", -5],
+	["TH", -5],
+]);
+
+/**
+ * Elements whose text is separated from the text around them by a blank line.
+ */
+const BLOCK_TAGS = new Set([
+	"ADDRESS",
+	"ARTICLE",
+	"BLOCKQUOTE",
+	"DD",
+	"DIV",
+	"DL",
+	"DT",
+	"FIGCAPTION",
+	"FIGURE",
+	"H1",
+	"H2",
+	"H3",
+	"H4",
+	"H5",
+	"H6",
+	"HEADER",
+	"HR",
+	"LI",
+	"MAIN",
+	"OL",
+	"P",
+	"PRE",
+	"SECTION",
+	"TABLE",
+	"TR",
+	"UL",
+]);
+
+/**
+ * Block elements that make a <div> a container rather than a paragraph.
+ */
+const CONTAINER_SELECTOR =
+	"address, article, blockquote, div, dl, figure, h1, h2, h3, h4, h5, h6, ol, p, pre, section, table, ul";
+
+/**
+ * Attributes kept in the cleaned HTML. All others, such as class, style, and
+ * event handlers, are removed.
+ */
+const KEPT_ATTRIBUTES = new Set([
+	"alt",
+	"cite",
+	"colspan",
+	"datetime",
+	"height",
+	"href",
+	"rowspan",
+	"src",
+	"srcset",
+	"title",
+	"width",
+]);
+
+/**
+ * URL schemes that run script and are removed from href, src, and srcset.
+ */
+const SCRIPT_SCHEMES = new Set(["javascript", "vbscript"]);
+
+/**
+ * The minimum width and height in pixels of a lead image.
+ */
+const MIN_LEAD_IMAGE_SIZE = 50;
+
+/**
+ * Matches a word. Han, Hiragana, and Katakana characters count as one word each.
+ */
+const WORD_PATTERN =
+	/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]|[\p{L}\p{N}]+(?:['’.-][\p{L}\p{N}]+)*/gu;
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+/**
+ * Returns the text of an element with whitespace collapsed.
+ * @param {any} elem The element.
+ * @returns {string} The text.
+ */
+function getInnerText(elem) {
+	return (elem.textContent ?? "").replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Returns the class names and ID of an element as a single string.
+ * @param {any} elem The element.
+ * @returns {string} The class names and ID.
+ */
+function getClassAndId(elem) {
+	return `${elem.getAttribute("class") ?? ""} ${elem.id ?? ""}`;
+}
+
+/**
+ * Returns the weight of an element based on its class names and ID.
+ * @param {any} elem The element.
+ * @returns {number} The weight.
+ */
+function getClassWeight(elem) {
+	let weight = 0;
+
+	for (const value of [elem.getAttribute("class") ?? "", elem.id ?? ""]) {
+		if (NEGATIVE_PATTERN.test(value)) {
+			weight -= 25;
+		}
+
+		if (POSITIVE_PATTERN.test(value)) {
+			weight += 25;
+		}
+	}
+
+	return weight;
+}
+
+/**
+ * Returns the share of an element's text that is inside links.
+ * @param {any} elem The element.
+ * @returns {number} The link density from 0 to 1.
+ */
+function getLinkDensity(elem) {
+	const length = getInnerText(elem).length;
+
+	if (!length) {
+		return 0;
+	}
+
+	let linkLength = 0;
+
+	for (const link of elem.querySelectorAll("a")) {
+		linkLength += getInnerText(link).length;
+	}
+
+	return Math.min(linkLength / length, 1);
+}
+
+/**
+ * Maps each element in a cloned tree to the element it was cloned from.
+ * @param {any} original The original element.
+ * @param {any} clone The cloned element.
+ * @param {Map<any, any>} map The map to add to.
+ * @returns {void}
+ */
+function mapClones(original, clone, map) {
+	map.set(clone, original);
+
+	for (let i = 0; i < clone.children.length; i++) {
+		mapClones(original.children[i], clone.children[i], map);
+	}
+}
+
+/**
+ * Removes elements that are never or are unlikely to be part of the main content.
+ * @param {any} root The root element, which is never removed.
+ * @returns {void}
+ */
+function removeUnlikelyElements(root) {
+	for (const elem of root.querySelectorAll(REMOVED_SELECTOR)) {
+		elem.remove();
+	}
+
+	// Page headers are removed, but headers inside articles hold titles and bylines
+	for (const elem of root.querySelectorAll("header")) {
+		if (!elem.parentElement?.closest("article, main")) {
+			elem.remove();
+		}
+	}
+
+	for (const elem of root.querySelectorAll("*")) {
+		const classAndId = getClassAndId(elem);
+
+		if (
+			UNLIKELY_PATTERN.test(classAndId) &&
+			!POSITIVE_PATTERN.test(classAndId) &&
+			!elem.matches("article, main, [itemprop~='articleBody']") &&
+			!elem.closest("[itemprop~='articleBody']")
+		) {
+			elem.remove();
+		}
+	}
+}
+
+/**
+ * Scores the ancestors of paragraphs by the amount of text they contain and
+ * returns the best candidate for the main content.
+ * @param {any} root The root element.
+ * @returns {{ elem: any, scores: Map<any, number> }|undefined} The best candidate and all scores, or undefined if there is no candidate.
+ */
+function findTopCandidate(root) {
+	/** @type {Map<any, number>} */
+	const scores = new Map();
+	const paragraphs = [
+		...root.querySelectorAll("p, pre, td, blockquote, div"),
+	].filter(
+		elem =>
+			elem.tagName !== "DIV" || !elem.querySelector(CONTAINER_SELECTOR),
+	);
+
+	for (const paragraph of paragraphs) {
+		const text = getInnerText(paragraph);
+
+		if (text.length < 25) {
+			continue;
+		}
+
+		const score =
+			1 +
+			text.split(",").length +
+			Math.min(Math.floor(text.length / 100), 3);
+		let ancestor = paragraph.parentElement;
+
+		for (let level = 0; ancestor && level < 3; level++) {
+			if (!scores.has(ancestor)) {
+				scores.set(
+					ancestor,
+					(TAG_SCORES.get(ancestor.tagName) ?? 0) +
+						getClassWeight(ancestor),
+				);
+			}
+
+			const divider = level === 0 ? 1 : level === 1 ? 2 : level * 3;
+			scores.set(ancestor, (scores.get(ancestor) ?? 0) + score / divider);
+
+			if (ancestor === root) {
+				break;
+			}
+
+			ancestor = ancestor.parentElement;
+		}
+	}
+
+	let top;
+	let topScore = -Infinity;
+
+	for (const [elem, score] of scores) {
+		const adjusted = score * (1 - getLinkDensity(elem));
+		scores.set(elem, adjusted);
+
+		if (adjusted > topScore) {
+			top = elem;
+			topScore = adjusted;
+		}
+	}
+
+	return top ? { elem: top, scores } : undefined;
+}
+
+/**
+ * Returns the siblings of the top candidate that are likely part of the same
+ * content, such as paragraphs split across several containers.
+ * @param {any} top The top candidate.
+ * @param {Map<any, number>} scores The candidate scores.
+ * @returns {any[]} The top candidate and related siblings in document order.
+ */
+function getContentElements(top, scores) {
+	if (!top.parentElement) {
+		return [top];
+	}
+
+	const threshold = Math.max(10, (scores.get(top) ?? 0) * 0.2);
+
+	return [...top.parentElement.children].filter(sibling => {
+		if (sibling === top) {
+			return true;
+		}
+
+		if ((scores.get(sibling) ?? -Infinity) >= threshold) {
+			return true;
+		}
+
+		const text = getInnerText(sibling);
+
+		return (
+			sibling.tagName === "P" &&
+			text.length > 80 &&
+			getLinkDensity(sibling) < 0.25
+		);
+	});
+}
+
+/**
+ * Removes containers inside the content that are mostly links or have
+ * negative class names, and paragraphs without text or media.
+ * @param {any} content The content element.
+ * @returns {void}
+ */
+function cleanContent(content) {
+	const containers = [
+		...content.querySelectorAll("div, section, ul, ol, table"),
+	].reverse();
+
+	for (const elem of containers) {
+		const text = getInnerText(elem);
+
+		if (text.split(",").length > 10) {
+			continue;
+		}
+
+		if (getClassWeight(elem) < 0 || getLinkDensity(elem) > 0.5) {
+			elem.remove();
+		}
+	}
+
+	for (const elem of content.querySelectorAll("p")) {
+		if (
+			!getInnerText(elem) &&
+			!elem.querySelector("img, picture, video, audio")
+		) {
+			elem.remove();
+		}
+	}
+
+	// Lazy-loaded images often keep the real URL in data-src
+	for (const img of content.querySelectorAll("img[data-src]:not([src])")) {
+		img.setAttribute("src", img.getAttribute("data-src"));
+	}
+}
+
+/**
+ * Returns the scheme of a URL. The URL parser ignores whitespace and control
+ * characters the way browsers do, so "java\tscript:" is seen as "javascript".
+ * @param {string} url The URL.
+ * @returns {string|undefined} The lowercase scheme, or undefined if the URL is relative.
+ */
+function getScheme(url) {
+	return URL.canParse(url) ? new URL(url).protocol.slice(0, -1) : undefined;
+}
+
+/**
+ * Resolves each candidate URL of a srcset attribute, dropping candidates with
+ * script URLs. A URL that ends with commas has no descriptors.
+ * @param {string} srcset The srcset value.
+ * @param {string|undefined} baseUrl The base URL used to resolve URLs.
+ * @returns {string} The srcset value with resolved URLs.
+ */
+function resolveSrcset(srcset, baseUrl) {
+	/** @type {string[]} */
+	const candidates = [];
+	let rest = srcset.replace(/^[\s,]+/, "");
+
+	while (rest) {
+		const [token] = /^\S+/.exec(rest) ?? [""];
+		const url = token.replace(/,+$/, "");
+		let descriptor = "";
+
+		rest = rest.slice(token.length);
+
+		if (url === token) {
+			const end = rest.indexOf(",");
+			descriptor = (end === -1 ? rest : rest.slice(0, end)).trim();
+			rest = end === -1 ? "" : rest.slice(end + 1);
+		}
+
+		if (!SCRIPT_SCHEMES.has(getScheme(url) ?? "")) {
+			const resolved = resolveUrl(url, baseUrl);
+			candidates.push(
+				descriptor ? `${resolved} ${descriptor}` : resolved,
+			);
+		}
+
+		rest = rest.replace(/^[\s,]+/, "");
+	}
+
+	return candidates.join(", ");
+}
+
+/**
+ * Removes presentational attributes and resolves URLs in the content. Script
+ * URLs are removed from href, src, and srcset, and data: URLs from links.
+ * @param {any} content The content element.
+ * @param {string|undefined} baseUrl The base URL used to resolve URLs.
+ * @returns {void}
+ */
+function cleanAttributes(content, baseUrl) {
+	for (const elem of [content, ...content.querySelectorAll("*")]) {
+		for (const { name } of [...elem.attributes]) {
+			if (!KEPT_ATTRIBUTES.has(name)) {
+				elem.removeAttribute(name);
+			}
+		}
+
+		for (const name of ["href", "src"]) {
+			const value = elem.getAttribute(name)?.trim();
+
+			if (value === undefined) {
+				continue;
+			}
+
+			const scheme = getScheme(value) ?? "";
+
+			if (
+				SCRIPT_SCHEMES.has(scheme) ||
+				(name === "href" && scheme === "data")
+			) {
+				elem.removeAttribute(name);
+			} else if (value && baseUrl) {
+				elem.setAttribute(name, resolveUrl(value, baseUrl));
+			}
+		}
+
+		const srcset = elem.getAttribute("srcset");
+
+		if (srcset !== null) {
+			const resolved = resolveSrcset(srcset, baseUrl);
+
+			if (resolved) {
+				elem.setAttribute("srcset", resolved);
+			} else {
+				elem.removeAttribute("srcset");
+			}
+		}
+	}
+}
+
+/**
+ * Returns the first image in the content that is not explicitly tiny.
+ * @param {any} content The content element.
+ * @param {string|undefined} baseUrl The base URL used to resolve the image URL.
+ * @returns {WebpageImage|undefined} The image, or undefined if there is none.
+ */
+function findLeadImage(content, baseUrl) {
+	for (const img of content.querySelectorAll("img[src]")) {
+		const src = img.getAttribute("src").trim();
+		const width = parseInt(img.getAttribute("width"), 10) || undefined;
+		const height = parseInt(img.getAttribute("height"), 10) || undefined;
+
+		const scheme = getScheme(src) ?? "";
+
+		if (
+			!src ||
+			scheme === "data" ||
+			SCRIPT_SCHEMES.has(scheme) ||
+			(width && width < MIN_LEAD_IMAGE_SIZE) ||
+			(height && height < MIN_LEAD_IMAGE_SIZE)
+		) {
+			continue;
+		}
+
+		return new WebpageImage(baseUrl ? resolveUrl(src, baseUrl) : src, {
+			width,
+			height,
+			alt: img.getAttribute("alt")?.trim() || undefined,
+			rawUrl: baseUrl ? src : undefined,
+		});
+	}
+
+	return undefined;
+}
+
+/**
+ * Returns the text of an element with a blank line between block elements.
+ * @param {any} elem The element.
+ * @returns {string} The text, before whitespace is normalized.
+ */
+function getBlockText(elem) {
+	let text = "";
+
+	for (const node of elem.childNodes) {
+		if (node.nodeType === 3) {
+			text += node.textContent;
+		} else if (node.nodeType === 1) {
+			if (node.tagName === "BR") {
+				text += "\n";
+			} else if (BLOCK_TAGS.has(node.tagName)) {
+				text += `\n\n${getBlockText(node)}\n\n`;
+			} else {
+				text += getBlockText(node);
+			}
+		}
+	}
+
+	return text;
+}
+
+/**
+ * Returns a CSS selector for an element, starting from the nearest ancestor
+ * with an ID or from the body.
+ * @param {any} elem The element.
+ * @returns {string} The selector.
+ */
+function getSelector(elem) {
+	/** @type {string[]} */
+	const parts = [];
+	let current = elem;
+
+	while (
+		current &&
+		current.tagName !== "BODY" &&
+		current.tagName !== "HTML"
+	) {
+		if (/^[A-Za-z][\w-]*$/.test(current.id ?? "")) {
+			parts.unshift(`#${current.id}`);
+			return parts.join(" > ");
+		}
+
+		const tagName = current.tagName.toLowerCase();
+		const sameType = [...(current.parentElement?.children ?? [])].filter(
+			sibling => sibling.tagName === current.tagName,
+		);
+
+		parts.unshift(
+			sameType.length > 1
+				? `${tagName}:nth-of-type(${sameType.indexOf(current) + 1})`
+				: tagName,
+		);
+		current = current.parentElement;
+	}
+
+	parts.unshift("body");
+	return parts.join(" > ");
+}
+
+//-----------------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------------
+
+/**
+ * Extracts the main content of a page using a readability-style heuristic.
+ * Navigation, sidebars, comments, and similar elements are removed, the
+ * ancestors of paragraphs are scored by how much text they contain and how
+ * few links, and the best element is returned along with siblings that look
+ * like part of the same content. The document itself is not modified.
+ * @param {any} document A DOM Document.
+ * @param {object} [options] Extraction options.
+ * @param {string} [options.baseUrl] The base URL used to resolve URLs in the content.
+ * @returns {MainContent|undefined} The main content, or undefined if the document has no body.
+ */
+export function extractContent(document, options = {}) {
+	const { baseUrl } = options;
+
+	if (!document.body) {
+		return undefined;
+	}
+
+	const root = document.body.cloneNode(true);
+
+	/** @type {Map<any, any>} */
+	const originals = new Map();
+	mapClones(document.body, root, originals);
+
+	removeUnlikelyElements(root);
+
+	const candidate = findTopCandidate(root);
+	const top = candidate?.elem ?? root;
+	const elements = candidate
+		? getContentElements(candidate.elem, candidate.scores)
+		: [root];
+
+	let content = top;
+
+	if (elements.length > 1) {
+		content = document.createElement("div");
+		content.append(...elements);
+	}
+
+	cleanContent(content);
+
+	const leadImage = findLeadImage(content, baseUrl);
+	cleanAttributes(content, baseUrl);
+
+	const text = getBlockText(content)
+		.replace(/[^\S\n]+/g, " ")
+		.split("\n")
+		.map(line => line.trim())
+		.join("\n")
+		.replace(/\n{3,}/g, "\n\n")
+		.trim();
+	const wordCount = text.match(WORD_PATTERN)?.length ?? 0;
+
+	return {
+		selector: getSelector(originals.get(top)),
+		html: content.innerHTML.trim(),
+		text,
+		wordCount,
+		readingTime: wordCount ? Math.ceil(wordCount / WORDS_PER_MINUTE) : 0,
+		leadImage,
+	};
+}
@@ -0,0 +1,260 @@
+/**
+ * @fileoverview Extracts Dublin Core metadata from a DOM Document.
+ * @author Nicholas C. Zakas
+ */
+
+//-----------------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------------
+
+import { resolveUrl } from "./resolve-url.js";
+import { decodeHtmlEntities } from "./decode-html-entities.js";
+
+//-----------------------------------------------------------------------------
+// Types
+//-----------------------------------------------------------------------------
+
+/**
+ * A Dublin Core value found in the page.
+ * @typedef {Object} DublinCoreValue
+ * @property {string} value The content of the meta tag, or the URL of the link.
+ * @property {string} property The meta name or link relation as written (e.g., "DC.date.issued").
+ * @property {string|undefined} scheme The scheme attribute (e.g., "W3CDTF"), if any.
+ * @property {string|undefined} lang The lang or xml:lang attribute, if any.
+ */
+
+//-----------------------------------------------------------------------------
+// Data
+//-----------------------------------------------------------------------------
+
+/**
+ * The Dublin Core namespaces, without a trailing slash and lowercase.
+ */
+const DUBLIN_CORE_NAMESPACES = new Set([
+	"purl.org/dc/elements/1.1",
+	"purl.org/dc/terms",
+]);
+
+/**
+ * Prefixes that refer to Dublin Core without a schema.* link declaring them.
+ */
+const DEFAULT_PREFIXES = ["dc", "dcterms"];
+
+/**
+ * The DCMI Metadata Terms, used to normalize the case of term names.
+ * @type {Map<string, string>}
+ */
+const TERMS = new Map(
+	[
+		"abstract",
+		"accessRights",
+		"accrualMethod",
+		"accrualPeriodicity",
+		"accrualPolicy",
+		"alternative",
+		"audience",
+		"available",
+		"bibliographicCitation",
+		"conformsTo",
+		"contributor",
+		"coverage",
+		"created",
+		"creator",
+		"date",
+		"dateAccepted",
+		"dateCopyrighted",
+		"dateSubmitted",
+		"description",
+		"educationLevel",
+		"extent",
+		"format",
+		"hasFormat",
+		"hasPart",
+		"hasVersion",
+		"identifier",
+		"instructionalMethod",
+		"isFormatOf",
+		"isPartOf",
+		"isReferencedBy",
+		"isReplacedBy",
+		"isRequiredBy",
+		"issued",
+		"isVersionOf",
+		"language",
+		"license",
+		"mediator",
+		"medium",
+		"modified",
+		"provenance",
+		"publisher",
+		"references",
+		"relation",
+		"replaces",
+		"requires",
+		"rights",
+		"rightsHolder",
+		"source",
+		"spatial",
+		"subject",
+		"tableOfContents",
+		"temporal",
+		"title",
+		"type",
+		"valid",
+	].map(term => [term.toLowerCase(), term]),
+);
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+/**
+ * Determines if a URL is a Dublin Core namespace.
+ * @param {string} url The URL.
+ * @returns {boolean} True if the URL is a Dublin Core namespace.
+ */
+function isDublinCoreNamespace(url) {
+	const namespace = url
+		.trim()
+		.toLowerCase()
+		.replace(/^https?:\/\//, "")
+		.replace(/[/#]$/, "");
+
+	return DUBLIN_CORE_NAMESPACES.has(namespace);
+}
+
+/**
+ * Returns the prefixes that refer to Dublin Core. The default prefixes are
+ * joined by any declared with <link rel="schema.PREFIX"> elements, and a
+ * declaration that points elsewhere removes the prefix.
+ * @param {any} document The DOM Document.
+ * @returns {Set<string>} The prefixes in lowercase.
+ */
+function getPrefixes(document) {
+	const prefixes = new Set(DEFAULT_PREFIXES);
+
+	for (const tag of document.querySelectorAll("link[rel][href]")) {
+		for (const rel of tag.getAttribute("rel").trim().split(/\s+/)) {
+			if (!/^schema\.[^.]+$/i.test(rel)) {
+				continue;
+			}
+
+			const prefix = rel.slice("schema.".length).toLowerCase();
+
+			if (isDublinCoreNamespace(tag.getAttribute("href"))) {
+				prefixes.add(prefix);
+			} else {
+				prefixes.delete(prefix);
+			}
+		}
+	}
+
+	return prefixes;
+}
+
+/**
+ * Returns the term for a Dublin Core name. Qualified names such as
+ * "DC.date.issued" use the refinement ("issued"), and known terms are returned
+ * in their DCMI case.
+ * @param {string} name The name as written (e.g., "DCTERMS.Subject").
+ * @param {Set<string>} prefixes The Dublin Core prefixes.
+ * @returns {string|undefined} The term, or undefined if the name is not Dublin Core.
+ */
+function getTerm(name, prefixes) {
+	const [prefix, ...parts] = name.trim().toLowerCase().split(".");
+
+	if (!prefixes.has(prefix) || !parts.length || parts.some(part => !part)) {
+		return undefined;
+	}
+
+	const known = parts.findLast(part => TERMS.has(part));
+	return known ? TERMS.get(known) : parts[0];
+}
+
+/**
+ * Returns the language of an element from its lang or xml:lang attribute.
+ * @param {any} elem The element.
+ * @returns {string|undefined} The language, or undefined if there is none.
+ */
+function getLang(elem) {
+	return (
+		(elem.getAttribute("lang") ?? elem.getAttribute("xml:lang"))?.trim() ||
+		undefined
+	);
+}
+
+/**
+ * Adds a value to the values of a term.
+ * @param {Map<string, DublinCoreValue[]>} result The values keyed by term.
+ * @param {string} term The term.
+ * @param {DublinCoreValue} value The value.
+ * @returns {void}
+ */
+function addValue(result, term, value) {
+	const values = result.get(term) ?? [];
+	values.push(value);
+	result.set(term, values);
+}
+
+//-----------------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------------
+
+/**
+ * Extracts Dublin Core metadata from <meta> and <link> elements. Names are
+ * matched case-insensitively with the "DC." and "DCTERMS." prefixes and any
+ * prefix declared as a Dublin Core namespace with <link rel="schema.PREFIX">.
+ * Values are keyed by DCMI term, so "DC.title" and "dcterms.title" share the
+ * "title" key and "DC.date.issued" is stored under "issued".
+ * @param {any} document A DOM Document.
+ * @param {object} [options] Extraction options.
+ * @param {string} [options.baseUrl] The base URL used to resolve link URLs.
+ * @returns {Map<string, DublinCoreValue[]>} The values keyed by term, in document order.
+ */
+export function extractDublinCore(document, options = {}) {
+	const { baseUrl } = options;
+	const prefixes = getPrefixes(document);
+
+	/** @type {Map<string, DublinCoreValue[]>} */
+	const result = new Map();
+
+	for (const tag of document.querySelectorAll(
+		"meta[name][content], link[rel][href]",
+	)) {
+		if (tag.tagName === "META") {
+			const property = tag.getAttribute("name").trim();
+			const term = getTerm(property, prefixes);
+			const value = decodeHtmlEntities(
+				tag.getAttribute("content"),
+			).trim();
+
+			if (term && value) {
+				addValue(result, term, {
+					value,
+					property,
+					scheme: tag.getAttribute("scheme")?.trim() || undefined,
+					lang: getLang(tag),
+				});
+			}
+
+			continue;
+		}
+
+		const href = tag.getAttribute("href").trim();
+
+		for (const property of tag.getAttribute("rel").trim().split(/\s+/)) {
+			const term = getTerm(property, prefixes);
+
+			if (term && href) {
+				addValue(result, term, {
+					value: resolveUrl(href, baseUrl),
+					property,
+					scheme: undefined,
+					lang: getLang(tag),
+				});
+			}
+		}
+	}
+
+	return result;
+}
@@ -0,0 +1,688 @@
+/**
+ * @fileoverview Extracts microformats2 items and rel values from a DOM Document.
+ * @author Nicholas C. Zakas
+ */
+
+//-----------------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------------
+
+import { resolveUrl } from "./resolve-url.js";
+import { getOwn, setOwn } from "./own-property.js";
+
+//-----------------------------------------------------------------------------
+// Types
+//-----------------------------------------------------------------------------
+
+/**
+ * An image value with alternate text.
+ * @typedef {Object} MicroformatsImage
+ * @property {string} value The image URL.
+ * @property {string} alt The alternate text.
+ */
+
+/**
+ * An embedded markup value from an e-* property.
+ * @typedef {Object} MicroformatsHtml
+ * @property {string} html The inner HTML of the element.
+ * @property {string} value The text content of the element.
+ */
+
+/**
+ * A parsed microformats2 item.
+ * @typedef {Object} MicroformatsItem
+ * @property {string[]} type The root class names (e.g., ["h-entry"]), sorted alphabetically.
+ * @property {{ [name: string]: Array<string|MicroformatsImage|MicroformatsHtml|MicroformatsItem> }} properties The property values keyed by name without the prefix.
+ * @property {string} [id] The id attribute of the root element.
+ * @property {MicroformatsItem[]} [children] Nested items that are not property values.
+ * @property {string} [value] The plain value when the item is a property value.
+ * @property {string} [html] The inner HTML when the item is an e-* property value.
+ */
+
+/**
+ * The attributes of a URL found in a rel attribute.
+ * @typedef {Object} MicroformatsRelUrl
+ * @property {string[]} rels The rel values that point to the URL.
+ * @property {string} [text] The text content of the element.
+ * @property {string} [title] The title attribute.
+ * @property {string} [media] The media attribute.
+ * @property {string} [hreflang] The hreflang attribute.
+ * @property {string} [type] The type attribute.
+ */
+
+/**
+ * The result of microformats2 parsing, as per the microformats2 parsing spec.
+ * @typedef {Object} Microformats
+ * @property {MicroformatsItem[]} items The top-level items.
+ * @property {{ [rel: string]: string[] }} rels The URLs for each rel value.
+ * @property {{ [url: string]: MicroformatsRelUrl }} rel-urls The rel information for each URL.
+ */
+
+//-----------------------------------------------------------------------------
+// Data
+//-----------------------------------------------------------------------------
+
+/**
+ * Matches root class names such as "h-entry" or "h-x-vendor-thing".
+ */
+const ROOT_CLASS_PATTERN = /^h-(?:[a-z0-9]+-)?[a-z]+(?:-[a-z]+)*$/;
+
+/**
+ * Matches property class names and captures the prefix and property name.
+ */
+const PROPERTY_CLASS_PATTERN =
+	/^(p|u|dt|e)-((?:[a-z0-9]+-)?[a-z]+(?:-[a-z]+)*)$/;
+
+/**
+ * Elements whose contents are never part of a text value.
+ */
+const IGNORED_TEXT_ELEMENTS = new Set(["SCRIPT", "STYLE", "TEMPLATE"]);
+
+/**
+ * The attribute holding a URL for each element that can have one, in the
+ * order u-* parsing checks them.
+ * @type {Array<[string[], string]>}
+ */
+const URL_ATTRIBUTES_BY_TAG = [
+	[["A", "AREA", "LINK"], "href"],
+	[["IMG", "AUDIO", "VIDEO", "SOURCE", "IFRAME"], "src"],
+	[["VIDEO"], "poster"],
+	[["OBJECT"], "data"],
+];
+
+/**
+ * The optional attributes copied into rel-urls.
+ */
+const REL_URL_ATTRIBUTES = ["title", "media", "hreflang", "type"];
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+/**
+ * Returns the class names of an element.
+ * @param {any} elem The element.
+ * @returns {string[]} The class names.
+ */
+function getClassNames(elem) {
+	return (elem.getAttribute("class") || "").trim().split(/\s+/);
+}
+
+/**
+ * Returns the sorted, unique root class names of an element.
+ * @param {any} elem The element.
+ * @returns {string[]} The root class names.
+ */
+function getRootClassNames(elem) {
+	return [
+		...new Set(
+			getClassNames(elem).filter(name => ROOT_CLASS_PATTERN.test(name)),
+		),
+	].sort();
+}
+
+/**
+ * Returns the property classes of an element as prefix and name pairs.
+ * @param {any} elem The element.
+ * @returns {Array<{ prefix: string, name: string }>} The property classes.
+ */
+function getPropertyClasses(elem) {
+	/** @type {Array<{ prefix: string, name: string }>} */
+	const result = [];
+
+	for (const className of getClassNames(elem)) {
+		const match = PROPERTY_CLASS_PATTERN.exec(className);
+
+		if (match) {
+			result.push({ prefix: match[1], name: match[2] });
+		}
+	}
+
+	return result;
+}
+
+/**
+ * Returns the text content of an element with scripts and styles removed and
+ * images replaced by their alt text (or their URL when there is no alt text).
+ * @param {any} elem The element.
+ * @param {string|undefined} baseUrl The base URL used to resolve image URLs.
+ * @returns {string} The trimmed text content.
+ */
+function getText(elem, baseUrl) {
+	/**
+	 * Collects the text of a node and its descendants.
+	 * @param {any} node The node.
+	 * @returns {string} The text.
+	 */
+	function collect(node) {
+		if (node.nodeType === 3) {
+			return node.textContent;
+		}
+
+		if (node.nodeType !== 1 || IGNORED_TEXT_ELEMENTS.has(node.tagName)) {
+			return "";
+		}
+
+		if (node.tagName === "IMG") {
+			const alt = node.getAttribute("alt");
+
+			if (alt !== null) {
+				return alt;
+			}
+
+			const src = node.getAttribute("src");
+			return src ? ` ${resolveUrl(src, baseUrl)} ` : "";
+		}
+
+		return [...node.childNodes].map(collect).join("");
+	}
+
+	return collect(elem).trim();
+}
+
+/**
+ * Returns the only child element of an element, if it has exactly one.
+ * @param {any} elem The element.
+ * @returns {any} The only child element, or undefined.
+ */
+function getOnlyChild(elem) {
+	return elem.children.length === 1 ? elem.children[0] : undefined;
+}
+
+/**
+ * Returns the value of the value-class pattern for an element, if it uses it.
+ * Elements with a "value" or "value-title" class that are not inside nested
+ * properties or items are concatenated in document order.
+ * @param {any} elem The property element.
+ * @param {string} prefix The property prefix ("p", "u", or "dt").
+ * @returns {string|undefined} The value, or undefined if the pattern isn't used.
+ */
+function getValueClassValue(elem, prefix) {
+	/** @type {string[]} */
+	const parts = [];
+
+	/**
+	 * Finds value elements among the descendants of an element.
+	 * @param {any} parent The element to search.
+	 * @returns {void}
+	 */
+	function find(parent) {
+		for (const child of parent.children) {
+			const classNames = getClassNames(child);
+
+			if (classNames.includes("value-title")) {
+				parts.push(child.getAttribute("title") || "");
+			} else if (classNames.includes("value")) {
+				if (["IMG", "AREA"].includes(child.tagName)) {
+					parts.push(child.getAttribute("alt") || "");
+				} else if (child.tagName === "DATA") {
+					parts.push(
+						child.getAttribute("value") ?? child.textContent,
+					);
+				} else if (child.tagName === "ABBR") {
+					parts.push(
+						child.getAttribute("title") ?? child.textContent,
+					);
+				} else if (
+					prefix === "dt" &&
+					["DEL", "INS", "TIME"].includes(child.tagName) &&
+					child.hasAttribute("datetime")
+				) {
+					parts.push(child.getAttribute("datetime"));
+				} else {
+					parts.push(child.textContent);
+				}
+			} else if (
+				!getRootClassNames(child).length &&
+				!getPropertyClasses(child).length
+			) {
+				find(child);
+			}
+		}
+	}
+
+	find(elem);
+
+	if (!parts.length) {
+		return undefined;
+	}
+
+	if (prefix !== "dt") {
+		return parts.join("");
+	}
+
+	// Date and time parts are combined into a single value
+	const date = parts.find(part => /^\d{4}-\d{2}-\d{2}$/.test(part.trim()));
+	const time = parts.find(part => /^\d{1,2}:\d{2}/.test(part.trim()));
+	const zone = parts.find(part => /^(?:Z|[+-]\d{2}:?\d{2})$/i.test(part));
+
+	if (!date) {
+		return parts.join("").trim();
+	}
+
+	return [date.trim(), time && ` ${time.trim()}`, zone?.trim()]
+		.filter(Boolean)
+		.join("");
+}
+
+/**
+ * Parses the value of a p-* property.
+ * @param {any} elem The property element.
+ * @param {string|undefined} baseUrl The base URL used to resolve image URLs.
+ * @returns {string} The value.
+ */
+function parsePlainProperty(elem, baseUrl) {
+	const valueClass = getValueClassValue(elem, "p");
+
+	if (valueClass !== undefined) {
+		return valueClass;
+	}
+
+	if (["ABBR", "LINK"].includes(elem.tagName) && elem.hasAttribute("title")) {
+		return elem.getAttribute("title");
+	}
+
+	if (
+		["DATA", "INPUT"].includes(elem.tagName) &&
+		elem.hasAttribute("value")
+	) {
+		return elem.getAttribute("value");
+	}
+
+	if (["IMG", "AREA"].includes(elem.tagName) && elem.hasAttribute("alt")) {
+		return elem.getAttribute("alt");
+	}
+
+	return getText(elem, baseUrl);
+}
+
+/**
+ * Parses the value of a u-* property.
+ * @param {any} elem The property element.
+ * @param {string|undefined} baseUrl The base URL used to resolve URLs.
+ * @returns {string|MicroformatsImage} The value.
+ */
+function parseUrlProperty(elem, baseUrl) {
+	for (const [tagNames, attribute] of URL_ATTRIBUTES_BY_TAG) {
+		if (tagNames.includes(elem.tagName) && elem.hasAttribute(attribute)) {
+			const value = resolveUrl(elem.getAttribute(attribute), baseUrl);
+
+			if (elem.tagName === "IMG" && elem.hasAttribute("alt")) {
+				return { value, alt: elem.getAttribute("alt") };
+			}
+
+			return value;
+		}
+	}
+
+	const valueClass = getValueClassValue(elem, "u");
+
+	if (valueClass !== undefined) {
+		return resolveUrl(valueClass, baseUrl);
+	}
+
+	if (elem.tagName === "ABBR" && elem.hasAttribute("title")) {
+		return resolveUrl(elem.getAttribute("title"), baseUrl);
+	}
+
+	if (
+		["DATA", "INPUT"].includes(elem.tagName) &&
+		elem.hasAttribute("value")
+	) {
+		return resolveUrl(elem.getAttribute("value"), baseUrl);
+	}
+
+	return resolveUrl(getText(elem, baseUrl), baseUrl);
+}
+
+/**
+ * Parses the value of a dt-* property.
+ * @param {any} elem The property element.
+ * @param {string|undefined} baseUrl The base URL used to resolve image URLs.
+ * @returns {string} The value.
+ */
+function parseDateTimeProperty(elem, baseUrl) {
+	const valueClass = getValueClassValue(elem, "dt");
+
+	if (valueClass !== undefined) {
+		return valueClass;
+	}
+
+	if (
+		["TIME", "INS", "DEL"].includes(elem.tagName) &&
+		elem.hasAttribute("datetime")
+	) {
+		return elem.getAttribute("datetime");
+	}
+
+	if (elem.tagName === "ABBR" && elem.hasAttribute("title")) {
+		return elem.getAttribute("title");
+	}
+
+	if (
+		["DATA", "INPUT"].includes(elem.tagName) &&
+		elem.hasAttribute("value")
+	) {
+		return elem.getAttribute("value");
+	}
+
+	return getText(elem, baseUrl);
+}
+
+/**
+ * Parses the value of an e-* property.
+ * @param {any} elem The property element.
+ * @param {string|undefined} baseUrl The base URL used to resolve image URLs.
+ * @returns {MicroformatsHtml} The value.
+ */
+function parseEmbeddedProperty(elem, baseUrl) {
+	return { html: elem.innerHTML.trim(), value: getText(elem, baseUrl) };
+}
+
+/**
+ * Finds the first element matching a test on the root, its only child, or the
+ * only child of its only child. Children that are items are skipped.
+ * @param {any} root The root element.
+ * @param {(elem: any) => boolean} test The test to apply.
+ * @returns {any} The matching element, or undefined.
+ */
+function findImpliedElement(root, test) {
+	if (test(root)) {
+		return root;
+	}
+
+	const child = getOnlyChild(root);
+
+	if (!child || getRootClassNames(child).length) {
+		return undefined;
+	}
+
+	if (test(child)) {
+		return child;
+	}
+
+	const grandchild = getOnlyChild(child);
+
+	if (!grandchild || getRootClassNames(grandchild).length) {
+		return undefined;
+	}
+
+	return test(grandchild) ? grandchild : undefined;
+}
+
+/**
+ * Adds the implied name, photo, and url properties to an item, following the
+ * microformats2 parsing spec.
+ * @param {any} root The root element of the item.
+ * @param {MicroformatsItem} item The item.
+ * @param {Set<string>} prefixes The prefixes of explicit properties.
+ * @param {boolean} hasNestedItems Whether the item contains nested items.
+ * @param {string|undefined} baseUrl The base URL used to resolve URLs.
+ * @returns {void}
+ */
+function addImpliedProperties(root, item, prefixes, hasNestedItems, baseUrl) {
+	const { properties } = item;
+
+	if (
+		!properties.name &&
+		!prefixes.has("p") &&
+		!prefixes.has("e") &&
+		!hasNestedItems
+	) {
+		const elem = findImpliedElement(
+			root,
+			el =>
+				(["IMG", "AREA"].includes(el.tagName) &&
+					!!el.getAttribute("alt")) ||
+				(el.tagName === "ABBR" && !!el.getAttribute("title")),
+		);
+
+		properties.name = [
+			elem
+				? elem.getAttribute(elem.tagName === "ABBR" ? "title" : "alt")
+				: getText(root, baseUrl),
+		];
+	}
+
+	if (!properties.photo && !prefixes.has("u") && !hasNestedItems) {
+		const elem = findImpliedElement(
+			root,
+			el =>
+				(el.tagName === "IMG" && el.hasAttribute("src")) ||
+				(el.tagName === "OBJECT" && el.hasAttribute("data")),
+		);
+
+		if (elem) {
+			const value = resolveUrl(
+				elem.getAttribute(elem.tagName === "IMG" ? "src" : "data"),
+				baseUrl,
+			);
+
+			properties.photo = [
+				elem.tagName === "IMG" && elem.hasAttribute("alt")
+					? { value, alt: elem.getAttribute("alt") }
+					: value,
+			];
+		}
+	}
+
+	if (!properties.url && !prefixes.has("u") && !hasNestedItems) {
+		const elem = findImpliedElement(
+			root,
+			el => ["A", "AREA"].includes(el.tagName) && el.hasAttribute("href"),
+		);
+
+		if (elem) {
+			properties.url = [resolveUrl(elem.getAttribute("href"), baseUrl)];
+		}
+	}
+}
+
+/**
+ * Parses an element with root class names into an item.
+ * @param {any} root The root element.
+ * @param {string|undefined} baseUrl The base URL used to resolve URLs.
+ * @returns {MicroformatsItem} The item.
+ */
+function parseItem(root, baseUrl) {
+	/** @type {MicroformatsItem} */
+	const item = { type: getRootClassNames(root), properties: {} };
+
+	/** @type {MicroformatsItem[]} */
+	const children = [];
+
+	/** @type {Set<string>} */
+	const prefixes = new Set();
+	let hasNestedItems = false;
+
+	/**
+	 * Adds a value to a property of the item.
+	 * @param {string} name The property name.
+	 * @param {string|MicroformatsImage|MicroformatsHtml|MicroformatsItem} value The value.
+	 * @returns {void}
+	 */
+	function addValue(name, value) {
+		const values =
+			getOwn(item.properties, name) ?? setOwn(item.properties, name, []);
+		values.push(value);
+	}
+
+	/**
+	 * Parses the properties and nested items among the descendants of an element.
+	 * @param {any} parent The element to search.
+	 * @returns {void}
+	 */
+	function walk(parent) {
+		for (const elem of parent.children) {
+			const propertyClasses = getPropertyClasses(elem);
+
+			for (const { prefix } of propertyClasses) {
+				prefixes.add(prefix);
+			}
+
+			if (getRootClassNames(elem).length) {
+				const nested = parseItem(elem, baseUrl);
+				hasNestedItems = true;
+
+				if (!propertyClasses.length) {
+					children.push(nested);
+					continue;
+				}
+
+				for (const { prefix, name } of propertyClasses) {
+					/** @type {MicroformatsItem} */
+					const value = { ...nested };
+
+					if (prefix === "e") {
+						const embedded = parseEmbeddedProperty(elem, baseUrl);
+						value.html = embedded.html;
+						value.value = embedded.value;
+					} else if (prefix === "u") {
+						const url = nested.properties.url?.[0];
+						value.value =
+							typeof url === "string"
+								? url
+								: String(parseUrlProperty(elem, baseUrl));
+					} else {
+						const nestedName = nested.properties.name?.[0];
+						value.value =
+							typeof nestedName === "string"
+								? nestedName
+								: parsePlainProperty(elem, baseUrl);
+					}
+
+					addValue(name, value);
+				}
+
+				continue;
+			}
+
+			for (const { prefix, name } of propertyClasses) {
+				if (prefix === "p") {
+					addValue(name, parsePlainProperty(elem, baseUrl));
+				} else if (prefix === "u") {
+					addValue(name, parseUrlProperty(elem, baseUrl));
+				} else if (prefix === "dt") {
+					addValue(name, parseDateTimeProperty(elem, baseUrl));
+				} else {
+					addValue(name, parseEmbeddedProperty(elem, baseUrl));
+				}
+			}
+
+			walk(elem);
+		}
+	}
+
+	walk(root);
+	addImpliedProperties(root, item, prefixes, hasNestedItems, baseUrl);
+
+	const id = root.getAttribute("id");
+
+	if (id) {
+		item.id = id;
+	}
+
+	if (children.length) {
+		item.children = children;
+	}
+
+	return item;
+}
+
+//-----------------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------------
+
+/**
+ * Extracts microformats2 items and rel values from a document, following the
+ * microformats2 parsing spec, including the implied name, photo, and url rules.
+ * Classic (backward compatible) microformats are not parsed.
+ * @param {any} document A DOM Document.
+ * @param {object} [options] Extraction options.
+ * @param {string} [options.baseUrl] The base URL used to resolve URLs.
+ * @returns {Microformats} The items, rels, and rel-urls.
+ */
+export function extractMicroformats(document, options = {}) {
+	const { baseUrl } = options;
+
+	/** @type {Microformats} */
+	const result = { items: [], rels: {}, "rel-urls": {} };
+
+	/**
+	 * Finds the top-level items among the descendants of an element.
+	 * @param {any} parent The element to search.
+	 * @returns {void}
+	 */
+	function findItems(parent) {
+		for (const elem of parent.children) {
+			if (getRootClassNames(elem).length) {
+				result.items.push(parseItem(elem, baseUrl));
+			} else {
+				findItems(elem);
+			}
+		}
+	}
+
+	if (document.documentElement) {
+		findItems(document.documentElement);
+	}
+
+	for (const elem of document.querySelectorAll(
+		"a[rel][href], area[rel][href], link[rel][href]",
+	)) {
+		const rels = elem
+			.getAttribute("rel")
+			.trim()
+			.split(/\s+/)
+			.filter(Boolean);
+
+		if (!rels.length) {
+			continue;
+		}
+
+		const url = resolveUrl(elem.getAttribute("href"), baseUrl);
+
+		for (const rel of rels) {
+			const urls =
+				getOwn(result.rels, rel) ?? setOwn(result.rels, rel, []);
+
+			if (!urls.includes(url)) {
+				urls.push(url);
+			}
+		}
+
+		let relUrl = getOwn(result["rel-urls"], url);
+
+		if (!relUrl) {
+			relUrl = { rels: [] };
+
+			for (const attribute of REL_URL_ATTRIBUTES) {
+				const value = elem.getAttribute(attribute);
+
+				if (value) {
+					relUrl[
+						/** @type {"title"|"media"|"hreflang"|"type"} */ (
+							attribute
+						)
+					] = value;
+				}
+			}
+
+			const text = elem.textContent.trim();
+
+			if (text) {
+				relUrl.text = text;
+			}
+
+			setOwn(result["rel-urls"], url, relUrl);
+		}
+
+		for (const rel of rels) {
+			if (!relUrl.rels.includes(rel)) {
+				relUrl.rels.push(rel);
+			}
+		}
+	}
+
+	return result;
+}
@@ -0,0 +1,285 @@
+/**
+ * @fileoverview Extracts RDFa Lite 1.1 items from a DOM Document.
+ * @author Nicholas C. Zakas
+ */
+
+//-----------------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------------
+
+import { resolveUrl } from "./resolve-url.js";
+import { setOwn } from "./own-property.js";
+
+//-----------------------------------------------------------------------------
+// Types
+//-----------------------------------------------------------------------------
+
+/**
+ * An RDFa item while it is being built.
+ * @typedef {Object} RdfaItem
+ * @property {string[]} types The expanded type IRIs.
+ * @property {string|undefined} id The subject IRI from the resource, href, or src attribute.
+ * @property {Map<string, Array<string|RdfaItem>>} properties The property values keyed by property name.
+ */
+
+/**
+ * The state inherited by an element from its ancestors.
+ * @typedef {Object} RdfaContext
+ * @property {string|undefined} vocab The current vocabulary IRI.
+ * @property {Map<string, string>} prefixes The prefix mappings in scope.
+ * @property {RdfaItem|undefined} subject The item that properties are added to.
+ */
+
+//-----------------------------------------------------------------------------
+// Data
+//-----------------------------------------------------------------------------
+
+/**
+ * Prefixes from the RDFa 1.1 initial context that are commonly used in pages.
+ */
+const INITIAL_PREFIXES = new Map([
+	["dc", "http://purl.org/dc/terms/"],
+	["dcterms", "http://purl.org/dc/terms/"],
+	["foaf", "http://xmlns.com/foaf/0.1/"],
+	["og", "http://ogp.me/ns#"],
+	["rdf", "http://www.w3.org/1999/02/22-rdf-syntax-ns#"],
+	["rdfs", "http://www.w3.org/2000/01/rdf-schema#"],
+	["schema", "http://schema.org/"],
+	["sioc", "http://rdfs.org/sioc/ns#"],
+	["skos", "http://www.w3.org/2004/02/skos/core#"],
+	["xsd", "http://www.w3.org/2001/XMLSchema#"],
+]);
+
+/**
+ * Attributes checked, in order, for an IRI value or item subject.
+ */
+const URL_ATTRIBUTES = ["resource", "href", "src"];
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+/**
+ * Splits an attribute value into whitespace-separated tokens.
+ * @param {string|null} value The attribute value.
+ * @returns {string[]} The tokens.
+ */
+function splitTokens(value) {
+	return value ? value.trim().split(/\s+/).filter(Boolean) : [];
+}
+
+/**
+ * Parses a prefix attribute (e.g., "og: http://ogp.me/ns# dc: http://purl.org/dc/terms/").
+ * @param {string} value The attribute value.
+ * @param {Map<string, string>} prefixes The prefix mappings in scope.
+ * @returns {Map<string, string>} The new prefix mappings.
+ */
+function parsePrefixes(value, prefixes) {
+	const result = new Map(prefixes);
+	const tokens = splitTokens(value);
+
+	for (let i = 0; i < tokens.length - 1; i++) {
+		if (tokens[i].endsWith(":") && tokens[i].length > 1) {
+			result.set(tokens[i].slice(0, -1).toLowerCase(), tokens[i + 1]);
+			i++;
+		}
+	}
+
+	return result;
+}
+
+/**
+ * Expands a term, CURIE, or IRI into an IRI.
+ * @param {string} value The value to expand.
+ * @param {RdfaContext} context The current context.
+ * @returns {string} The expanded IRI, or the value if it cannot be expanded.
+ */
+function expandIri(value, context) {
+	const separator = value.indexOf(":");
+
+	if (separator === -1) {
+		return context.vocab ? context.vocab + value : value;
+	}
+
+	const prefix = context.prefixes.get(
+		value.slice(0, separator).toLowerCase(),
+	);
+
+	return prefix ? prefix + value.slice(separator + 1) : value;
+}
+
+/**
+ * Creates a new item. The item IRI comes from the resource, href, or src attribute.
+ * @param {any} elem The element that creates the item.
+ * @param {RdfaContext} context The current context.
+ * @param {string|undefined} baseUrl The base URL used to resolve the item IRI.
+ * @returns {RdfaItem} The new item.
+ */
+function createItem(elem, context, baseUrl) {
+	const subject = URL_ATTRIBUTES.map(name => elem.getAttribute(name)).find(
+		value => value !== null,
+	);
+
+	return {
+		types: splitTokens(elem.getAttribute("typeof")).map(type =>
+			expandIri(type, context),
+		),
+		id: subject === undefined ? undefined : resolveUrl(subject, baseUrl),
+		properties: new Map(),
+	};
+}
+
+/**
+ * Returns the literal or IRI value of a property element without typeof.
+ * @param {any} elem The element.
+ * @param {string|undefined} baseUrl The base URL used to resolve IRIs.
+ * @returns {string} The value.
+ */
+function getPropertyValue(elem, baseUrl) {
+	const content = elem.getAttribute("content");
+
+	if (content !== null) {
+		return content;
+	}
+
+	for (const name of URL_ATTRIBUTES) {
+		const value = elem.getAttribute(name);
+
+		if (value !== null) {
+			return resolveUrl(value, baseUrl);
+		}
+	}
+
+	if (elem.tagName === "TIME" && elem.hasAttribute("datetime")) {
+		return elem.getAttribute("datetime");
+	}
+
+	return elem.textContent || "";
+}
+
+/**
+ * Adds a value to each of the given properties of an item.
+ * @param {RdfaItem} item The item.
+ * @param {string[]} names The property names.
+ * @param {string|RdfaItem} value The value.
+ * @returns {void}
+ */
+function addProperty(item, names, value) {
+	for (const name of names) {
+		const values = item.properties.get(name) ?? [];
+		values.push(value);
+		item.properties.set(name, values);
+	}
+}
+
+/**
+ * Converts an item into the same JSON shape as microdata items: an optional
+ * type, an optional id, and properties as direct keys. Single values are
+ * returned directly while repeated values are returned as arrays.
+ * @param {RdfaItem} item The item.
+ * @returns {{ [key: string]: any }} The JSON object.
+ */
+function toJson(item) {
+	/** @type {{ [key: string]: any }} */
+	const result = {};
+
+	if (item.types.length) {
+		result.type = item.types.length === 1 ? item.types[0] : item.types;
+	}
+
+	if (item.id !== undefined) {
+		result.id = item.id;
+	}
+
+	for (const [name, values] of item.properties) {
+		const json = values.map(value =>
+			typeof value === "string" ? value : toJson(value),
+		);
+		setOwn(result, name, json.length === 1 ? json[0] : json);
+	}
+
+	return result;
+}
+
+//-----------------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------------
+
+/**
+ * Extracts the top-level RDFa Lite 1.1 items from a document. The vocab,
+ * typeof, property, resource, and prefix attributes are supported. Types are
+ * expanded to IRIs using the vocabulary and prefixes in scope, while property
+ * names are kept as written. Properties outside of an item (such as Open Graph
+ * meta tags) are not included.
+ * @param {any} document A DOM Document.
+ * @param {object} [options] Extraction options.
+ * @param {string} [options.baseUrl] The base URL used to resolve IRI values.
+ * @returns {object[]} The top-level items.
+ */
+export function extractRdfa(document, options = {}) {
+	const { baseUrl } = options;
+
+	/** @type {RdfaItem[]} */
+	const items = [];
+
+	/**
+	 * Processes an element and its descendants.
+	 * @param {any} elem The element.
+	 * @param {RdfaContext} parentContext The context inherited from the parent.
+	 * @returns {void}
+	 */
+	function walk(elem, parentContext) {
+		/** @type {RdfaContext} */
+		const context = { ...parentContext };
+
+		if (elem.hasAttribute("vocab")) {
+			context.vocab = elem.getAttribute("vocab").trim() || undefined;
+		}
+
+		if (elem.hasAttribute("prefix")) {
+			context.prefixes = parsePrefixes(
+				elem.getAttribute("prefix"),
+				context.prefixes,
+			);
+		}
+
+		const properties = splitTokens(elem.getAttribute("property"));
+		const createsItem =
+			elem.hasAttribute("typeof") ||
+			(!properties.length && elem.hasAttribute("resource"));
+
+		if (createsItem) {
+			const item = createItem(elem, context, baseUrl);
+
+			if (properties.length && context.subject) {
+				addProperty(context.subject, properties, item);
+			} else {
+				items.push(item);
+			}
+
+			context.subject = item;
+		} else if (properties.length && context.subject) {
+			addProperty(
+				context.subject,
+				properties,
+				getPropertyValue(elem, baseUrl),
+			);
+		}
+
+		for (const child of elem.children) {
+			walk(child, context);
+		}
+	}
+
+	if (document.documentElement) {
+		walk(document.documentElement, {
+			vocab: undefined,
+			prefixes: INITIAL_PREFIXES,
+			subject: undefined,
+		});
+	}
+
+	return items
+		.filter(item => item.types.length || item.properties.size)
+		.map(toJson);
+}
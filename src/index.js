@@ -11,3 +11,11 @@ export { WebpageFeed } from "./webpage-feed.js";
 export { WebpageImage } from "./webpage-image.js";
 export { WebpageFavicon } from "./webpage-favicon.js";
 export { WebpageVideo } from "./webpage-video.js";
+export { WebpageTwitterCard } from "./webpage-twitter-card.js";
+export { WebpageAudio } from "./webpage-audio.js";
+export { WebpageManifest } from "./webpage-manifest.js";
+export { WebpageOEmbed } from "./webpage-oembed.js";
+export { WebpageOEmbedEndpoint } from "./webpage-oembed-endpoint.js";
+export { WebpageAlternate } from "./webpage-alternate.js";
+export { WebpageRobots } from "./webpage-robots.js";
+export { WebpageCitation } from "./webpage-citation.js";
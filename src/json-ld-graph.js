@@ -0,0 +1,352 @@
+/**
+ * @fileoverview Utilities for flattening and querying JSON-LD data.
+ * @author Nicholas C. Zakas
+ */
+
+//-----------------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------------
+
+import { resolveUrl } from "./resolve-url.js";
+import { setOwn } from "./own-property.js";
+
+//-----------------------------------------------------------------------------
+// Types
+//-----------------------------------------------------------------------------
+
+/**
+ * A JSON-LD node object.
+ * @typedef {{ [key: string]: any }} JsonLdNode
+ */
+
+/**
+ * A node and the vocabulary its types are relative to.
+ * @typedef {Object} JsonLdNodeRecord
+ * @property {JsonLdNode} node The node, merged with other nodes that share its "@id".
+ * @property {string|undefined} vocab The vocabulary from the "@context" in scope.
+ * @property {boolean} root Whether the node is top-level or a member of a top-level "@graph".
+ */
+
+/**
+ * A flattened view of the JSON-LD data in a page.
+ * @typedef {Object} JsonLdGraph
+ * @property {JsonLdNodeRecord[]} nodes The nodes in document order.
+ * @property {Map<string, JsonLdNodeRecord>} ids The nodes keyed by their "@id", resolved against the base URL.
+ * @property {string|undefined} baseUrl The base URL used to resolve "@id" values.
+ */
+
+//-----------------------------------------------------------------------------
+// Data
+//-----------------------------------------------------------------------------
+
+/**
+ * The canonical schema.org vocabulary. Both http and https forms are
+ * normalized to this value.
+ */
+const SCHEMA_ORG = "https://schema.org/";
+
+/**
+ * Matches the http and https forms of the schema.org vocabulary, with or without
+ * a trailing slash, and captures any term that follows.
+ */
+const SCHEMA_ORG_PATTERN = /^https?:\/\/schema\.org(?:\/(.*))?$/i;
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+/**
+ * Determines if a value is a plain object.
+ * @param {unknown} value The value to check.
+ * @returns {value is JsonLdNode} True if the value is a plain object.
+ */
+function isObject(value) {
+	return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Determines if an object is a reference to another node, meaning its only
+ * key is "@id".
+ * @param {JsonLdNode} value The object to check.
+ * @returns {boolean} True if the object is a reference.
+ */
+function isReference(value) {
+	const keys = Object.keys(value);
+	return keys.length === 1 && keys[0] === "@id";
+}
+
+/**
+ * Returns the vocabulary defined by a "@context" value.
+ * @param {unknown} context The "@context" value.
+ * @param {string|undefined} vocab The vocabulary in scope.
+ * @returns {string|undefined} The vocabulary.
+ */
+function getVocab(context, vocab) {
+	if (Array.isArray(context)) {
+		return context.reduce((result, item) => getVocab(item, result), vocab);
+	}
+
+	if (typeof context === "string") {
+		return SCHEMA_ORG_PATTERN.test(context) ? SCHEMA_ORG : context;
+	}
+
+	if (isObject(context) && typeof context["@vocab"] === "string") {
+		return getVocab(context["@vocab"], vocab);
+	}
+
+	return vocab;
+}
+
+/**
+ * Expands a type into an IRI. Bare types are relative to the vocabulary, which
+ * defaults to schema.org, and schema.org IRIs always use https.
+ * @param {string} type The type (e.g., "Article", "schema:Article", "http://schema.org/Article").
+ * @param {string|undefined} vocab The vocabulary in scope.
+ * @returns {string} The expanded type.
+ */
+function expandType(type, vocab) {
+	const schemaMatch = SCHEMA_ORG_PATTERN.exec(type);
+
+	if (schemaMatch) {
+		return SCHEMA_ORG + (schemaMatch[1] ?? "");
+	}
+
+	if (type.startsWith("schema:")) {
+		return SCHEMA_ORG + type.slice("schema:".length);
+	}
+
+	if (/^[a-z][a-z0-9+.-]*:/i.test(type)) {
+		return type;
+	}
+
+	const base = vocab ?? SCHEMA_ORG;
+
+	if (base === SCHEMA_ORG || /[/#]$/.test(base)) {
+		return base + type;
+	}
+
+	return `${base}/${type}`;
+}
+
+/**
+ * Resolves an "@id" value against the base URL of a graph.
+ * @param {JsonLdGraph} graph The graph.
+ * @param {string} id The "@id" value.
+ * @returns {string} The resolved "@id".
+ */
+function resolveId(graph, id) {
+	return resolveUrl(id.trim(), graph.baseUrl);
+}
+
+/**
+ * Adds a node to a graph, merging it into an existing node with the same "@id".
+ * Properties of the node found first take precedence.
+ * @param {JsonLdGraph} graph The graph.
+ * @param {JsonLdNode} node The node.
+ * @param {string|undefined} vocab The vocabulary in scope.
+ * @param {boolean} root Whether the node is a root node.
+ * @returns {void}
+ */
+function addNode(graph, node, vocab, root) {
+	const id =
+		typeof node["@id"] === "string"
+			? resolveId(graph, node["@id"])
+			: undefined;
+	const existing = id ? graph.ids.get(id) : undefined;
+
+	if (existing) {
+		existing.node = { ...node, ...existing.node };
+		existing.root ||= root;
+		return;
+	}
+
+	const record = { node: { ...node }, vocab, root };
+	graph.nodes.push(record);
+
+	if (id) {
+		graph.ids.set(id, record);
+	}
+}
+
+/**
+ * Adds the nodes in a value to a graph, including nodes inside "@graph"
+ * containers and nodes nested inside other nodes.
+ * @param {JsonLdGraph} graph The graph.
+ * @param {unknown} value The value.
+ * @param {string|undefined} parentVocab The vocabulary in scope.
+ * @param {boolean} root Whether nodes in the value are root nodes.
+ * @returns {void}
+ */
+function collectNodes(graph, value, parentVocab, root) {
+	if (Array.isArray(value)) {
+		for (const item of value) {
+			collectNodes(graph, item, parentVocab, root);
+		}
+		return;
+	}
+
+	if (!isObject(value) || "@value" in value) {
+		return;
+	}
+
+	const vocab = getVocab(value["@context"], parentVocab);
+
+	if (!isReference(value) && ("@type" in value || "@id" in value)) {
+		addNode(graph, value, vocab, root);
+	}
+
+	for (const [key, child] of Object.entries(value)) {
+		if (key !== "@context") {
+			collectNodes(graph, child, vocab, root && key === "@graph");
+		}
+	}
+}
+
+/**
+ * Returns a copy of a value with node references replaced by the merged nodes
+ * they refer to. References that would create a cycle are left as-is.
+ * @param {JsonLdGraph} graph The graph.
+ * @param {unknown} value The value.
+ * @param {Set<string>} seen The "@id" values being resolved.
+ * @returns {any} The resolved value.
+ */
+function resolveReferences(graph, value, seen) {
+	if (Array.isArray(value)) {
+		return value.map(item => resolveReferences(graph, item, seen));
+	}
+
+	if (!isObject(value)) {
+		return value;
+	}
+
+	const id =
+		typeof value["@id"] === "string"
+			? resolveId(graph, value["@id"])
+			: undefined;
+
+	if (id && seen.has(id)) {
+		return value;
+	}
+
+	const source = id ? (graph.ids.get(id)?.node ?? value) : value;
+	const nextSeen = id ? new Set([...seen, id]) : seen;
+
+	/** @type {JsonLdNode} */
+	const result = {};
+
+	for (const [key, child] of Object.entries(source)) {
+		setOwn(
+			result,
+			key,
+			key === "@context"
+				? child
+				: resolveReferences(graph, child, nextSeen),
+		);
+	}
+
+	return result;
+}
+
+/**
+ * Determines if a node has a type, comparing types after expansion.
+ * @param {JsonLdNode} node The node.
+ * @param {string} type The type, already expanded.
+ * @param {string|undefined} vocab The vocabulary in scope for the node.
+ * @returns {boolean} True if any of the node's types match.
+ */
+function hasType(node, type, vocab) {
+	return [node["@type"]]
+		.flat()
+		.some(
+			nodeType =>
+				typeof nodeType === "string" &&
+				expandType(nodeType.trim(), vocab) === type,
+		);
+}
+
+//-----------------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------------
+
+/**
+ * Flattens parsed JSON-LD items into a graph. Nodes inside "@graph" containers
+ * and nested inside other nodes are collected, and nodes that share an "@id"
+ * are merged.
+ * @param {unknown[]} items The parsed JSON-LD items.
+ * @param {string} [baseUrl] The base URL used to resolve "@id" values.
+ * @returns {JsonLdGraph} The graph.
+ */
+export function flattenJsonLd(items, baseUrl) {
+	/** @type {JsonLdGraph} */
+	const graph = { nodes: [], ids: new Map(), baseUrl };
+
+	for (const item of items) {
+		collectNodes(graph, item, undefined, true);
+	}
+
+	return graph;
+}
+
+/**
+ * Finds all nodes of a type in a graph. Types are compared after expansion, so
+ * "Article", "schema:Article", "http://schema.org/Article", and
+ * "https://schema.org/Article" all match each other. Nodes with several types
+ * match any of them.
+ * @param {JsonLdGraph} graph The graph.
+ * @param {string} type The type to find.
+ * @returns {JsonLdNode[]} The matching nodes with references resolved.
+ */
+export function findJsonLdNodes(graph, type) {
+	const expected = expandType(type.trim(), undefined);
+
+	return graph.nodes
+		.filter(({ node, vocab }) => hasType(node, expected, vocab))
+		.map(({ node }) => resolveReferences(graph, node, new Set()));
+}
+
+/**
+ * Returns the root nodes in a graph: top-level nodes and members of top-level
+ * "@graph" containers. References are resolved, and nodes without their own
+ * "@context" are given the vocabulary they inherited so that each node can be
+ * used on its own.
+ * @param {JsonLdGraph} graph The graph.
+ * @returns {JsonLdNode[]} The root nodes in document order.
+ */
+export function getRootJsonLdNodes(graph) {
+	return graph.nodes
+		.filter(({ root }) => root)
+		.map(({ node, vocab }) => {
+			const result = resolveReferences(graph, node, new Set());
+			return "@context" in result || !vocab
+				? result
+				: { "@context": vocab, ...result };
+		});
+}
+
+/**
+ * Determines if a standalone node has a type. The node's own "@context" is used
+ * to expand its types, so the same forms match as with findJsonLdNodes().
+ * @param {JsonLdNode} node The node.
+ * @param {string} type The type to check for.
+ * @returns {boolean} True if the node has the type.
+ */
+export function isJsonLdNodeOfType(node, type) {
+	return hasType(
+		node,
+		expandType(type.trim(), undefined),
+		getVocab(node["@context"], undefined),
+	);
+}
+
+/**
+ * Returns the node with an "@id" from a graph, with references resolved.
+ * @param {JsonLdGraph} graph The graph.
+ * @param {string} id The "@id" to find. Relative values are resolved against the base URL.
+ * @returns {JsonLdNode|undefined} The node, or undefined if not found.
+ */
+export function getJsonLdNode(graph, id) {
+	const record = graph.ids.get(resolveId(graph, id));
+	return record
+		? resolveReferences(graph, record.node, new Set())
+		: undefined;
+}
@@ -0,0 +1,152 @@
+/**
+ * @fileoverview Utility for converting microdata and RDFa items into JSON-LD nodes.
+ * @author Nicholas C. Zakas
+ */
+
+//-----------------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------------
+
+import { setOwn } from "./own-property.js";
+
+//-----------------------------------------------------------------------------
+// Types
+//-----------------------------------------------------------------------------
+
+/**
+ * @import { JsonLdNode } from "./json-ld-graph.js";
+ */
+
+//-----------------------------------------------------------------------------
+// Data
+//-----------------------------------------------------------------------------
+
+/**
+ * The schema.org context given to converted items with schema.org types.
+ */
+const SCHEMA_ORG_CONTEXT = "https://schema.org";
+
+/**
+ * Matches the http and https forms of a schema.org IRI and captures the term.
+ */
+const SCHEMA_ORG_TERM_PATTERN = /^https?:\/\/schema\.org\/(.+)$/i;
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+/**
+ * Determines if a value is an item, meaning a plain object rather than a
+ * string, number, date, or array.
+ * @param {unknown} value The value to check.
+ * @returns {value is { [key: string]: any }} True if the value is an item.
+ */
+function isItem(value) {
+	return (
+		typeof value === "object" &&
+		value !== null &&
+		!Array.isArray(value) &&
+		!(value instanceof Date)
+	);
+}
+
+/**
+ * Returns the types of an item as an array.
+ * @param {{ [key: string]: any }} item The item.
+ * @returns {string[]} The types.
+ */
+function getTypes(item) {
+	return [item.type ?? []].flat().filter(type => typeof type === "string");
+}
+
+/**
+ * Shortens a schema.org IRI or "schema:" CURIE to a bare term. Other values
+ * are returned unchanged.
+ * @param {string} value The IRI, CURIE, or term.
+ * @returns {string} The term.
+ */
+function compactTerm(value) {
+	const match = SCHEMA_ORG_TERM_PATTERN.exec(value);
+
+	if (match) {
+		return match[1];
+	}
+
+	return value.startsWith("schema:") ? value.slice("schema:".length) : value;
+}
+
+/**
+ * Converts a property value, converting nested items into nodes.
+ * @param {unknown} value The value.
+ * @param {boolean} compact Whether schema.org terms are shortened.
+ * @returns {unknown} The converted value.
+ */
+function convertValue(value, compact) {
+	if (Array.isArray(value)) {
+		return value.map(item => convertValue(item, compact));
+	}
+
+	return isItem(value) ? convertItem(value, compact) : value;
+}
+
+/**
+ * Converts an item into a node without a "@context".
+ * @param {{ [key: string]: any }} item The item.
+ * @param {boolean} compact Whether schema.org terms are shortened.
+ * @returns {JsonLdNode} The node.
+ */
+function convertItem(item, compact) {
+	/** @type {JsonLdNode} */
+	const result = {};
+	const types = getTypes(item).map(type =>
+		compact ? compactTerm(type) : type,
+	);
+
+	if (types.length) {
+		result["@type"] = types.length === 1 ? types[0] : types;
+	}
+
+	if (typeof item.id === "string") {
+		result["@id"] = item.id;
+	}
+
+	for (const [name, value] of Object.entries(item)) {
+		if (name !== "type" && name !== "id") {
+			setOwn(
+				result,
+				compact ? compactTerm(name) : name,
+				convertValue(value, compact),
+			);
+		}
+	}
+
+	return result;
+}
+
+//-----------------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------------
+
+/**
+ * Converts a microdata item into a JSON-LD node: type becomes "@type", id
+ * becomes "@id", and nested items become nested nodes. RDFa items have the
+ * same shape and can be converted too. When every type of the item is a
+ * schema.org IRI, the node is given a schema.org "@context" and schema.org
+ * types and property names are shortened to bare terms (e.g., "Article"
+ * instead of "https://schema.org/Article"), matching how JSON-LD is usually
+ * written. Other items keep their full IRIs.
+ * @param {{ [key: string]: any }} item The microdata or RDFa item.
+ * @returns {JsonLdNode} The JSON-LD node.
+ */
+export function microdataToJsonLd(item) {
+	const types = getTypes(item);
+	const isSchemaOrg =
+		types.length > 0 &&
+		types.every(type => SCHEMA_ORG_TERM_PATTERN.test(type));
+
+	if (!isSchemaOrg) {
+		return convertItem(item, false);
+	}
+
+	return { "@context": SCHEMA_ORG_CONTEXT, ...convertItem(item, true) };
+}
@@ -0,0 +1,41 @@
+/**
+ * @fileoverview Utilities for reading and writing own properties of objects
+ * keyed by names that come from the page.
+ * @author Nicholas C. Zakas
+ */
+
+//-----------------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------------
+
+/**
+ * Returns the own property of an object with the given key, ignoring
+ * properties inherited from the prototype such as "constructor".
+ * @template T
+ * @param {{ [key: string]: T }} object The object.
+ * @param {string} key The key.
+ * @returns {T|undefined} The value, or undefined if there is no own property.
+ */
+export function getOwn(object, key) {
+	return Object.hasOwn(object, key) ? object[key] : undefined;
+}
+
+/**
+ * Sets an own property of an object. Unlike an assignment, this also works
+ * for the "__proto__" key, which would otherwise replace the prototype.
+ * @template T
+ * @param {{ [key: string]: T }} object The object.
+ * @param {string} key The key.
+ * @param {T} value The value.
+ * @returns {T} The value.
+ */
+export function setOwn(object, key, value) {
+	Object.defineProperty(object, key, {
+		value,
+		enumerable: true,
+		writable: true,
+		configurable: true,
+	});
+
+	return value;
+}
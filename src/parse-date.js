@@ -0,0 +1,149 @@
+/**
+ * @fileoverview Utility for parsing the date formats commonly found in page metadata.
+ * @author Nicholas C. Zakas
+ */
+
+//-----------------------------------------------------------------------------
+// Data
+//-----------------------------------------------------------------------------
+
+/**
+ * Matches ISO 8601 dates in extended ("2024-01-05T10:00:00Z") or basic
+ * ("20240105T100000Z") format. A space may separate the date and time, slashes
+ * may separate the date parts, and the time zone offset may omit the colon.
+ */
+const ISO_DATE_PATTERN =
+	/^(\d{4})(?:([-/]?)(\d{2})(?:\2(\d{2})(?:[T ](\d{2}):?(\d{2})(?::?(\d{2})(?:[.,](\d+))?)?)?)?)?\s*(Z|[+-]\d{2}(?::?\d{2})?)?$/i;
+
+/**
+ * Matches English month names, used to decide whether a non-ISO value is
+ * worth handing to the built-in date parser (e.g., RFC 2822 dates).
+ */
+const MONTH_NAME_PATTERN =
+	/\b(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\b/i;
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+/**
+ * Converts a time zone designator into an offset in minutes.
+ * @param {string|undefined} zone The time zone designator (e.g., "Z", "+0530", "-08:00").
+ * @returns {number} The offset from UTC in minutes.
+ */
+function getOffsetMinutes(zone) {
+	if (!zone || zone.toUpperCase() === "Z") {
+		return 0;
+	}
+
+	const sign = zone.startsWith("-") ? -1 : 1;
+	const digits = zone.slice(1).replace(":", "");
+	const hours = Number(digits.slice(0, 2));
+	const minutes = Number(digits.slice(2) || 0);
+
+	return sign * (hours * 60 + minutes);
+}
+
+/**
+ * Parses an ISO 8601 date string.
+ * @param {string} value The value to parse.
+ * @returns {Date|undefined} The date, or undefined if the value is not a valid ISO 8601 date.
+ */
+function parseIsoDate(value) {
+	const match = ISO_DATE_PATTERN.exec(value);
+
+	if (!match) {
+		return undefined;
+	}
+
+	const [
+		,
+		year,
+		,
+		month = "01",
+		day = "01",
+		hour = "00",
+		minute = "00",
+		second = "00",
+		fraction = "0",
+		zone,
+	] = match;
+
+	const parts = {
+		month: Number(month),
+		day: Number(day),
+		hour: Number(hour),
+		minute: Number(minute),
+		second: Number(second),
+	};
+
+	if (
+		parts.month < 1 ||
+		parts.month > 12 ||
+		parts.day < 1 ||
+		parts.day > 31 ||
+		parts.hour > 24 ||
+		parts.minute > 59 ||
+		parts.second > 60
+	) {
+		return undefined;
+	}
+
+	// Days past the end of the month (e.g., "2024-02-31") would roll over into
+	// the next month, so the calendar date must survive being built
+	const calendarDate = new Date(0);
+	calendarDate.setUTCFullYear(Number(year), parts.month - 1, parts.day);
+
+	if (
+		calendarDate.getUTCFullYear() !== Number(year) ||
+		calendarDate.getUTCMonth() !== parts.month - 1 ||
+		calendarDate.getUTCDate() !== parts.day
+	) {
+		return undefined;
+	}
+
+	const time = Date.UTC(
+		Number(year),
+		parts.month - 1,
+		parts.day,
+		parts.hour,
+		parts.minute,
+		parts.second,
+		Math.round(Number(`0.${fraction}`) * 1000),
+	);
+
+	return new Date(time - getOffsetMinutes(zone) * 60_000);
+}
+
+//-----------------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------------
+
+/**
+ * Parses a date from page metadata. ISO 8601 dates and common variants
+ * (a space instead of "T", slashes, basic format, offsets without a colon)
+ * are supported, as are dates with English month names such as RFC 2822 dates.
+ * Values without a time zone are treated as UTC.
+ * @param {string} value The value to parse.
+ * @returns {Date|undefined} The date, or undefined if the value cannot be parsed.
+ */
+export function parseDate(value) {
+	const text = value?.trim();
+
+	if (!text) {
+		return undefined;
+	}
+
+	const isoDate = parseIsoDate(text);
+
+	if (isoDate) {
+		return Number.isNaN(isoDate.getTime()) ? undefined : isoDate;
+	}
+
+	if (!MONTH_NAME_PATTERN.test(text)) {
+		return undefined;
+	}
+
+	const date = new Date(text);
+	return Number.isNaN(date.getTime()) ? undefined : date;
+}
@@ -0,0 +1,184 @@
+/**
+ * @fileoverview Utility for parsing malformed JSON commonly found in JSON-LD script blocks.
+ * @author Nicholas C. Zakas
+ */
+
+//-----------------------------------------------------------------------------
+// Data
+//-----------------------------------------------------------------------------
+
+/**
+ * Matches an HTML comment or CDATA opener at the start of a script block,
+ * optionally hidden from JavaScript with a line or block comment.
+ */
+const LEADING_WRAPPER_PATTERN =
+	/^\s*(?:\/\/|\/\*)?\s*(?:<!--|<!\[CDATA\[)(?:\s*\*\/)?/;
+
+/**
+ * Matches an HTML comment or CDATA closer at the end of a script block,
+ * optionally hidden from JavaScript with a line or block comment.
+ */
+const TRAILING_WRAPPER_PATTERN =
+	/(?:\/\/|\/\*)?\s*(?:-->|\]\]>)(?:\s*\*\/)?\s*$/;
+
+/**
+ * Matches the closing bracket that follows a trailing comma.
+ */
+const CLOSING_BRACKET_PATTERN = /\s*[}\]]/y;
+
+/**
+ * Escape sequences for control characters that are invalid inside JSON strings.
+ * @type {Map<string, string>}
+ */
+const CONTROL_CHARACTER_ESCAPES = new Map([
+	["\n", "\\n"],
+	["\r", "\\r"],
+	["\t", "\\t"],
+	["\b", "\\b"],
+	["\f", "\\f"],
+]);
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+/**
+ * Removes HTML comment and CDATA wrappers from around the text.
+ * @param {string} text The text.
+ * @returns {string} The text without wrappers.
+ */
+function removeWrappers(text) {
+	let result = text;
+	let previous;
+
+	do {
+		previous = result;
+		result = result
+			.replace(LEADING_WRAPPER_PATTERN, "")
+			.replace(TRAILING_WRAPPER_PATTERN, "");
+	} while (result !== previous);
+
+	return result;
+}
+
+/**
+ * Escapes control characters inside strings and removes trailing commas
+ * before closing brackets.
+ * @param {string} text The text.
+ * @returns {string} The repaired text.
+ */
+function repair(text) {
+	let result = "";
+	let inString = false;
+	let escaped = false;
+
+	for (let i = 0; i < text.length; i++) {
+		const char = text[i];
+
+		if (inString) {
+			if (escaped) {
+				escaped = false;
+				result += char;
+			} else if (char === "\\") {
+				escaped = true;
+				result += char;
+			} else if (char === '"') {
+				inString = false;
+				result += char;
+			} else if (char < " ") {
+				result +=
+					CONTROL_CHARACTER_ESCAPES.get(char) ??
+					`\\u${char.charCodeAt(0).toString(16).padStart(4, "0")}`;
+			} else {
+				result += char;
+			}
+
+			continue;
+		}
+
+		if (char === '"') {
+			inString = true;
+		} else if (char === ",") {
+			CLOSING_BRACKET_PATTERN.lastIndex = i + 1;
+
+			if (CLOSING_BRACKET_PATTERN.test(text)) {
+				continue;
+			}
+		}
+
+		result += char;
+	}
+
+	return result;
+}
+
+/**
+ * Splits text containing several concatenated top-level JSON values into
+ * separate values. Commas and semicolons between values are ignored.
+ * @param {string} text The text.
+ * @returns {string[]} The text of each value.
+ */
+function splitValues(text) {
+	/** @type {string[]} */
+	const result = [];
+	let depth = 0;
+	let start = -1;
+	let inString = false;
+	let escaped = false;
+
+	for (let i = 0; i < text.length; i++) {
+		const char = text[i];
+
+		if (inString) {
+			if (escaped) {
+				escaped = false;
+			} else if (char === "\\") {
+				escaped = true;
+			} else if (char === '"') {
+				inString = false;
+			}
+
+			continue;
+		}
+
+		if (char === '"') {
+			inString = true;
+		} else if (char === "{" || char === "[") {
+			if (depth === 0) {
+				start = i;
+			}
+
+			depth++;
+		} else if (char === "}" || char === "]") {
+			depth--;
+
+			if (depth === 0 && start !== -1) {
+				result.push(text.slice(start, i + 1));
+				start = -1;
+			}
+		} else if (depth === 0 && !/[\s,;]/.test(char)) {
+			// A value that isn't an object or array can't be split reliably
+			return [text];
+		}
+	}
+
+	return depth === 0 && result.length ? result : [text];
+}
+
+//-----------------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------------
+
+/**
+ * Parses JSON that may be malformed in ways commonly seen in JSON-LD script
+ * blocks: HTML comment or CDATA wrappers, trailing commas, unescaped control
+ * characters (such as newlines) in strings, and several concatenated objects.
+ * @param {string} text The text to parse.
+ * @returns {unknown[]} The parsed values, one for each concatenated value.
+ * @throws {SyntaxError} If the text cannot be parsed even after repairs.
+ */
+export function parseLenientJson(text) {
+	const repaired = repair(removeWrappers(text));
+
+	return splitValues(repaired).map(value => JSON.parse(value));
+}
@@ -0,0 +1,28 @@
+/**
+ * @fileoverview Utility for resolving relative URLs against a base URL.
+ * @author Nicholas C. Zakas
+ */
+
+//-----------------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------------
+
+/**
+ * Resolves a possibly relative URL against a base URL.
+ * If the value is empty, no base URL is provided, or the URL cannot be parsed,
+ * the original value is returned.
+ * @param {string} value The URL to resolve.
+ * @param {string|undefined} baseUrl The base URL to resolve against.
+ * @returns {string} The absolute URL, or the original value if it cannot be resolved.
+ */
+export function resolveUrl(value, baseUrl) {
+	if (!value || !baseUrl) {
+		return value;
+	}
+
+	try {
+		return new URL(value.trim(), baseUrl).href;
+	} catch {
+		return value;
+	}
+}
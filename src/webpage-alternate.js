@@ -0,0 +1,68 @@
+/**
+ * @fileoverview Represents a language alternate of the page.
+ * @author Nicholas C. Zakas
+ */
+
+//-----------------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------------
+
+/**
+ * Represents a language alternate of the page, from <link rel="alternate" hreflang>.
+ */
+export class WebpageAlternate {
+	/**
+	 * The href (URL) of the alternate.
+	 * @type {string}
+	 */
+	href;
+
+	/**
+	 * The href attribute exactly as it appeared in the document, before being
+	 * resolved against the base URL. Only set when URL resolution is enabled.
+	 * @type {string|undefined}
+	 */
+	rawHref;
+
+	/**
+	 * The language of the alternate (e.g., "en-US" or "x-default").
+	 * @type {string}
+	 */
+	hreflang;
+
+	/**
+	 * The media query the alternate is intended for, if available.
+	 * @type {string|undefined}
+	 */
+	media;
+
+	/**
+	 * The content-type of the alternate, if available.
+	 * @type {string|undefined}
+	 */
+	type;
+
+	/**
+	 * Creates a new WebpageAlternate instance.
+	 * @param {string} href The alternate URL (required).
+	 * @param {string} hreflang The language of the alternate (required).
+	 * @param {object} [options] Optional alternate properties.
+	 * @param {string} [options.media] The media attribute.
+	 * @param {string} [options.type] The type attribute.
+	 * @param {string} [options.rawHref] The unresolved alternate URL.
+	 * @throws {TypeError} If href or hreflang is missing.
+	 */
+	constructor(href, hreflang, options = {}) {
+		if (!href) {
+			throw new TypeError("WebpageAlternate: href is required");
+		}
+		if (!hreflang) {
+			throw new TypeError("WebpageAlternate: hreflang is required");
+		}
+		this.href = href;
+		this.hreflang = hreflang;
+		this.media = options.media;
+		this.type = options.type;
+		this.rawHref = options.rawHref;
+	}
+}
@@ -0,0 +1,73 @@
+/**
+ * @fileoverview Represents an Open Graph audio and its associated meta information.
+ * @author Nicholas C. Zakas
+ */
+
+//-----------------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------------
+
+export class WebpageAudio {
+	/**
+	 * The audio URL (required).
+	 * @type {string}
+	 */
+	url;
+
+	/**
+	 * The audio URL exactly as it appeared in the document, before being
+	 * resolved against the base URL. Only set when URL resolution is enabled.
+	 * @type {string|undefined}
+	 */
+	rawUrl;
+
+	/**
+	 * The audio secure URL (optional).
+	 * @type {string|undefined}
+	 */
+	secureUrl;
+
+	/**
+	 * The audio type (optional).
+	 * @type {string|undefined}
+	 */
+	type;
+
+	/**
+	 * Creates a new WebpageAudio instance.
+	 * @param {string} url The audio URL (required).
+	 * @param {object} [options] Optional audio properties.
+	 * @param {string} [options.secureUrl] The secure audio URL.
+	 * @param {string} [options.type] The audio type.
+	 * @param {string} [options.rawUrl] The unresolved audio URL.
+	 * @throws {TypeError} If url is missing.
+	 */
+	constructor(url, options = {}) {
+		if (!url) {
+			throw new TypeError("WebpageAudio: url is required");
+		}
+		this.url = url;
+		this.secureUrl = options.secureUrl;
+		this.type = options.type;
+		this.rawUrl = options.rawUrl;
+	}
+
+	/**
+	 * The file extension of the audio URL, including the leading dot (e.g., ".mp3").
+	 * Strips query strings and fragments before determining the extension.
+	 * Returns an empty string if no extension is found.
+	 * @returns {string} The file extension, or an empty string if not found.
+	 */
+	get extname() {
+		if (!this.url) {
+			return "";
+		}
+
+		const cleanUrl = this.url.split(/[?#]/)[0];
+		const lastDot = cleanUrl.lastIndexOf(".");
+		if (lastDot === -1 || lastDot < cleanUrl.lastIndexOf("/")) {
+			return "";
+		}
+		return cleanUrl.slice(lastDot).toLowerCase();
+	}
+}
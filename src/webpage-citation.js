@@ -0,0 +1,629 @@
+/**
+ * @fileoverview Represents scholarly citation metadata from Highwire Press (Google Scholar) tags.
+ * @author Nicholas C. Zakas
+ */
+
+//-----------------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------------
+
+import { resolveUrl } from "./resolve-url.js";
+
+//-----------------------------------------------------------------------------
+// Types
+//-----------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} CitationAuthor
+ * @property {string} name The author's name as written (e.g., "Doe, Jane").
+ * @property {string[]} institutions The author's institutions, in order.
+ * @property {string|undefined} email The author's email address.
+ * @property {string|undefined} orcid The author's ORCID iD.
+ */
+
+/**
+ * A name in CSL-JSON form.
+ * @typedef {{ family: string, given?: string } | { literal: string }} CslName
+ */
+
+/**
+ * A citation item in CSL-JSON form.
+ * @typedef {{ [key: string]: any }} CslItem
+ */
+
+//-----------------------------------------------------------------------------
+// Data
+//-----------------------------------------------------------------------------
+
+/**
+ * Tags holding a single value and the property they set. The first value wins.
+ * @type {Map<string, "title"|"journalTitle"|"journalAbbrev"|"conferenceTitle"|"bookTitle"|"publisher"|"volume"|"issue"|"firstPage"|"lastPage"|"doi"|"pmid"|"abstract"|"language"|"dissertationInstitution"|"technicalReportInstitution"|"technicalReportNumber">}
+ */
+const TEXT_TAGS = new Map([
+	["citation_title", "title"],
+	["citation_journal_title", "journalTitle"],
+	["citation_journal_abbrev", "journalAbbrev"],
+	["citation_conference_title", "conferenceTitle"],
+	["citation_inbook_title", "bookTitle"],
+	["citation_publisher", "publisher"],
+	["citation_volume", "volume"],
+	["citation_issue", "issue"],
+	["citation_firstpage", "firstPage"],
+	["citation_lastpage", "lastPage"],
+	["citation_doi", "doi"],
+	["citation_pmid", "pmid"],
+	["citation_abstract", "abstract"],
+	["citation_language", "language"],
+	["citation_dissertation_institution", "dissertationInstitution"],
+	["citation_technical_report_institution", "technicalReportInstitution"],
+	["citation_technical_report_number", "technicalReportNumber"],
+]);
+
+/**
+ * Tags holding a URL and the property they set. The first value wins.
+ * @type {Map<string, "pdfUrl"|"abstractHtmlUrl"|"fullTextHtmlUrl">}
+ */
+const URL_TAGS = new Map([
+	["citation_pdf_url", "pdfUrl"],
+	["citation_abstract_html_url", "abstractHtmlUrl"],
+	["citation_fulltext_html_url", "fullTextHtmlUrl"],
+]);
+
+/**
+ * Tags holding the publication date, most preferred first.
+ */
+const DATE_TAGS = [
+	"citation_publication_date",
+	"citation_date",
+	"citation_cover_date",
+	"citation_year",
+];
+
+/**
+ * Matches the year, month, and day at the start of a date such as
+ * "2024/01/05", "2024-01", or "2024".
+ */
+const DATE_PARTS_PATTERN = /^(\d{4})(?:[-/](\d{1,2})(?:[-/](\d{1,2}))?)?/;
+
+/**
+ * Matches a DOI prefix such as "doi:" or "https://doi.org/".
+ */
+const DOI_PREFIX_PATTERN = /^(?:doi:\s*|https?:\/\/(?:dx\.)?doi\.org\/)/i;
+
+/**
+ * BibTeX month macros, indexed by month number minus one.
+ */
+const BIBTEX_MONTHS = [
+	"jan",
+	"feb",
+	"mar",
+	"apr",
+	"may",
+	"jun",
+	"jul",
+	"aug",
+	"sep",
+	"oct",
+	"nov",
+	"dec",
+];
+
+/**
+ * BibTeX entry types keyed by CSL-JSON type.
+ * @type {Map<string, string>}
+ */
+const BIBTEX_ENTRY_TYPES = new Map([
+	["article-journal", "article"],
+	["paper-conference", "inproceedings"],
+	["chapter", "incollection"],
+	["thesis", "phdthesis"],
+	["report", "techreport"],
+	["book", "book"],
+	["article", "misc"],
+]);
+
+/**
+ * Short words skipped when choosing the title word for a citation key.
+ */
+const KEY_STOP_WORDS = new Set(["a", "an", "the", "on", "of", "in", "for"]);
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+/**
+ * Splits a semicolon-separated value into trimmed, non-empty parts.
+ * @param {string} value The value.
+ * @returns {string[]} The parts.
+ */
+function splitList(value) {
+	return value
+		.split(";")
+		.map(part => part.trim())
+		.filter(Boolean);
+}
+
+/**
+ * Converts an author name into a CSL-JSON name. "Doe, Jane" and "Jane Doe"
+ * both become { family: "Doe", given: "Jane" }, while a single word is kept
+ * as a literal name.
+ * @param {string} name The name.
+ * @returns {CslName} The CSL-JSON name.
+ */
+function toCslName(name) {
+	const comma = name.indexOf(",");
+
+	if (comma !== -1) {
+		const family = name.slice(0, comma).trim();
+		const given = name.slice(comma + 1).trim();
+		return given ? { family, given } : { literal: family };
+	}
+
+	const parts = name.trim().split(/\s+/);
+
+	if (parts.length === 1) {
+		return { literal: parts[0] };
+	}
+
+	return { family: parts.at(-1) ?? "", given: parts.slice(0, -1).join(" ") };
+}
+
+/**
+ * Returns the year, month, and day of a date that are present.
+ * @param {string|undefined} date The date as written.
+ * @returns {number[]|undefined} The date parts, or undefined if the date has no year.
+ */
+function getDateParts(date) {
+	const match = date ? DATE_PARTS_PATTERN.exec(date.trim()) : null;
+
+	if (!match) {
+		return undefined;
+	}
+
+	return match
+		.slice(1)
+		.filter(part => part !== undefined)
+		.map(Number);
+}
+
+/**
+ * Escapes characters that have a special meaning in BibTeX and LaTeX.
+ * @param {string} value The value.
+ * @returns {string} The escaped value.
+ */
+function escapeBibTeX(value) {
+	return value.replace(/[\\{}&%$#_]/g, char =>
+		char === "\\" ? "\\textbackslash{}" : `\\${char}`,
+	);
+}
+
+/**
+ * Formats a value for a BibTeX field by escaping it and wrapping it in braces.
+ * @param {string|undefined} value The value.
+ * @returns {string|undefined} The field value, or undefined if there is no value.
+ */
+function toBibTeXValue(value) {
+	return value ? `{${escapeBibTeX(value)}}` : undefined;
+}
+
+/**
+ * Formats a name for a BibTeX author field. Literal names are wrapped in
+ * braces so BibTeX does not split them.
+ * @param {CslName} name The name.
+ * @returns {string} The formatted name.
+ */
+function toBibTeXName(name) {
+	if ("literal" in name) {
+		return `{${escapeBibTeX(name.literal)}}`;
+	}
+
+	return escapeBibTeX(
+		name.given ? `${name.family}, ${name.given}` : name.family,
+	);
+}
+
+/**
+ * Converts text into a part of a citation key by removing accents and
+ * anything other than ASCII letters and digits.
+ * @param {string} text The text.
+ * @returns {string} The key part, which may be empty.
+ */
+function toKeyPart(text) {
+	return text
+		.normalize("NFD")
+		.replace(/[^A-Za-z0-9]/g, "")
+		.toLowerCase();
+}
+
+//-----------------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------------
+
+/**
+ * Represents the scholarly citation metadata of a page, from the Highwire
+ * Press citation_* meta tags used by Google Scholar.
+ */
+export class WebpageCitation {
+	/**
+	 * The title of the work.
+	 * @type {string|undefined}
+	 */
+	title;
+
+	/**
+	 * The authors in order, each with the institutions, email, and ORCID iD
+	 * from the tags that follow it.
+	 * @type {CitationAuthor[]}
+	 */
+	authors = [];
+
+	/**
+	 * The publication date as written (e.g., "2024/01/05").
+	 * @type {string|undefined}
+	 */
+	date;
+
+	/**
+	 * The date the work was published online, as written.
+	 * @type {string|undefined}
+	 */
+	onlineDate;
+
+	/**
+	 * The title of the journal.
+	 * @type {string|undefined}
+	 */
+	journalTitle;
+
+	/**
+	 * The abbreviated title of the journal.
+	 * @type {string|undefined}
+	 */
+	journalAbbrev;
+
+	/**
+	 * The title of the conference.
+	 * @type {string|undefined}
+	 */
+	conferenceTitle;
+
+	/**
+	 * The title of the book that contains the work.
+	 * @type {string|undefined}
+	 */
+	bookTitle;
+
+	/**
+	 * The publisher.
+	 * @type {string|undefined}
+	 */
+	publisher;
+
+	/**
+	 * The volume.
+	 * @type {string|undefined}
+	 */
+	volume;
+
+	/**
+	 * The issue.
+	 * @type {string|undefined}
+	 */
+	issue;
+
+	/**
+	 * The first page.
+	 * @type {string|undefined}
+	 */
+	firstPage;
+
+	/**
+	 * The last page.
+	 * @type {string|undefined}
+	 */
+	lastPage;
+
+	/**
+	 * The DOI without a "doi:" or "https://doi.org/" prefix.
+	 * @type {string|undefined}
+	 */
+	doi;
+
+	/**
+	 * The PubMed ID.
+	 * @type {string|undefined}
+	 */
+	pmid;
+
+	/**
+	 * The ISSNs of the journal.
+	 * @type {string[]}
+	 */
+	issn = [];
+
+	/**
+	 * The ISBNs of the book.
+	 * @type {string[]}
+	 */
+	isbn = [];
+
+	/**
+	 * The URL of the PDF.
+	 * @type {string|undefined}
+	 */
+	pdfUrl;
+
+	/**
+	 * The URL of the abstract page.
+	 * @type {string|undefined}
+	 */
+	abstractHtmlUrl;
+
+	/**
+	 * The URL of the full text page.
+	 * @type {string|undefined}
+	 */
+	fullTextHtmlUrl;
+
+	/**
+	 * The abstract.
+	 * @type {string|undefined}
+	 */
+	abstract;
+
+	/**
+	 * The keywords.
+	 * @type {string[]}
+	 */
+	keywords = [];
+
+	/**
+	 * The language of the work.
+	 * @type {string|undefined}
+	 */
+	language;
+
+	/**
+	 * The institution that granted the degree for a dissertation.
+	 * @type {string|undefined}
+	 */
+	dissertationInstitution;
+
+	/**
+	 * The institution that published a technical report.
+	 * @type {string|undefined}
+	 */
+	technicalReportInstitution;
+
+	/**
+	 * The number of a technical report.
+	 * @type {string|undefined}
+	 */
+	technicalReportNumber;
+
+	/**
+	 * Creates a new WebpageCitation instance.
+	 * @param {Array<[string, string]>} [tags] The citation_* meta tag names and values in document order.
+	 * @param {object} [options] Optional settings.
+	 * @param {string} [options.baseUrl] The base URL used to resolve URLs.
+	 */
+	constructor(tags = [], options = {}) {
+		/** @type {Map<string, string>} */
+		const dates = new Map();
+
+		for (const [tagName, tagValue] of tags) {
+			const name = tagName.trim().toLowerCase();
+			const value = tagValue.trim();
+			const textProperty = TEXT_TAGS.get(name);
+			const urlProperty = URL_TAGS.get(name);
+			const author = this.authors.at(-1);
+
+			if (!value) {
+				continue;
+			}
+
+			if (textProperty) {
+				this[textProperty] ??= value;
+			} else if (urlProperty) {
+				this[urlProperty] ??= resolveUrl(value, options.baseUrl);
+			} else if (DATE_TAGS.includes(name)) {
+				if (!dates.has(name)) {
+					dates.set(name, value);
+				}
+			} else if (name === "citation_online_date") {
+				this.onlineDate ??= value;
+			} else if (name === "citation_author") {
+				this.authors.push({
+					name: value,
+					institutions: [],
+					email: undefined,
+					orcid: undefined,
+				});
+			} else if (name === "citation_authors") {
+				for (const authorName of splitList(value)) {
+					this.authors.push({
+						name: authorName,
+						institutions: [],
+						email: undefined,
+						orcid: undefined,
+					});
+				}
+			} else if (name === "citation_author_institution") {
+				author?.institutions.push(value);
+			} else if (name === "citation_author_email" && author) {
+				author.email ??= value;
+			} else if (name === "citation_author_orcid" && author) {
+				author.orcid ??= value;
+			} else if (name === "citation_issn") {
+				this.issn.push(value);
+			} else if (name === "citation_isbn") {
+				this.isbn.push(value);
+			} else if (name === "citation_keywords") {
+				this.keywords.push(...splitList(value));
+			}
+		}
+
+		this.date = DATE_TAGS.map(name => dates.get(name)).find(Boolean);
+
+		if (this.doi) {
+			this.doi = this.doi.replace(DOI_PREFIX_PATTERN, "");
+		}
+	}
+
+	/**
+	 * The CSL-JSON type of the work, inferred from the tags that are present.
+	 * @returns {"article-journal"|"paper-conference"|"chapter"|"thesis"|"report"|"book"|"article"} The type.
+	 */
+	get type() {
+		if (this.journalTitle) {
+			return "article-journal";
+		}
+
+		if (this.conferenceTitle) {
+			return "paper-conference";
+		}
+
+		if (this.bookTitle) {
+			return "chapter";
+		}
+
+		if (this.dissertationInstitution) {
+			return "thesis";
+		}
+
+		if (this.technicalReportInstitution || this.technicalReportNumber) {
+			return "report";
+		}
+
+		return this.isbn.length ? "book" : "article";
+	}
+
+	/**
+	 * A citation key made from the first author's family name, the year, and
+	 * the first significant word of the title (e.g., "doe2024deep"). Only ASCII
+	 * letters and digits are kept, and "anonymous" stands in for a family name
+	 * that has none, so the key is never empty.
+	 * @returns {string} The citation key.
+	 */
+	get key() {
+		const [author] = this.authors;
+		const name = author ? toCslName(author.name) : undefined;
+		const family = name
+			? "literal" in name
+				? name.literal
+				: name.family
+			: "";
+		const year = getDateParts(this.date)?.[0] ?? "";
+		const word =
+			(this.title ?? "")
+				.toLowerCase()
+				.split(/[^\p{L}\p{N}]+/u)
+				.find(part => part && !KEY_STOP_WORDS.has(part)) ?? "";
+
+		return `${toKeyPart(family.split(/\s+/)[0]) || "anonymous"}${year}${toKeyPart(word)}`;
+	}
+
+	/**
+	 * Converts the citation into a CSL-JSON item, the format used by citation
+	 * processors such as citeproc-js and reference managers such as Zotero.
+	 * Properties without a value are omitted.
+	 * @returns {CslItem} The CSL-JSON item.
+	 */
+	toCSL() {
+		const dateParts = getDateParts(this.date);
+		const page =
+			this.firstPage && this.lastPage
+				? `${this.firstPage}-${this.lastPage}`
+				: this.firstPage;
+
+		/** @type {CslItem} */
+		const item = {
+			id: this.key,
+			type: this.type,
+			title: this.title,
+			author: this.authors.length
+				? this.authors.map(author => toCslName(author.name))
+				: undefined,
+			issued: dateParts ? { "date-parts": [dateParts] } : undefined,
+			"container-title":
+				this.journalTitle ?? this.conferenceTitle ?? this.bookTitle,
+			"container-title-short": this.journalAbbrev,
+			publisher:
+				this.publisher ??
+				this.dissertationInstitution ??
+				this.technicalReportInstitution,
+			volume: this.volume,
+			issue: this.issue,
+			page,
+			number: this.technicalReportNumber,
+			DOI: this.doi,
+			PMID: this.pmid,
+			ISSN: this.issn[0],
+			ISBN: this.isbn[0],
+			URL: this.fullTextHtmlUrl ?? this.abstractHtmlUrl ?? this.pdfUrl,
+			abstract: this.abstract,
+			keyword: this.keywords.length
+				? this.keywords.join(", ")
+				: undefined,
+			language: this.language,
+		};
+
+		return Object.fromEntries(
+			Object.entries(item).filter(([, value]) => value !== undefined),
+		);
+	}
+
+	/**
+	 * Converts the citation into a BibTeX entry. The entry type is inferred the
+	 * same way as type (e.g., @article for journal articles), and special
+	 * characters in values are escaped.
+	 * @returns {string} The BibTeX entry.
+	 */
+	toBibTeX() {
+		const dateParts = getDateParts(this.date);
+		const pages =
+			this.firstPage && this.lastPage
+				? `${this.firstPage}--${this.lastPage}`
+				: this.firstPage;
+
+		const month = dateParts?.[1];
+		const url = this.fullTextHtmlUrl ?? this.abstractHtmlUrl ?? this.pdfUrl;
+		const authors = this.authors
+			.map(author => toBibTeXName(toCslName(author.name)))
+			.join(" and ");
+
+		// Values are formatted already since month macros are not braced
+		/** @type {Array<[string, string|undefined]>} */
+		const fields = [
+			["title", toBibTeXValue(this.title)],
+			["author", authors ? `{${authors}}` : undefined],
+			["journal", toBibTeXValue(this.journalTitle)],
+			[
+				"booktitle",
+				toBibTeXValue(this.conferenceTitle ?? this.bookTitle),
+			],
+			["school", toBibTeXValue(this.dissertationInstitution)],
+			["institution", toBibTeXValue(this.technicalReportInstitution)],
+			["publisher", toBibTeXValue(this.publisher)],
+			["year", dateParts && `{${dateParts[0]}}`],
+			[
+				"month",
+				month && month <= 12 ? BIBTEX_MONTHS[month - 1] : undefined,
+			],
+			["volume", toBibTeXValue(this.volume)],
+			["number", toBibTeXValue(this.issue ?? this.technicalReportNumber)],
+			["pages", toBibTeXValue(pages)],
+			["doi", toBibTeXValue(this.doi)],
+			["issn", toBibTeXValue(this.issn[0])],
+			["isbn", toBibTeXValue(this.isbn[0])],
+			["url", url && `{${url}}`],
+			["keywords", toBibTeXValue(this.keywords.join(", "))],
+		];
+
+		const lines = fields
+			.filter(([, value]) => value)
+			.map(([name, value]) => `  ${name} = ${value}`);
+
+		return `@${BIBTEX_ENTRY_TYPES.get(this.type)}{${this.key},\n${lines.join(",\n")}\n}`;
+	}
+}
@@ -29,12 +29,32 @@ export class WebpageFavicon {
 	 */
 	href;
 
+	/**
+	 * The href attribute exactly as it appeared in the document, before being
+	 * resolved against the base URL. Only set when URL resolution is enabled.
+	 * @type {string|undefined}
+	 */
+	rawHref;
+
 	/**
 	 * The sizes attribute of the favicon.
 	 * @type {string|undefined}
 	 */
 	sizes;
 
+	/**
+	 * The color attribute of the favicon, used by mask-icon (optional).
+	 * @type {string|undefined}
+	 */
+	color;
+
+	/**
+	 * The purpose of a web app manifest icon (e.g., "any", "maskable", "monochrome").
+	 * Only set for icons from a web app manifest.
+	 * @type {string|undefined}
+	 */
+	purpose;
+
 	/**
 	 * Creates a new Favicon instance.
 	 * @param {string} href The href attribute (required).
@@ -42,6 +62,9 @@ export class WebpageFavicon {
 	 * @param {string} [options.rel] The rel attribute.
 	 * @param {string} [options.type] The type attribute.
 	 * @param {string} [options.sizes] The sizes attribute.
+	 * @param {string} [options.color] The color attribute.
+	 * @param {string} [options.purpose] The manifest icon purpose.
+	 * @param {string} [options.rawHref] The unresolved href attribute.
 	 * @throws {TypeError} If href is missing.
 	 */
 	constructor(href, options = {}) {
@@ -52,6 +75,9 @@ export class WebpageFavicon {
 		this.rel = options.rel;
 		this.type = options.type;
 		this.sizes = options.sizes;
+		this.color = options.color;
+		this.purpose = options.purpose;
+		this.rawHref = options.rawHref;
 	}
 
 	/**
@@ -17,6 +17,13 @@ export class WebpageFeed {
 	 */
 	href;
 
+	/**
+	 * The href attribute exactly as it appeared in the document, before being
+	 * resolved against the base URL. Only set when URL resolution is enabled.
+	 * @type {string|undefined}
+	 */
+	rawHref;
+
 	/**
 	 * The title of the feed, if available.
 	 * @type {string|undefined}
@@ -35,6 +42,7 @@ export class WebpageFeed {
 	 * @param {object} [options] Optional feed properties.
 	 * @param {string} [options.title] The feed title.
 	 * @param {string} [options.type] The feed type.
+	 * @param {string} [options.rawHref] The unresolved feed URL.
 	 * @throws {TypeError} If href is missing.
 	 */
 	constructor(href, options = {}) {
@@ -44,5 +52,6 @@ export class WebpageFeed {
 		this.href = href;
 		this.title = options.title;
 		this.type = options.type;
+		this.rawHref = options.rawHref;
 	}
 }
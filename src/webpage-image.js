@@ -14,6 +14,13 @@ export class WebpageImage {
 	 */
 	url;
 
+	/**
+	 * The image URL exactly as it appeared in the document, before being
+	 * resolved against the base URL. Only set when URL resolution is enabled.
+	 * @type {string|undefined}
+	 */
+	rawUrl;
+
 	/**
 	 * The image secure URL (optional).
 	 * @type {string|undefined}
@@ -53,6 +60,7 @@ export class WebpageImage {
 	 * @param {number} [options.width] The image width.
 	 * @param {number} [options.height] The image height.
 	 * @param {string} [options.alt] The image alt text.
+	 * @param {string} [options.rawUrl] The unresolved image URL.
 	 * @throws {TypeError} If url is missing.
 	 */
 	constructor(url, options = {}) {
@@ -65,6 +73,7 @@ export class WebpageImage {
 		this.width = options.width;
 		this.height = options.height;
 		this.alt = options.alt;
+		this.rawUrl = options.rawUrl;
 	}
 
 	/**
@@ -0,0 +1,165 @@
+/**
+ * @fileoverview Represents a web app manifest linked from the page.
+ * @author Nicholas C. Zakas
+ */
+
+//-----------------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------------
+
+import { WebpageFavicon } from "./webpage-favicon.js";
+import { resolveUrl } from "./resolve-url.js";
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+/**
+ * Returns the trimmed value if it's a non-empty string, otherwise undefined.
+ * @param {unknown} value The value to check.
+ * @returns {string|undefined} The trimmed string or undefined.
+ */
+function toOptionalString(value) {
+	if (typeof value !== "string") {
+		return undefined;
+	}
+
+	return value.trim() || undefined;
+}
+
+//-----------------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------------
+
+/**
+ * Represents a web app manifest linked from the page.
+ */
+export class WebpageManifest {
+	/**
+	 * The URL of the manifest, used to resolve relative URLs (optional).
+	 * @type {string|undefined}
+	 */
+	url;
+
+	/**
+	 * The name of the web app (optional).
+	 * @type {string|undefined}
+	 */
+	name;
+
+	/**
+	 * The short name of the web app (optional).
+	 * @type {string|undefined}
+	 */
+	shortName;
+
+	/**
+	 * The icons of the web app.
+	 * @type {WebpageFavicon[]}
+	 */
+	icons;
+
+	/**
+	 * The theme color of the web app (optional).
+	 * @type {string|undefined}
+	 */
+	themeColor;
+
+	/**
+	 * The background color of the web app (optional).
+	 * @type {string|undefined}
+	 */
+	backgroundColor;
+
+	/**
+	 * The start URL of the web app (optional).
+	 * @type {string|undefined}
+	 */
+	startUrl;
+
+	/**
+	 * Creates a new WebpageManifest instance.
+	 * @param {object} [options] Optional manifest properties.
+	 * @param {string} [options.url] The URL of the manifest.
+	 * @param {string} [options.name] The name of the web app.
+	 * @param {string} [options.shortName] The short name of the web app.
+	 * @param {WebpageFavicon[]} [options.icons] The icons of the web app.
+	 * @param {string} [options.themeColor] The theme color of the web app.
+	 * @param {string} [options.backgroundColor] The background color of the web app.
+	 * @param {string} [options.startUrl] The start URL of the web app.
+	 */
+	constructor(options = {}) {
+		this.url = options.url;
+		this.name = options.name;
+		this.shortName = options.shortName;
+		this.icons = options.icons ?? [];
+		this.themeColor = options.themeColor;
+		this.backgroundColor = options.backgroundColor;
+		this.startUrl = options.startUrl;
+	}
+
+	/**
+	 * Parses the text of a web app manifest into a WebpageManifest.
+	 * When a manifest URL is provided, icon URLs and the start URL are resolved against it.
+	 * Icons without a src are ignored.
+	 * @param {string} text The JSON text of the manifest.
+	 * @param {string|URL} [manifestUrl] The URL the manifest was loaded from.
+	 * @returns {WebpageManifest} The parsed manifest.
+	 * @throws {TypeError} If text is not a string.
+	 * @throws {Error} If text is not valid JSON or does not contain a JSON object.
+	 */
+	static parse(text, manifestUrl) {
+		if (typeof text !== "string") {
+			throw new TypeError("Expected manifest text to be a string.");
+		}
+
+		let json;
+
+		try {
+			json = JSON.parse(text);
+		} catch (error) {
+			throw new Error("Invalid manifest JSON.", { cause: error });
+		}
+
+		if (!json || typeof json !== "object" || Array.isArray(json)) {
+			throw new Error("Expected manifest to be a JSON object.");
+		}
+
+		const url = manifestUrl && String(manifestUrl);
+
+		/** @type {WebpageFavicon[]} */
+		const icons = [];
+
+		if (Array.isArray(json.icons)) {
+			for (const icon of json.icons) {
+				const src = toOptionalString(icon?.src);
+
+				if (!src) {
+					continue;
+				}
+
+				icons.push(
+					new WebpageFavicon(resolveUrl(src, url), {
+						rel: "manifest",
+						type: toOptionalString(icon.type),
+						sizes: toOptionalString(icon.sizes),
+						purpose: toOptionalString(icon.purpose),
+						rawHref: url ? src : undefined,
+					}),
+				);
+			}
+		}
+
+		const startUrl = toOptionalString(json.start_url);
+
+		return new WebpageManifest({
+			url,
+			name: toOptionalString(json.name),
+			shortName: toOptionalString(json.short_name),
+			icons,
+			themeColor: toOptionalString(json.theme_color),
+			backgroundColor: toOptionalString(json.background_color),
+			startUrl: startUrl && resolveUrl(startUrl, url),
+		});
+	}
+}
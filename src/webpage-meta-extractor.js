@@ -12,6 +12,18 @@ import { WebpageFeed } from "./webpage-feed.js";
 import { WebpageImage } from "./webpage-image.js";
 import { WebpageFavicon } from "./webpage-favicon.js";
 import { WebpageVideo } from "./webpage-video.js";
+import { WebpageAudio } from "./webpage-audio.js";
+import { WebpageOEmbedEndpoint } from "./webpage-oembed-endpoint.js";
+import { WebpageAlternate } from "./webpage-alternate.js";
+import { resolveUrl } from "./resolve-url.js";
+import { decodeHtmlEntities } from "./decode-html-entities.js";
+import { parseLenientJson } from "./parse-lenient-json.js";
+import { parseDate } from "./parse-date.js";
+import { extractRdfa } from "./extract-rdfa.js";
+import { extractMicroformats } from "./extract-microformats.js";
+import { extractDublinCore } from "./extract-dublin-core.js";
+import { extractContent } from "./extract-content.js";
+import { isRobotsContent } from "./webpage-robots.js";
 
 //-----------------------------------------------------------------------------
 // Data
@@ -28,39 +40,186 @@ const ALLOWED_FEED_TYPES = new Set([
 	"application/json",
 ]);
 
+/**
+ * The standard HTML metadata names, which never hold robots directives even
+ * when their content happens to look like them.
+ * @type {Set<string>}
+ */
+const STANDARD_META_NAMES = new Set([
+	"application-name",
+	"author",
+	"color-scheme",
+	"description",
+	"generator",
+	"keywords",
+	"referrer",
+	"theme-color",
+	"viewport",
+]);
+
+/**
+ * oEmbed discovery content-types and their response formats.
+ * @type {Map<string, "json"|"xml">}
+ */
+const OEMBED_FORMATS_BY_TYPE = new Map([
+	["application/json+oembed", "json"],
+	["text/xml+oembed", "xml"],
+	["application/xml+oembed", "xml"],
+]);
+
+/**
+ * Link rel tokens that identify an icon.
+ * @type {Set<string>}
+ */
+const ICON_RELS = new Set([
+	"icon",
+	"apple-touch-icon",
+	"apple-touch-icon-precomposed",
+	"mask-icon",
+	"fluid-icon",
+]);
+
+/**
+ * Matches schema.org item types over http or https.
+ */
+const SCHEMA_ORG_TYPE_PATTERN = /^https?:\/\/schema\.org\//i;
+
+/**
+ * schema.org properties whose values are numbers, converted when typed
+ * microdata output is enabled.
+ * @type {Set<string>}
+ */
+const SCHEMA_ORG_NUMBER_PROPERTIES = new Set([
+	"price",
+	"lowPrice",
+	"highPrice",
+	"offerCount",
+	"ratingValue",
+	"bestRating",
+	"worstRating",
+	"ratingCount",
+	"reviewCount",
+	"commentCount",
+	"wordCount",
+	"numberOfPages",
+	"position",
+	"latitude",
+	"longitude",
+	"minValue",
+	"maxValue",
+]);
+
+/**
+ * schema.org properties whose values are dates, converted when typed
+ * microdata output is enabled.
+ * @type {Set<string>}
+ */
+const SCHEMA_ORG_DATE_PROPERTIES = new Set([
+	"datePublished",
+	"dateModified",
+	"dateCreated",
+	"uploadDate",
+	"startDate",
+	"endDate",
+	"birthDate",
+	"deathDate",
+	"validFrom",
+	"validThrough",
+	"priceValidUntil",
+	"expires",
+]);
+
 //-----------------------------------------------------------------------------
 // Helpers
 //-----------------------------------------------------------------------------
 
 /**
- * Decodes HTML entities in a string using text-based replacement.
- * Handles common named and numeric entities.
- * @param {string} value
- * @returns {string}
+ * Normalizes the page URL passed to the extractor.
+ * @param {string|URL} pageUrl The URL of the page.
+ * @returns {string} The normalized page URL.
+ * @throws {TypeError} If the page URL is not a valid absolute URL.
  */
-function decodeHtmlEntities(value) {
-	if (!value || typeof value !== "string") {
-		return value;
+function getPageUrl(pageUrl) {
+	try {
+		return new URL(pageUrl).href;
+	} catch {
+		throw new TypeError("Expected options.url to be an absolute URL.");
 	}
-	return value
-		.replace(/&amp;/g, "&")
-		.replace(/&lt;/g, "<")
-		.replace(/&gt;/g, ">")
-		.replace(/&quot;/g, '"')
-		.replace(/&#39;|&apos;/g, "'")
-		.replace(/&#(x?)([0-9a-fA-F]+);/g, (m, hex, code) => {
-			const n = hex ? parseInt(code, 16) : parseInt(code, 10);
-			return String.fromCodePoint(n);
-		});
+}
+
+/**
+ * Determines the base URL for a document given the page URL, honoring any
+ * <base href> element in the document.
+ * @param {any} document The DOM Document.
+ * @param {string} pageUrl The normalized URL of the page.
+ * @returns {string} The base URL.
+ */
+function getBaseUrl(document, pageUrl) {
+	const baseTag = document.querySelector("base[href]");
+	const baseHref = baseTag?.getAttribute("href");
+
+	return baseHref ? resolveUrl(baseHref, pageUrl) : pageUrl;
+}
+
+/**
+ * Converts a microdata property value into a number or date when typed output
+ * is enabled. Values of <meter> elements become numbers, as do values of <data>
+ * elements written in canonical number form (so "0012" stays a string), and
+ * values of <time> elements become dates. For schema.org items, known numeric
+ * and date properties are converted regardless of the element.
+ * @param {any} elem The property element.
+ * @param {string} name The property name.
+ * @param {string} value The string value.
+ * @param {boolean} isSchemaOrg Whether the item has a schema.org type.
+ * @returns {string|number|Date} The typed value, or the string if it can't be converted.
+ */
+function toTypedMicrodataValue(elem, name, value, isSchemaOrg) {
+	const isNumberProperty =
+		isSchemaOrg && SCHEMA_ORG_NUMBER_PROPERTIES.has(name);
+
+	if (
+		(elem.tagName === "METER" ||
+			elem.tagName === "DATA" ||
+			isNumberProperty) &&
+		value.trim()
+	) {
+		const num = Number(value);
+
+		// <data> often holds identifiers such as SKUs and GTINs, so only values
+		// that survive the round trip (no leading zeros) become numbers
+		if (
+			Number.isFinite(num) &&
+			(elem.tagName !== "DATA" ||
+				isNumberProperty ||
+				String(num) === value.trim())
+		) {
+			return num;
+		}
+	}
+
+	if (
+		elem.tagName === "TIME" ||
+		(isSchemaOrg && SCHEMA_ORG_DATE_PROPERTIES.has(name))
+	) {
+		return parseDate(value) ?? value;
+	}
+
+	return value;
 }
 
 /**
  * Recursively extracts a microdata item as a JSON object.
  * @param {any} itemElem
  * @param {Set<any>} memory
+ * @param {object} [options]
+ * @param {string} [options.baseUrl] The base URL used to resolve URL property values and item IDs.
+ * @param {boolean} [options.strict] When true, type is an array of every item type.
+ * @param {boolean} [options.typed] When true, numbers and dates are converted from strings.
  * @returns {object|undefined}
  */
-function extractMicrodataItem(itemElem, memory = new Set()) {
+function extractMicrodataItem(itemElem, memory = new Set(), options = {}) {
+	const { baseUrl, strict = false, typed = false } = options;
+
 	if (memory.has(itemElem)) {
 		return undefined;
 	}
@@ -71,17 +230,18 @@ function extractMicrodataItem(itemElem, memory = new Set()) {
 
 	// type
 	const itemtype = itemElem.getAttribute("itemtype");
-	if (itemtype) {
-		const types = itemtype.trim().split(/\s+/).filter(Boolean);
-		if (types.length) {
-			result.type = types[0]; // always a string, not an array
-		}
+	/** @type {string[]} */
+	const types = itemtype ? itemtype.trim().split(/\s+/).filter(Boolean) : [];
+	if (types.length) {
+		// a string unless strict WHATWG output is requested
+		result.type = strict ? types : types[0];
 	}
+	const isSchemaOrg = types.some(type => SCHEMA_ORG_TYPE_PATTERN.test(type));
 
 	// id
 	const itemid = itemElem.getAttribute("itemid");
 	if (itemid) {
-		result.id = itemid.trim();
+		result.id = strict ? resolveUrl(itemid.trim(), baseUrl) : itemid.trim();
 	}
 
 	// properties
@@ -143,14 +303,14 @@ function extractMicrodataItem(itemElem, memory = new Set()) {
 			.filter(Boolean);
 		let value;
 		if (elem.hasAttribute("itemscope")) {
-			value = extractMicrodataItem(elem, memory);
+			value = extractMicrodataItem(elem, nextMemory, options);
 			if (typeof value === "undefined") {
 				continue; // skip cyclic reference
 			}
 		} else if (elem.tagName === "META") {
 			value = decodeHtmlEntities(elem.getAttribute("content") || "");
 		} else if (["A", "AREA", "LINK"].includes(elem.tagName)) {
-			value = elem.getAttribute("href") || "";
+			value = resolveUrl(elem.getAttribute("href") || "", baseUrl);
 		} else if (
 			[
 				"AUDIO",
@@ -162,9 +322,9 @@ function extractMicrodataItem(itemElem, memory = new Set()) {
 				"VIDEO",
 			].includes(elem.tagName)
 		) {
-			value = elem.getAttribute("src") || "";
+			value = resolveUrl(elem.getAttribute("src") || "", baseUrl);
 		} else if (elem.tagName === "OBJECT") {
-			value = elem.getAttribute("data") || "";
+			value = resolveUrl(elem.getAttribute("data") || "", baseUrl);
 		} else if (elem.tagName === "DATA") {
 			value = elem.getAttribute("value") || "";
 		} else if (elem.tagName === "METER") {
@@ -178,7 +338,11 @@ function extractMicrodataItem(itemElem, memory = new Set()) {
 			if (!properties[name]) {
 				properties[name] = [];
 			}
-			properties[name].push(value);
+			properties[name].push(
+				typed && typeof value === "string"
+					? toTypedMicrodataValue(elem, name, value, isSchemaOrg)
+					: value,
+			);
 		}
 	}
 
@@ -206,10 +370,30 @@ export class WebpageMetaExtractor {
 	 * Extracts Open Graph, Twitter Card, and other meta tag information from a DOM Document.
 	 *
 	 * @param {any} document - A DOM Document (e.g., from jsdom or DenoDom).
+	 * @param {object} [options] - Extraction options.
+	 * @param {string|URL} [options.url] - The URL of the page. When provided, all extracted
+	 *      URLs are resolved against it (honoring any <base href>) and the original
+	 *      values are kept in the corresponding raw properties.
+	 * @param {boolean} [options.lenientJsonLd=false] - When true, JSON-LD blocks that
+	 *      are not valid JSON are repaired where possible (HTML comment and CDATA
+	 *      wrappers, trailing commas, unescaped newlines, concatenated objects).
+	 * @param {boolean} [options.strictMicrodata=false] - When true, microdata follows the
+	 *      WHATWG JSON algorithm more closely: type is an array of every item type, and
+	 *      URL property values and item IDs are absolute URLs (resolved against the
+	 *      url option or the document's base URL).
+	 * @param {boolean} [options.typedMicrodata=false] - When true, microdata values of
+	 *      <meter> and <data> elements become numbers, <time> values become Date
+	 *      objects, and known numeric and date properties of schema.org items are
+	 *      converted as well.
+	 * @param {boolean} [options.extractMainContent=false] - When true, the main content
+	 *      of the page is identified with a readability-style heuristic and its
+	 *      cleaned HTML, text, word count, reading time, and lead image are
+	 *      returned in mainContent.
 	 * @returns {WebpageMeta} An instance of WebpageMeta containing extracted data.
 	 * @throws {TypeError} If the argument is not a valid Document.
+	 * @throws {TypeError} If options.url is not a valid absolute URL.
 	 */
-	extract(document) {
+	extract(document, options = {}) {
 		if (!document || typeof document.querySelectorAll !== "function") {
 			throw new TypeError(
 				"Expected a DOM Document with querySelectorAll.",
@@ -219,6 +403,28 @@ export class WebpageMetaExtractor {
 		const OG_PREFIX = "og:";
 		const metaTags = document.querySelectorAll("meta");
 		const result = new WebpageMeta();
+		const pageUrl =
+			typeof options.url === "undefined"
+				? undefined
+				: getPageUrl(options.url);
+		const baseUrl = pageUrl && getBaseUrl(document, pageUrl);
+
+		result.pageUrl = pageUrl;
+		result.baseUrl = baseUrl;
+		result.htmlLang =
+			document.documentElement?.getAttribute("lang")?.trim() || undefined;
+
+		/**
+		 * Resolves a URL against the base URL and returns both the resolved
+		 * and raw values. The raw value is only returned when resolution is enabled.
+		 * @param {string} value
+		 * @returns {{ url: string, raw: string|undefined }}
+		 */
+		function resolve(value) {
+			return baseUrl
+				? { url: resolveUrl(value, baseUrl), raw: value }
+				: { url: value, raw: undefined };
+		}
 
 		/**
 		 * Adds a value to a map of arrays.
@@ -236,21 +442,46 @@ export class WebpageMetaExtractor {
 			}
 		}
 
-		// Extract <link rel="icon"> and <link rel="shortcut icon"> (and all rels containing "icon")
+		// Extract <link rel="icon">, <link rel="shortcut icon">, all other icon rels, and <link rel="manifest">
 		const linkTags = document.querySelectorAll("link[rel]");
 		for (const tag of linkTags) {
-			const rel = tag.getAttribute("rel").trim().toLowerCase();
+			/** @type {string[]} */
+			const relTokens = tag
+				.getAttribute("rel")
+				.trim()
+				.toLowerCase()
+				.split(/\s+/)
+				.filter(Boolean);
+			const rel = relTokens.join(" ");
 			const href = tag.getAttribute("href");
 			const type = tag.getAttribute("type") || undefined;
 			const sizes = tag.getAttribute("sizes") || undefined;
+			const color = tag.getAttribute("color") || undefined;
 
 			if (!href || !rel) {
 				continue;
 			}
 
-			if (rel === "icon" || rel === "shortcut icon") {
+			if (relTokens.includes("author")) {
+				result.authorUrls.push(resolve(href).url);
+			}
+
+			if (relTokens.includes("manifest") && !result.manifestUrl) {
+				const { url, raw } = resolve(href);
+				result.manifestUrl = url;
+				result.rawManifestUrl = raw;
+			}
+
+			if (relTokens.some(token => ICON_RELS.has(token))) {
+				const { url, raw } = resolve(href);
 				result.favicons.push(
-					new WebpageFavicon(href, { rel, type, sizes }),
+					new WebpageFavicon(url, {
+						rel,
+						type,
+						sizes,
+						color,
+						rawHref: raw,
+					}),
 				);
 			}
 		}
@@ -266,10 +497,36 @@ export class WebpageMetaExtractor {
 
 			const content = decodeHtmlEntities(contentRaw);
 
+			const httpEquiv = tag
+				.getAttribute("http-equiv")
+				?.trim()
+				.toLowerCase();
+
+			if (httpEquiv) {
+				addToMap(result.httpEquiv, httpEquiv, content);
+			}
+
+			// Any <meta name> may address a bot, so every name whose content holds
+			// robots directives is recorded (e.g., "robots", "googlebot", "CCBot")
+			const botName = name?.trim().toLowerCase();
+			if (
+				botName &&
+				!STANDARD_META_NAMES.has(botName) &&
+				isRobotsContent(content)
+			) {
+				addToMap(result.robotsRules, botName, content);
+			}
+
+			// Citation tags are kept in order to pair authors with institutions
+			if (name && /^citation_/i.test(name.trim())) {
+				result.citationTags.push([name.trim(), content]);
+			}
+
 			// Special Open Graph image handling (property only)
 			if (property && property.startsWith(OG_PREFIX)) {
 				if (property === "og:image" || property === "og:image:url") {
-					result.images.push(new WebpageImage(content));
+					const { url, raw } = resolve(content);
+					result.images.push(new WebpageImage(url, { rawUrl: raw }));
 				} else if (
 					property.startsWith("og:image:") &&
 					result.images.length > 0
@@ -277,7 +534,7 @@ export class WebpageMetaExtractor {
 					const lastImage = result.images[result.images.length - 1];
 					const subKey = property.slice("og:image:".length);
 					if (subKey === "secure_url") {
-						lastImage.secureUrl = content;
+						lastImage.secureUrl = resolve(content).url;
 					} else if (subKey === "type") {
 						lastImage.type = content;
 					} else if (subKey === "width") {
@@ -293,7 +550,8 @@ export class WebpageMetaExtractor {
 
 				// --- VIDEO HANDLING ---
 				if (property === "og:video" || property === "og:video:url") {
-					result.videos.push(new WebpageVideo(content));
+					const { url, raw } = resolve(content);
+					result.videos.push(new WebpageVideo(url, { rawUrl: raw }));
 				} else if (
 					property.startsWith("og:video:") &&
 					result.videos.length > 0
@@ -301,7 +559,7 @@ export class WebpageMetaExtractor {
 					const lastVideo = result.videos[result.videos.length - 1];
 					const subKey = property.slice("og:video:".length);
 					if (subKey === "secure_url") {
-						lastVideo.secureUrl = content;
+						lastVideo.secureUrl = resolve(content).url;
 					} else if (subKey === "type") {
 						lastVideo.type = content;
 					} else if (subKey === "width") {
@@ -314,6 +572,33 @@ export class WebpageMetaExtractor {
 						lastVideo.alt = content;
 					}
 				}
+
+				// --- AUDIO HANDLING ---
+				if (property === "og:audio" || property === "og:audio:url") {
+					const { url, raw } = resolve(content);
+					result.audios.push(new WebpageAudio(url, { rawUrl: raw }));
+				} else if (
+					property.startsWith("og:audio:") &&
+					result.audios.length > 0
+				) {
+					const lastAudio = result.audios[result.audios.length - 1];
+					const subKey = property.slice("og:audio:".length);
+					if (subKey === "secure_url") {
+						lastAudio.secureUrl = resolve(content).url;
+					} else if (subKey === "type") {
+						lastAudio.type = content;
+					}
+				}
+			}
+
+			if (name?.trim().toLowerCase() === "theme-color") {
+				const media =
+					tag.getAttribute("media")?.trim().replace(/\s+/g, " ") ||
+					"all";
+
+				if (!result.themeColors.has(media)) {
+					result.themeColors.set(media, content.trim());
+				}
 			}
 
 			// Add property and name to meta map
@@ -331,7 +616,9 @@ export class WebpageMetaExtractor {
 			const canonicalHref = canonicalTag.getAttribute("href");
 
 			if (canonicalHref) {
-				result.canonicalUrl = canonicalHref;
+				const { url, raw } = resolve(canonicalHref);
+				result.canonicalUrl = url;
+				result.rawCanonicalUrl = raw;
 			}
 		}
 
@@ -343,7 +630,24 @@ export class WebpageMetaExtractor {
 			result.firstHeading = h1Tag.textContent;
 		}
 
-		// Extract feeds from <link rel="alternate" type="application/rss+xml"> or similar
+		// Only <time> elements that mark up the page's own content, not sidebars or comment lists
+		for (const timeTag of document.querySelectorAll("time[datetime]")) {
+			if (
+				!timeTag.closest("article, main") &&
+				!timeTag.hasAttribute("itemprop") &&
+				!timeTag.hasAttribute("pubdate")
+			) {
+				continue;
+			}
+
+			const datetime = timeTag.getAttribute("datetime")?.trim();
+
+			if (datetime) {
+				result.dateTimes.push(datetime);
+			}
+		}
+
+		// Extract feeds, oEmbed endpoints, and language alternates from <link rel="alternate">
 		const feedLinkTags = document.querySelectorAll('link[rel="alternate"]');
 		for (const tag of feedLinkTags) {
 			const href = tag.getAttribute("href");
@@ -352,20 +656,86 @@ export class WebpageMetaExtractor {
 			}
 			const title = tag.getAttribute("title") || undefined;
 			const type = tag.getAttribute("type") || undefined;
+			const hreflang = tag.getAttribute("hreflang")?.trim();
+
+			// Native app deep links
+			if (/^\s*(?:android|ios)-app:\/\//i.test(href)) {
+				result.appAlternates.push(href.trim());
+			}
+
+			// Language alternates
+			if (hreflang) {
+				const { url, raw } = resolve(href);
+				result.alternates.push(
+					new WebpageAlternate(url, hreflang, {
+						media: tag.getAttribute("media") || undefined,
+						type,
+						rawHref: raw,
+					}),
+				);
+			}
 
 			// Only allow RSS, Atom, or JSONFeed
 			if (type && ALLOWED_FEED_TYPES.has(type)) {
-				result.feeds.push(new WebpageFeed(href, { title, type }));
+				const { url, raw } = resolve(href);
+				result.feeds.push(
+					new WebpageFeed(url, { title, type, rawHref: raw }),
+				);
+			}
+
+			// oEmbed discovery
+			const oembedFormat = type && OEMBED_FORMATS_BY_TYPE.get(type);
+			if (oembedFormat) {
+				const { url, raw } = resolve(href);
+				result.oembed.push(
+					new WebpageOEmbedEndpoint(url, {
+						format: oembedFormat,
+						title,
+						rawHref: raw,
+					}),
+				);
 			}
 		}
 
-		// Extract JSON-LD data
+		// Extract JSON-LD data, repairing malformed blocks unless disabled
+		const { lenientJsonLd = false } = options;
 		const scriptTags = document.querySelectorAll(
 			'script[type="application/ld+json"]',
 		);
-		for (const tag of scriptTags) {
+		for (const [index, tag] of [...scriptTags].entries()) {
+			const text = tag.textContent;
+
+			if (!text.trim()) {
+				continue;
+			}
+
+			/** @type {unknown[]|undefined} */
+			let values;
+
 			try {
-				const json = JSON.parse(tag.textContent);
+				values = [JSON.parse(text)];
+			} catch (error) {
+				if (lenientJsonLd) {
+					try {
+						values = parseLenientJson(text);
+					} catch {
+						// The block can't be repaired, so it's reported below
+					}
+				}
+
+				result.errors.push({
+					source: "jsonld",
+					index,
+					message: /** @type {Error} */ (error).message,
+					recovered: Boolean(values),
+				});
+			}
+
+			if (!values) {
+				continue;
+			}
+
+			for (const json of values) {
 				if (Array.isArray(json)) {
 					for (const item of json) {
 						result.jsonld.push(item);
@@ -373,23 +743,43 @@ export class WebpageMetaExtractor {
 				} else {
 					result.jsonld.push(json);
 				}
-			} catch {
-				// Ignore JSON-LD parsing errors
 			}
 		}
 
 		// Find all top-level microdata items
+		const { strictMicrodata = false, typedMicrodata = false } = options;
 		const topLevelItems = document.querySelectorAll(
 			"[itemscope]:not([itemprop])",
 		);
 		for (const itemElem of topLevelItems) {
-			const item = extractMicrodataItem(itemElem);
+			const item = extractMicrodataItem(itemElem, new Set(), {
+				baseUrl: strictMicrodata
+					? (baseUrl ?? document.baseURI)
+					: baseUrl,
+				strict: strictMicrodata,
+				typed: typedMicrodata,
+			});
 			if (item) {
 				result.microdata.push(item);
 			}
 		}
 
-		// Compute title with proper priority: og:title, twitter:title, title meta, <title> tag, first <h1>
+		// Extract RDFa Lite items
+		result.rdfa = extractRdfa(document, { baseUrl });
+
+		// Extract microformats2 items and rel values
+		result.microformats = extractMicroformats(document, { baseUrl });
+
+		// Extract Dublin Core metadata
+		result.dublinCore = extractDublinCore(document, { baseUrl });
+
+		// Extract the main content only when asked since it is the slowest step
+		const { extractMainContent = false } = options;
+		if (extractMainContent) {
+			result.mainContent = extractContent(document, { baseUrl });
+		}
+
+		// Compute title with proper priority: og:title, twitter:title, title meta, Dublin Core title, <title> tag, first <h1>
 		const ogTitle = result.meta.get("og:title");
 		if (ogTitle && ogTitle.length) {
 			result.title = ogTitle[0];
@@ -399,8 +789,11 @@ export class WebpageMetaExtractor {
 				result.title = twTitle[0];
 			} else {
 				const metaTitle = result.meta.get("title");
+				const dcTitle = result.dublinCore.get("title");
 				if (metaTitle && metaTitle.length) {
 					result.title = metaTitle[0];
+				} else if (dcTitle && dcTitle.length) {
+					result.title = dcTitle[0].value;
 				} else if (titleTagText) {
 					result.title = titleTagText;
 				} else if (result.firstHeading) {
@@ -3,17 +3,869 @@
  * @author Nicholas C. Zakas
  */
 
+//-----------------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------------
+
+import { resolveUrl } from "./resolve-url.js";
+import { parseDate } from "./parse-date.js";
+import {
+	flattenJsonLd,
+	findJsonLdNodes,
+	getJsonLdNode,
+	getRootJsonLdNodes,
+	isJsonLdNodeOfType,
+} from "./json-ld-graph.js";
+import { microdataToJsonLd } from "./microdata-to-json-ld.js";
+import { WebpageTwitterCard } from "./webpage-twitter-card.js";
+import { WebpageRobots } from "./webpage-robots.js";
+import { WebpageCitation } from "./webpage-citation.js";
+
 //-----------------------------------------------------------------------------
 // Types
 //-----------------------------------------------------------------------------
 
 /**
  * @import { WebpageFeed } from "./webpage-feed.js";
+ * @import { Microformats } from "./extract-microformats.js";
+ * @import { DublinCoreValue } from "./extract-dublin-core.js";
+ * @import { MainContent } from "./extract-content.js";
+ * @import { JsonLdNode } from "./json-ld-graph.js";
  * @import { WebpageImage } from "./webpage-image.js";
  * @import { WebpageFavicon } from "./webpage-favicon.js";
  * @import { WebpageVideo } from "./webpage-video.js";
+ * @import { WebpageAudio } from "./webpage-audio.js";
+ * @import { WebpageManifest } from "./webpage-manifest.js";
+ * @import { WebpageOEmbedEndpoint } from "./webpage-oembed-endpoint.js";
+ * @import { WebpageAlternate } from "./webpage-alternate.js";
+ */
+
+/**
+ * The purpose of an icon, based on its rel attribute.
+ * @typedef {"icon"|"apple-touch-icon"|"mask-icon"|"fluid-icon"} FaviconPurpose
+ */
+
+/**
+ * An author of the page, normalized from one or more metadata sources.
+ * @typedef {Object} WebpageAuthor
+ * @property {string|undefined} name The name of the author.
+ * @property {string|undefined} url The URL of the author's profile or homepage.
+ * @property {string|undefined} handle The author's Twitter/X handle, including the leading "@".
+ * @property {"jsonld"|"microdata"|"article"|"meta"|"dublincore"|"twitter"|"link"} source The metadata source the author was first found in.
+ */
+
+/**
+ * A structured data entity found in the page.
+ * @typedef {Object} WebpageEntity
+ * @property {"jsonld"|"microdata"|"rdfa"} source The metadata source the entity was found in.
+ * @property {JsonLdNode} data The entity as a JSON-LD node.
+ */
+
+/**
+ * A date found in the page metadata.
+ * @typedef {Object} WebpageDate
+ * @property {Date} date The parsed date.
+ * @property {string} raw The date exactly as it appeared in the page.
+ * @property {"jsonld"|"article"|"opengraph"|"microdata"|"dublincore"|"time"} source The metadata source of the date.
+ * @property {string} property The property, meta name, or element the date came from (e.g., "datePublished", "article:published_time").
+ */
+
+/**
+ * A language tag found in the page metadata.
+ * @typedef {Object} WebpageLanguage
+ * @property {string} tag The normalized BCP 47 language tag (e.g., "en-US").
+ * @property {string} raw The value exactly as it appeared in the page.
+ * @property {"html"|"jsonld"|"opengraph"|"http-equiv"} source The metadata source of the tag.
+ * @property {string} property The attribute, property, or meta name the tag came from (e.g., "lang", "og:locale").
+ */
+
+/**
+ * The color schemes a page supports, from <meta name="color-scheme">.
+ * @typedef {Object} WebpageColorScheme
+ * @property {string[]} schemes The supported color schemes in order of preference (e.g., ["light", "dark"]).
+ * @property {boolean} only Whether the page forbids the user agent from overriding the color scheme.
+ */
+
+/**
+ * A client-side redirect or reload from <meta http-equiv="refresh">.
+ * @typedef {Object} WebpageRefresh
+ * @property {number} delay The number of seconds to wait before refreshing.
+ * @property {string|undefined} url The URL to navigate to, or undefined to reload the page itself.
+ */
+
+/**
+ * A problem found while extracting metadata.
+ * @typedef {Object} WebpageMetaError
+ * @property {"jsonld"} source The kind of metadata the problem was found in.
+ * @property {number} index The position of the element among elements of its kind (e.g., the index of the JSON-LD script block).
+ * @property {string} message The reason the metadata could not be parsed as-is.
+ * @property {boolean} recovered Whether the metadata was repaired and extracted anyway.
+ */
+
+/**
+ * A native app that can open the page.
+ * @typedef {Object} WebpageApp
+ * @property {string|undefined} id The app ID: the App Store ID on iOS, the package name on Android, or the app ID on Windows.
+ * @property {string|undefined} url The deep link URL that opens the page in the app.
+ * @property {string|undefined} name The name of the app.
+ * @property {string|undefined} [argument] The app-argument from <meta name="apple-itunes-app"> (iOS only).
+ */
+
+/**
+ * The web fallback for native apps.
+ * @typedef {Object} WebpageWebApp
+ * @property {string|undefined} url The web URL to use instead of the page URL.
+ * @property {boolean} shouldFallback Whether to open the web URL when no app is installed.
+ */
+
+/**
+ * Native apps that can open the page, grouped by App Links platform.
+ * @typedef {Object} WebpageApps
+ * @property {WebpageApp|undefined} ios The app for all iOS devices.
+ * @property {WebpageApp|undefined} iphone The app for iPhone.
+ * @property {WebpageApp|undefined} ipad The app for iPad.
+ * @property {WebpageApp|undefined} android The app for Android.
+ * @property {WebpageApp|undefined} windows_phone The app for Windows Phone.
+ * @property {WebpageApp|undefined} windows The app for Windows.
+ * @property {WebpageApp|undefined} windows_universal The app for the Universal Windows Platform.
+ * @property {WebpageWebApp|undefined} web The web fallback.
+ */
+
+/**
+ * The metadata source of a product field.
+ * @typedef {"jsonld"|"microdata"|"rdfa"|"product"|"opengraph"} WebpageProductSource
+ */
+
+/**
+ * The product field values from a single source.
+ * @typedef {Object} ProductValues
+ * @property {string|undefined} name The product name.
+ * @property {string|undefined} brand The brand name.
+ * @property {string|undefined} sku The stock keeping unit.
+ * @property {string|undefined} gtin The Global Trade Item Number (GTIN, EAN, UPC, or ISBN).
+ * @property {number|undefined} price The price, or the lowest price of an aggregate offer.
+ * @property {number|undefined} lowPrice The lowest price of an aggregate offer.
+ * @property {number|undefined} highPrice The highest price of an aggregate offer.
+ * @property {string|undefined} currency The ISO 4217 currency code in uppercase (e.g., "USD").
+ * @property {string|undefined} availability The availability as a schema.org term (e.g., "InStock"), or as written if unknown.
+ * @property {string|undefined} condition The condition as a schema.org term (e.g., "NewCondition"), or as written if unknown.
+ * @property {number|undefined} rating The average rating.
+ * @property {number|undefined} ratingCount The number of ratings or reviews.
+ */
+
+/**
+ * A product normalized across metadata sources.
+ * @typedef {ProductValues & { sources: Partial<Record<keyof ProductValues, WebpageProductSource>> }} WebpageProduct
+ */
+
+/**
+ * @typedef {Object} DateCandidate
+ * @property {unknown} value The candidate value.
+ * @property {WebpageDate["source"]} source The metadata source of the value.
+ * @property {string} property The property the value came from.
+ */
+
+/**
+ * Options for selecting the best favicon.
+ * @typedef {Object} BestFaviconOptions
+ * @property {number} [size] The size in pixels the icon will be rendered at.
+ * @property {string[]} [formats] The acceptable formats (e.g., "svg", "png", "ico").
+ * @property {boolean} [preferSvg=true] Whether scalable icons are preferred over raster icons.
+ * @property {FaviconPurpose} [purpose="icon"] The purpose of the icon.
  */
 
+//-----------------------------------------------------------------------------
+// Data
+//-----------------------------------------------------------------------------
+
+/**
+ * The platforms supported by Twitter/X app cards.
+ * @type {Array<"iphone"|"ipad"|"googleplay">}
+ */
+const TWITTER_APP_PLATFORMS = ["iphone", "ipad", "googleplay"];
+
+/**
+ * The valid favicon purposes.
+ * @type {Set<string>}
+ */
+const FAVICON_PURPOSES = new Set([
+	"icon",
+	"apple-touch-icon",
+	"mask-icon",
+	"fluid-icon",
+]);
+
+/**
+ * Maps favicon MIME types to formats.
+ * @type {Map<string, string>}
+ */
+const FAVICON_FORMATS_BY_TYPE = new Map([
+	["image/svg+xml", "svg"],
+	// Some sites incorrectly use image/svg; treat it as SVG
+	["image/svg", "svg"],
+	["image/png", "png"],
+	["image/x-icon", "ico"],
+	["image/vnd.microsoft.icon", "ico"],
+	["image/jpeg", "jpg"],
+	["image/gif", "gif"],
+	["image/webp", "webp"],
+]);
+
+/**
+ * The App Links platforms, the name of each platform's app ID property, and
+ * the Twitter/X app card platform used as a fallback.
+ * @type {Array<[Exclude<keyof WebpageApps, "web">, string, string|undefined]>}
+ */
+const APP_PLATFORMS = [
+	["ios", "app_store_id", undefined],
+	["iphone", "app_store_id", "iphone"],
+	["ipad", "app_store_id", "ipad"],
+	["android", "package", "googleplay"],
+	["windows_phone", "app_id", undefined],
+	["windows", "app_id", undefined],
+	["windows_universal", "app_id", undefined],
+];
+
+/**
+ * The fields of a product, in the order they are merged.
+ * @type {Array<keyof ProductValues>}
+ */
+const PRODUCT_FIELDS = [
+	"name",
+	"brand",
+	"sku",
+	"gtin",
+	"price",
+	"lowPrice",
+	"highPrice",
+	"currency",
+	"availability",
+	"condition",
+	"rating",
+	"ratingCount",
+];
+
+/**
+ * schema.org GTIN properties, most general first.
+ */
+const GTIN_PROPERTIES = ["gtin", "gtin13", "gtin12", "gtin14", "gtin8", "isbn"];
+
+/**
+ * schema.org availability terms keyed by their normalized form, plus common
+ * Open Graph values.
+ * @type {Map<string, string>}
+ */
+const AVAILABILITY_TERMS = new Map([
+	...[
+		"BackOrder",
+		"Discontinued",
+		"InStock",
+		"InStoreOnly",
+		"LimitedAvailability",
+		"MadeToOrder",
+		"OnlineOnly",
+		"OutOfStock",
+		"PreOrder",
+		"PreSale",
+		"Reserved",
+		"SoldOut",
+	].map(term => /** @type {[string, string]} */ ([term.toLowerCase(), term])),
+	["oos", "OutOfStock"],
+]);
+
+/**
+ * schema.org item condition terms keyed by their normalized form, with and
+ * without the "condition" suffix used by Open Graph (e.g., "new").
+ * @type {Map<string, string>}
+ */
+const CONDITION_TERMS = new Map(
+	[
+		"NewCondition",
+		"UsedCondition",
+		"RefurbishedCondition",
+		"DamagedCondition",
+	].flatMap(term => [
+		/** @type {[string, string]} */ ([term.toLowerCase(), term]),
+		/** @type {[string, string]} */ ([
+			term.slice(0, -"Condition".length).toLowerCase(),
+			term,
+		]),
+	]),
+);
+
+/**
+ * Color schemes that can be passed to getThemeColor().
+ */
+const COLOR_SCHEMES = new Set(["light", "dark"]);
+
+/**
+ * Dublin Core terms for the publication date, most specific first.
+ */
+const DUBLIN_CORE_PUBLISHED_TERMS = ["issued", "created", "date"];
+
+/**
+ * Dublin Core terms for the modification date.
+ */
+const DUBLIN_CORE_MODIFIED_TERMS = ["modified"];
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+/**
+ * Converts a string to a number, returning undefined if it's not a valid number.
+ * @param {string|undefined} value The value to convert.
+ * @returns {number|undefined} The number or undefined.
+ */
+function toNumber(value) {
+	if (typeof value === "undefined") {
+		return undefined;
+	}
+
+	const num = Number(value);
+	return Number.isNaN(num) ? undefined : num;
+}
+
+/**
+ * Determines the purpose of a favicon based on its rel attribute.
+ * Favicons without a rel are treated as regular icons. Web app manifest icons
+ * are treated as regular icons only when their purpose includes "any".
+ * @param {WebpageFavicon} favicon The favicon to check.
+ * @returns {FaviconPurpose|undefined} The purpose of the favicon, or undefined if it has none.
+ */
+function getFaviconPurpose(favicon) {
+	const tokens = (favicon.rel || "icon").toLowerCase().split(/\s+/);
+
+	if (tokens.includes("manifest")) {
+		const purposes = (favicon.purpose || "any").toLowerCase().split(/\s+/);
+		return purposes.includes("any") ? "icon" : undefined;
+	}
+
+	if (tokens.includes("mask-icon")) {
+		return "mask-icon";
+	}
+
+	if (
+		tokens.includes("apple-touch-icon") ||
+		tokens.includes("apple-touch-icon-precomposed")
+	) {
+		return "apple-touch-icon";
+	}
+
+	if (tokens.includes("fluid-icon")) {
+		return "fluid-icon";
+	}
+
+	return "icon";
+}
+
+/**
+ * Finds the favicon with the largest declared size.
+ * @param {WebpageFavicon[]} favicons The favicons to search.
+ * @returns {WebpageFavicon|undefined} The largest favicon, or undefined if none declare a size.
+ */
+function getLargestFavicon(favicons) {
+	let largest = undefined;
+	let largestArea = 0;
+
+	for (const favicon of favicons) {
+		if (favicon.sizes) {
+			// sizes can be "32x32" or "16x16 32x32"
+			for (const size of favicon.sizes.split(/\s+/)) {
+				const [w, h] = size.split("x").map(Number);
+				if (!isNaN(w) && !isNaN(h)) {
+					const area = w * h;
+					if (area > largestArea) {
+						largestArea = area;
+						largest = favicon;
+					}
+				}
+			}
+		}
+	}
+
+	return largest;
+}
+
+/**
+ * Determines the format of a favicon based on its type or file extension.
+ * @param {WebpageFavicon} favicon The favicon to check.
+ * @returns {string|undefined} The format (e.g., "svg", "png", "ico"), or undefined if unknown.
+ */
+function getFaviconFormat(favicon) {
+	const typeFormat =
+		favicon.type && FAVICON_FORMATS_BY_TYPE.get(favicon.type.toLowerCase());
+	if (typeFormat) {
+		return typeFormat;
+	}
+
+	const extname = favicon.extname;
+	if (!extname) {
+		return undefined;
+	}
+
+	return extname === ".jpeg" ? "jpg" : extname.slice(1);
+}
+
+/**
+ * Parses the sizes attribute of a favicon.
+ * Each WxH token is converted to the larger of its two dimensions.
+ * @param {WebpageFavicon} favicon The favicon to parse.
+ * @returns {{ any: boolean, sizes: number[] }} Whether the icon is scalable and its pixel sizes.
+ */
+function parseFaviconSizes(favicon) {
+	const result = { any: false, sizes: /** @type {number[]} */ ([]) };
+
+	if (!favicon.sizes) {
+		return result;
+	}
+
+	for (const token of favicon.sizes.toLowerCase().split(/\s+/)) {
+		if (token === "any") {
+			result.any = true;
+			continue;
+		}
+
+		const match = token.match(/^(\d+)x(\d+)$/);
+		if (match) {
+			result.sizes.push(Math.max(Number(match[1]), Number(match[2])));
+		}
+	}
+
+	return result;
+}
+
+/**
+ * Returns the first string from a value that may be a string or an array.
+ * @param {unknown} value The value to check.
+ * @returns {string|undefined} The trimmed string, or undefined if there is none.
+ */
+function firstString(value) {
+	const first = Array.isArray(value) ? value[0] : value;
+	return typeof first === "string" ? first.trim() || undefined : undefined;
+}
+
+/**
+ * Determines if a string looks like an absolute or root-relative URL.
+ * @param {string} value The value to check.
+ * @returns {boolean} True if the value looks like a URL.
+ */
+function looksLikeUrl(value) {
+	return /^(?:https?:)?\/\//i.test(value) || value.startsWith("/");
+}
+
+/**
+ * Converts a JSON-LD or microdata author value into author entries.
+ * Accepts a string, an object with name and url properties, or an array of either.
+ * @param {unknown} value The author value.
+ * @param {WebpageAuthor["source"]} source The source of the value.
+ * @returns {WebpageAuthor[]} The author entries.
+ */
+function toAuthors(value, source) {
+	if (Array.isArray(value)) {
+		return value.flatMap(item => toAuthors(item, source));
+	}
+
+	if (typeof value === "string") {
+		const text = value.trim();
+
+		if (!text) {
+			return [];
+		}
+
+		return looksLikeUrl(text)
+			? [{ name: undefined, url: text, handle: undefined, source }]
+			: [{ name: text, url: undefined, handle: undefined, source }];
+	}
+
+	if (value && typeof value === "object") {
+		const object = /** @type {{ [key: string]: unknown }} */ (value);
+		const name = firstString(object.name);
+		const id = firstString(object["@id"]);
+
+		// Fragment IDs such as "/#/schema/person/abc" identify nodes, not pages
+		const url =
+			firstString(object.url) ?? (id?.includes("#") ? undefined : id);
+
+		if (name || url) {
+			return [{ name, url, handle: undefined, source }];
+		}
+	}
+
+	return [];
+}
+
+/**
+ * Collects date candidates for a JSON-LD/microdata property and a list of
+ * meta tags, in priority order: JSON-LD, meta tags (in the order given),
+ * microdata, then Dublin Core.
+ * @param {WebpageMeta} page The page metadata.
+ * @param {string} itemProperty The JSON-LD and microdata property name.
+ * @param {Array<[string, WebpageDate["source"]]>} metaNames The meta tag names and their sources.
+ * @param {string[]} dublinCoreTerms The Dublin Core terms.
+ * @returns {DateCandidate[]} The candidates.
+ */
+function getDateCandidates(page, itemProperty, metaNames, dublinCoreTerms) {
+	/** @type {DateCandidate[]} */
+	const candidates = [];
+
+	// Top-level nodes come before nested ones such as WebPage.mainEntity
+	const { nodes } = flattenJsonLd(page.jsonld, page.baseUrl);
+
+	for (const { node } of [
+		...nodes.filter(({ root }) => root),
+		...nodes.filter(({ root }) => !root),
+	]) {
+		candidates.push({
+			value: node[itemProperty],
+			source: "jsonld",
+			property: itemProperty,
+		});
+	}
+
+	for (const [name, source] of metaNames) {
+		candidates.push({
+			value: page.meta.get(name),
+			source,
+			property: name,
+		});
+	}
+
+	for (const item of page.microdata) {
+		candidates.push({
+			value: /** @type {{ [key: string]: unknown }} */ (item)[
+				itemProperty
+			],
+			source: "microdata",
+			property: itemProperty,
+		});
+	}
+
+	for (const term of dublinCoreTerms) {
+		for (const { value, property } of page.dublinCore.get(term) ?? []) {
+			candidates.push({ value, source: "dublincore", property });
+		}
+	}
+
+	return candidates;
+}
+
+/**
+ * Returns the first candidate whose value is or parses as a date.
+ * @param {DateCandidate[]} candidates The candidates in priority order.
+ * @returns {WebpageDate|undefined} The date, or undefined if no candidate parses.
+ */
+function pickDate(candidates) {
+	for (const { value, source, property } of candidates) {
+		const first = Array.isArray(value) ? value[0] : value;
+
+		// Typed microdata values are already dates
+		if (first instanceof Date && !Number.isNaN(first.getTime())) {
+			return { date: first, raw: first.toISOString(), source, property };
+		}
+
+		const raw = firstString(value);
+		const date = raw ? parseDate(raw) : undefined;
+
+		if (raw && date) {
+			return { date, raw, source, property };
+		}
+	}
+
+	return undefined;
+}
+
+/**
+ * Normalizes a language tag to BCP 47 casing, converting underscores to
+ * hyphens (e.g., "en_us" becomes "en-US" and "zh_hant_tw" becomes "zh-Hant-TW").
+ * @param {string} value The language tag.
+ * @returns {string|undefined} The normalized tag, or undefined if the value is not a language tag.
+ */
+function normalizeLanguageTag(value) {
+	const subtags = value.trim().replace(/_/g, "-").split("-");
+
+	if (
+		!/^[a-z]{2,3}$/i.test(subtags[0]) ||
+		!subtags.every(subtag => /^[a-z0-9]{1,8}$/i.test(subtag))
+	) {
+		return undefined;
+	}
+
+	let singleton = false;
+
+	return subtags
+		.map((subtag, index) => {
+			// Everything after an extension or private use singleton stays lowercase
+			if (index > 0 && subtag.length === 1) {
+				singleton = true;
+			}
+
+			if (index === 0 || singleton) {
+				return subtag.toLowerCase();
+			}
+
+			if (subtag.length === 2 && /^[a-z]+$/i.test(subtag)) {
+				return subtag.toUpperCase();
+			}
+
+			if (subtag.length === 4 && /^[a-z]+$/i.test(subtag)) {
+				return subtag[0].toUpperCase() + subtag.slice(1).toLowerCase();
+			}
+
+			return subtag.toLowerCase();
+		})
+		.join("-");
+}
+
+/**
+ * Returns the color scheme a media condition targets, if any.
+ * @param {string} media The media condition (e.g., "(prefers-color-scheme: dark)").
+ * @returns {string|undefined} The color scheme, or undefined if the condition doesn't target one.
+ */
+function getMediaColorScheme(media) {
+	const match = /\(\s*prefers-color-scheme\s*:\s*([a-z]+)\s*\)/i.exec(media);
+
+	if (!match || /\bnot\b/i.test(media)) {
+		return undefined;
+	}
+
+	return match[1].toLowerCase();
+}
+
+/**
+ * Parses the content of a <meta http-equiv="refresh"> element, following the
+ * HTML specification's shared declarative refresh steps. Both "5; url=/next"
+ * and "5, /next" forms are supported, and quotes around the URL are removed.
+ * @param {string} content The content attribute value.
+ * @returns {WebpageRefresh|undefined} The refresh, or undefined if the content is invalid.
+ */
+function parseRefresh(content) {
+	const match = /^\s*(\d*)(\.[\d.]*)?/.exec(content);
+
+	if (!match || (!match[1] && !match[2])) {
+		return undefined;
+	}
+
+	const afterDelay = content.slice(match[0].length);
+
+	// The delay must be followed by a separator, whitespace, or nothing
+	if (afterDelay && !/^[;,\s]/.test(afterDelay)) {
+		return undefined;
+	}
+
+	const delay = Number(match[1] || 0);
+	let rest = afterDelay.replace(/^\s*[;,]?\s*/, "");
+
+	const urlPrefix = /^url\s*=\s*/i.exec(rest);
+
+	if (urlPrefix) {
+		rest = rest.slice(urlPrefix[0].length);
+	}
+
+	const quote = rest[0];
+
+	if (quote === '"' || quote === "'") {
+		const end = rest.indexOf(quote, 1);
+		rest = rest.slice(1, end === -1 ? undefined : end);
+	}
+
+	return { delay, url: rest.trim() || undefined };
+}
+
+/**
+ * Parses the content of an app banner meta tag such as
+ * <meta name="apple-itunes-app" content="app-id=123, app-argument=https://...">.
+ * Commas inside values (such as in an app-argument URL) are preserved.
+ * @param {string|undefined} content The content attribute value.
+ * @returns {Map<string, string>} The values keyed by lowercase name.
+ */
+function parseAppBanner(content) {
+	/** @type {Map<string, string>} */
+	const result = new Map();
+
+	for (const part of content?.split(/,(?=\s*[a-z-]+\s*=)/i) ?? []) {
+		const separator = part.indexOf("=");
+
+		if (separator !== -1) {
+			const name = part.slice(0, separator).trim().toLowerCase();
+			const value = part.slice(separator + 1).trim();
+
+			if (name && value) {
+				result.set(name, value);
+			}
+		}
+	}
+
+	return result;
+}
+
+/**
+ * Parses an app URI from a <link rel="alternate"> element, such as
+ * "android-app://com.example/https/example.com/page" or
+ * "ios-app://123456/example/page". The deep link is rebuilt from the scheme and
+ * the rest of the path.
+ * @param {string} href The app URI.
+ * @returns {{ platform: "android"|"ios", id: string, url: string|undefined }|undefined} The app, or undefined if the URI is not an app URI.
+ */
+function parseAppUri(href) {
+	const match =
+		/^(android|ios)-app:\/\/([^/?#]+)(?:\/([^/?#]+)(?:\/(.*))?)?/i.exec(
+			href.trim(),
+		);
+
+	if (!match) {
+		return undefined;
+	}
+
+	const [, platform, id, scheme, rest = ""] = match;
+
+	return {
+		platform: /** @type {"android"|"ios"} */ (platform.toLowerCase()),
+		id,
+		url: scheme ? `${scheme}://${rest}` : undefined,
+	};
+}
+
+/**
+ * Returns the first value as text when it is a string or number.
+ * @param {unknown} value The value or array of values.
+ * @returns {string|undefined} The trimmed text, or undefined if there is none.
+ */
+function firstText(value) {
+	const first = Array.isArray(value) ? value[0] : value;
+	return typeof first === "number" ? String(first) : firstString(first);
+}
+
+/**
+ * Returns the first value that is an object.
+ * @param {unknown} value The value or array of values.
+ * @returns {{ [key: string]: unknown }|undefined} The object, or undefined if there is none.
+ */
+function firstObject(value) {
+	const first = Array.isArray(value) ? value[0] : value;
+	return first && typeof first === "object" && !(first instanceof Date)
+		? /** @type {{ [key: string]: unknown }} */ (first)
+		: undefined;
+}
+
+/**
+ * Parses a decimal number such as a price or rating. Currency symbols and
+ * spaces are ignored, and both "1,299.00" and "1.299,00" are supported. A
+ * single comma followed by three digits (e.g., "1,299") separates thousands.
+ * @param {unknown} value The value or array of values.
+ * @returns {number|undefined} The number, or undefined if the value is not a number.
+ */
+function parseDecimal(value) {
+	const first = Array.isArray(value) ? value[0] : value;
+
+	if (typeof first === "number") {
+		return Number.isFinite(first) ? first : undefined;
+	}
+
+	if (typeof first !== "string") {
+		return undefined;
+	}
+
+	let text = first.replace(/[^\d.,-]/g, "");
+	const lastComma = text.lastIndexOf(",");
+	const lastDot = text.lastIndexOf(".");
+
+	if (lastComma > lastDot) {
+		const isThousands = lastDot === -1 && text.length - lastComma - 1 === 3;
+		text = isThousands
+			? text.replace(/,/g, "")
+			: text.replace(/\./g, "").replace(",", ".");
+	} else {
+		text = text.replace(/,/g, "");
+	}
+
+	return /^-?\d+(?:\.\d+)?$/.test(text) ? Number(text) : undefined;
+}
+
+/**
+ * Normalizes a value to a schema.org enumeration term, ignoring case, spaces,
+ * hyphens, underscores, and any schema.org prefix.
+ * @param {unknown} value The value (e.g., "https://schema.org/InStock", "in stock").
+ * @param {Map<string, string>} terms The terms keyed by their normalized form.
+ * @returns {string|undefined} The term, the value as written if it is unknown, or undefined if there is no value.
+ */
+function normalizeTerm(value, terms) {
+	const text = firstText(value);
+
+	if (!text) {
+		return undefined;
+	}
+
+	const key = text
+		.replace(/^(?:https?:\/\/schema\.org\/|schema:)/i, "")
+		.replace(/[\s_-]+/g, "")
+		.toLowerCase();
+
+	return terms.get(key) ?? text;
+}
+
+/**
+ * Returns the product values of a schema.org Offer or AggregateOffer,
+ * including prices from a nested priceSpecification.
+ * @param {{ [key: string]: unknown }|undefined} offer The offer.
+ * @returns {Partial<ProductValues>} The values.
+ */
+function getOfferValues(offer) {
+	const spec = firstObject(offer?.priceSpecification);
+	const lowPrice = parseDecimal(offer?.lowPrice);
+
+	return {
+		price:
+			parseDecimal(offer?.price) ?? parseDecimal(spec?.price) ?? lowPrice,
+		lowPrice,
+		highPrice: parseDecimal(offer?.highPrice),
+		currency: firstText(
+			offer?.priceCurrency ?? spec?.priceCurrency,
+		)?.toUpperCase(),
+		availability: normalizeTerm(offer?.availability, AVAILABILITY_TERMS),
+		condition: normalizeTerm(offer?.itemCondition, CONDITION_TERMS),
+	};
+}
+
+/**
+ * Returns the product values of a schema.org Product in JSON-LD form, using
+ * its first offer for prices and availability.
+ * @param {{ [key: string]: unknown }} product The product.
+ * @returns {Partial<ProductValues>} The values.
+ */
+function getProductValues(product) {
+	const brand = product.brand;
+	const rating = firstObject(product.aggregateRating);
+	const offerValues = getOfferValues(firstObject(product.offers));
+
+	return {
+		name: firstText(product.name),
+		brand: firstText(firstObject(brand)?.name) ?? firstText(brand),
+		sku: firstText(product.sku),
+		gtin: GTIN_PROPERTIES.map(name => firstText(product[name])).find(
+			Boolean,
+		),
+		...offerValues,
+		condition:
+			offerValues.condition ??
+			normalizeTerm(product.itemCondition, CONDITION_TERMS),
+		rating: parseDecimal(rating?.ratingValue),
+		ratingCount:
+			parseDecimal(rating?.ratingCount) ??
+			parseDecimal(rating?.reviewCount),
+	};
+}
+
+/**
+ * Normalizes a Twitter/X handle so that it starts with "@".
+ * @param {string} value The handle.
+ * @returns {string|undefined} The normalized handle, or undefined if empty.
+ */
+function normalizeHandle(value) {
+	const handle = value.trim().replace(/^@+/, "");
+	return handle ? `@${handle}` : undefined;
+}
+
 //-----------------------------------------------------------------------------
 // Exports
 //-----------------------------------------------------------------------------
@@ -27,7 +879,7 @@ export class WebpageMeta {
 	meta = new Map();
 
 	/**
-	 * The title of the page, determined by Open Graph, Twitter Card, meta tags, <title>, or first <h1>.
+	 * The title of the page, determined by Open Graph, Twitter Card, meta tags, Dublin Core, <title>, or first <h1>.
 	 * @type {string|undefined}
 	 */
 	title;
@@ -68,20 +920,133 @@ export class WebpageMeta {
 	 */
 	videos = [];
 
+	/**
+	 * All Open Graph audio files found on the page.
+	 * @type {WebpageAudio[]}
+	 */
+	audios = [];
+
+	/**
+	 * All oEmbed endpoints discovered in the page.
+	 * @type {WebpageOEmbedEndpoint[]}
+	 */
+	oembed = [];
+
+	/**
+	 * All language alternates found in the page, from <link rel="alternate" hreflang>.
+	 * @type {WebpageAlternate[]}
+	 */
+	alternates = [];
+
+	/**
+	 * The lang attribute of the <html> element.
+	 * @type {string|undefined}
+	 */
+	htmlLang;
+
+	/**
+	 * The content values of <meta http-equiv> elements, keyed by the lowercase
+	 * http-equiv value (e.g., "refresh", "content-security-policy").
+	 * @type {Map<string, string[]>}
+	 */
+	httpEquiv = new Map();
+
+	/**
+	 * The content values of <meta name> elements that hold robots directives,
+	 * keyed by the lowercase name (e.g., "robots", "googlebot", "ccbot").
+	 * @type {Map<string, string[]>}
+	 */
+	robotsRules = new Map();
+
+	/**
+	 * The theme colors from <meta name="theme-color"> elements, keyed by their
+	 * media condition with whitespace collapsed. Theme colors without a media
+	 * attribute use the key "all". Only the first color for each condition is kept.
+	 * @type {Map<string, string>}
+	 */
+	themeColors = new Map();
+
+	/**
+	 * The datetime attribute values of <time> elements inside an <article> or
+	 * <main> element or marked with itemprop or pubdate, in document order.
+	 * @type {string[]}
+	 */
+	dateTimes = [];
+
+	/**
+	 * URLs from <link rel="author"> elements, resolved when URL resolution is enabled.
+	 * @type {string[]}
+	 */
+	authorUrls = [];
+
+	/**
+	 * App URIs (android-app:// and ios-app://) from <link rel="alternate"> elements.
+	 * @type {string[]}
+	 */
+	appAlternates = [];
+
 	/**
 	 * The canonical URL for the page, if found.
 	 * @type {string|undefined}
 	 */
 	canonicalUrl;
 
+	/**
+	 * The canonical URL exactly as it appeared in the document, before being
+	 * resolved against the base URL. Only set when URL resolution is enabled.
+	 * @type {string|undefined}
+	 */
+	rawCanonicalUrl;
+
+	/**
+	 * The URL of the web app manifest from <link rel="manifest">, if found.
+	 * @type {string|undefined}
+	 */
+	manifestUrl;
+
+	/**
+	 * The manifest URL exactly as it appeared in the document, before being
+	 * resolved against the base URL. Only set when URL resolution is enabled.
+	 * @type {string|undefined}
+	 */
+	rawManifestUrl;
+
+	/**
+	 * The parsed web app manifest, if one has been loaded. The extractor never fetches
+	 * the manifest; assign the result of WebpageManifest.parse() here to include the
+	 * manifest icons in favicon selection.
+	 * @type {WebpageManifest|undefined}
+	 */
+	manifest;
+
+	/**
+	 * The URL of the page as passed to the extractor, ignoring any <base href>.
+	 * Only set when a page URL is passed to the extractor.
+	 * @type {string|undefined}
+	 */
+	pageUrl;
+
+	/**
+	 * The base URL used to resolve relative URLs, taking any <base href> into account.
+	 * Only set when a page URL is passed to the extractor.
+	 * @type {string|undefined}
+	 */
+	baseUrl;
+
 	/**
 	 * The favicon URL of the page, determined by icon, shortcut icon, or defaults to /favicon.ico.
 	 * Favors SVG, then largest PNG, then any PNG, then everything else as-is.
+	 * If there are no regular icons, falls back to the largest Apple touch icon and then
+	 * any fluid icon. Mask icons are never used because they are monochrome.
+	 * When a page URL is set, the /favicon.ico fallback is resolved against its
+	 * origin, as browsers do, rather than against any <base href>.
 	 * @returns {string} The favicon URL.
 	 */
 	get favicon() {
+		const icons = this.getFavicons("icon");
+
 		// Prefer SVG
-		const svg = this.favicons.find(
+		const svg = icons.find(
 			f =>
 				f.type === "image/svg+xml" ||
 				// Some sites incorrectly use image/svg; treat it as SVG
@@ -93,59 +1058,214 @@ export class WebpageMeta {
 		}
 
 		// Prefer PNG with largest size
-		const pngs = this.favicons.filter(
+		const pngs = icons.filter(
 			f => f.type === "image/png" || f.extname === ".png",
 		);
-		let largestPng = undefined;
-		let largestArea = 0;
-
-		for (const png of pngs) {
-			if (png.sizes) {
-				// sizes can be "32x32" or "16x16 32x32"
-				for (const size of png.sizes.split(/\s+/)) {
-					const [w, h] = size.split("x").map(Number);
-					if (!isNaN(w) && !isNaN(h)) {
-						const area = w * h;
-						if (area > largestArea) {
-							largestArea = area;
-							largestPng = png;
-						}
+		const largestPng = getLargestFavicon(pngs);
+
+		if (largestPng) {
+			return largestPng.href;
+		}
+
+		// If no PNG with size, pick any PNG
+		if (pngs.length) {
+			return pngs[0].href;
+		}
+
+		// Prefer ICO
+		const ico = icons.find(
+			f => (f.type === "image/x-icon" || f.extname === ".ico") && f.href,
+		);
+		if (ico) {
+			return ico.href;
+		}
+
+		// Fallback to any regular icon if present
+		if (icons.length > 0) {
+			return icons[0].href;
+		}
+
+		// Fallback to the largest Apple touch icon
+		const touchIcons = this.getFavicons("apple-touch-icon");
+		const touchIcon = getLargestFavicon(touchIcons) ?? touchIcons[0];
+		if (touchIcon) {
+			return touchIcon.href;
+		}
+
+		// Fallback to any fluid icon
+		const fluidIcons = this.getFavicons("fluid-icon");
+		if (fluidIcons.length > 0) {
+			return fluidIcons[0].href;
+		}
+
+		return resolveUrl("/favicon.ico", this.pageUrl);
+	}
+
+	/**
+	 * Returns all favicons with the given purpose.
+	 * - "icon" — Regular browser icons (icon, shortcut icon).
+	 * - "apple-touch-icon" — Apple touch icons (apple-touch-icon, apple-touch-icon-precomposed).
+	 * - "mask-icon" — Safari pinned tab icons, whose color is available in the color property.
+	 * - "fluid-icon" — Fluid app icons.
+	 * Icons from the web app manifest, if one has been assigned, follow the favicons
+	 * from the page.
+	 * @param {FaviconPurpose} purpose The purpose to filter by.
+	 * @returns {WebpageFavicon[]} The favicons with the given purpose, in document order.
+	 * @throws {TypeError} If purpose is not a valid favicon purpose.
+	 */
+	getFavicons(purpose) {
+		if (!FAVICON_PURPOSES.has(purpose)) {
+			throw new TypeError(
+				`Expected purpose to be one of: ${[...FAVICON_PURPOSES].join(", ")}.`,
+			);
+		}
+
+		return [...this.favicons, ...(this.manifest?.icons ?? [])].filter(
+			f => getFaviconPurpose(f) === purpose,
+		);
+	}
+
+	/**
+	 * Selects the favicon that best fits the given rendering size.
+	 * Scalable icons (SVG or sizes="any") are returned first when preferSvg is true.
+	 * Otherwise, the raster icon with the smallest declared size at or above the requested
+	 * size is chosen, followed by a scalable icon, the largest icon below the requested size,
+	 * and finally the first icon without a declared size. When no size is requested, the
+	 * largest raster icon is chosen, followed by a scalable icon and then an unsized icon.
+	 * @param {BestFaviconOptions} [options] The selection options.
+	 * @returns {WebpageFavicon|undefined} The best favicon, or undefined if none match.
+	 * @throws {TypeError} If size is not a positive number.
+	 * @throws {TypeError} If formats is not an array.
+	 * @throws {TypeError} If purpose is not a valid favicon purpose.
+	 */
+	getBestFavicon(options = {}) {
+		const { size, formats, preferSvg = true, purpose = "icon" } = options;
+
+		if (
+			typeof size !== "undefined" &&
+			(typeof size !== "number" || !(size > 0))
+		) {
+			throw new TypeError("Expected size to be a positive number.");
+		}
+
+		if (typeof formats !== "undefined" && !Array.isArray(formats)) {
+			throw new TypeError("Expected formats to be an array.");
+		}
+
+		const acceptedFormats = formats && formats.map(f => f.toLowerCase());
+		const candidates = this.getFavicons(purpose).filter(favicon => {
+			if (!acceptedFormats) {
+				return true;
+			}
+
+			const format = getFaviconFormat(favicon);
+			return Boolean(format && acceptedFormats.includes(format));
+		});
+
+		const scalable = candidates.find(
+			f => getFaviconFormat(f) === "svg" || parseFaviconSizes(f).any,
+		);
+
+		if (scalable && preferSvg) {
+			return scalable;
+		}
+
+		/** @type {WebpageFavicon|undefined} */
+		let above;
+		let aboveSize = Infinity;
+		/** @type {WebpageFavicon|undefined} */
+		let below;
+		let belowSize = 0;
+
+		for (const favicon of candidates) {
+			for (const iconSize of parseFaviconSizes(favicon).sizes) {
+				if (typeof size === "undefined" || iconSize < size) {
+					if (iconSize > belowSize) {
+						belowSize = iconSize;
+						below = favicon;
 					}
+				} else if (iconSize < aboveSize) {
+					aboveSize = iconSize;
+					above = favicon;
 				}
 			}
 		}
 
-		if (largestPng) {
-			return largestPng.href;
-		}
+		const unsized = candidates.find(
+			f => parseFaviconSizes(f).sizes.length === 0,
+		);
 
-		// If no PNG with size, pick any PNG
-		if (pngs.length) {
-			return pngs[0].href;
+		if (typeof size === "undefined") {
+			return below ?? scalable ?? unsized;
 		}
 
-		// Prefer ICO
-		const ico = this.favicons.find(
-			f =>
-				(f.type === "image/x-icon" ||
-					((f.rel === "icon" || f.rel === "shortcut icon") &&
-						f.extname === ".ico")) &&
-				f.href,
-		);
-		if (ico) {
-			return ico.href;
+		return above ?? scalable ?? below ?? unsized;
+	}
+
+	/**
+	 * Finds the language alternate that best matches a list of preferred locales.
+	 * Each locale is tried in order: first an exact match, then by removing subtags
+	 * from the end (e.g., "zh-Hant-TW" to "zh-Hant" to "zh"), then any alternate with
+	 * the same primary language. If no locale matches, the x-default alternate is returned.
+	 * Matching is case-insensitive and treats underscores as hyphens.
+	 * @param {string|string[]} locales The preferred locales, most preferred first.
+	 * @returns {WebpageAlternate|undefined} The best alternate, or undefined if none match.
+	 * @throws {TypeError} If locales is not a string or an array of strings.
+	 */
+	findAlternate(locales) {
+		const list = typeof locales === "string" ? [locales] : locales;
+
+		if (
+			!Array.isArray(list) ||
+			list.some(locale => typeof locale !== "string")
+		) {
+			throw new TypeError(
+				"Expected locales to be a string or an array of strings.",
+			);
 		}
 
-		// Fallback to any favicon if present
-		if (this.favicons.length > 0) {
-			return this.favicons[0].href;
+		/**
+		 * Normalizes a language tag for comparison.
+		 * @param {string} tag The language tag.
+		 * @returns {string} The normalized tag.
+		 */
+		const normalize = tag => tag.trim().toLowerCase().replace(/_/g, "-");
+
+		const alternates = this.alternates.map(alternate => ({
+			alternate,
+			tag: normalize(alternate.hreflang),
+		}));
+
+		for (const locale of list.map(normalize)) {
+			const subtags = locale.split("-");
+
+			while (subtags.length) {
+				const candidate = subtags.join("-");
+				const match = alternates.find(({ tag }) => tag === candidate);
+
+				if (match) {
+					return match.alternate;
+				}
+
+				subtags.pop();
+			}
+
+			const language = locale.split("-")[0];
+			const sameLanguage = alternates.find(({ tag }) =>
+				tag.startsWith(`${language}-`),
+			);
+
+			if (sameLanguage) {
+				return sameLanguage.alternate;
+			}
 		}
 
-		return "/favicon.ico";
+		return alternates.find(({ tag }) => tag === "x-default")?.alternate;
 	}
 
 	/**
-	 * The description of the page, determined by Open Graph, Twitter Card, or meta tags.
+	 * The description of the page, determined by Open Graph, Twitter Card, meta tags,
+	 * or Dublin Core description and abstract.
 	 * @returns {string|undefined} The description if found, otherwise undefined.
 	 */
 	get description() {
@@ -164,27 +1284,35 @@ export class WebpageMeta {
 			return meta[0];
 		}
 
+		const dc =
+			this.dublinCore.get("description") ??
+			this.dublinCore.get("abstract");
+		if (dc && dc.length) {
+			return dc[0].value;
+		}
+
 		return undefined;
 	}
 
 	/**
 	 * The image URL of the page, determined by Open Graph, Twitter Card, or meta tags.
+	 * When a base URL is set, the image URL is resolved against it.
 	 * @returns {string|undefined} The image URL if found, otherwise undefined.
 	 */
 	get image() {
 		const og = this.meta.get("og:image");
 		if (og && og.length) {
-			return og[0];
+			return resolveUrl(og[0], this.baseUrl);
 		}
 
 		const tw = this.meta.get("twitter:image");
 		if (tw && tw.length) {
-			return tw[0];
+			return resolveUrl(tw[0], this.baseUrl);
 		}
 
 		const meta = this.meta.get("image");
 		if (meta && meta.length) {
-			return meta[0];
+			return resolveUrl(meta[0], this.baseUrl);
 		}
 
 		return undefined;
@@ -192,27 +1320,340 @@ export class WebpageMeta {
 
 	/**
 	 * The canonical URL of the page, determined by Open Graph, Twitter Card, or meta tags.
+	 * When a base URL is set, the URL is resolved against it.
 	 * @returns {string|undefined} The URL if found, otherwise undefined.
 	 */
 	get url() {
 		const og = this.meta.get("og:url");
 		if (og && og.length) {
-			return og[0];
+			return resolveUrl(og[0], this.baseUrl);
 		}
 
 		const tw = this.meta.get("twitter:url");
 		if (tw && tw.length) {
-			return tw[0];
+			return resolveUrl(tw[0], this.baseUrl);
 		}
 
 		const meta = this.meta.get("url");
 		if (meta && meta.length) {
-			return meta[0];
+			return resolveUrl(meta[0], this.baseUrl);
 		}
 
 		return undefined;
 	}
 
+	/**
+	 * The authors of the page, normalized and deduplicated across all metadata sources.
+	 * Sources are checked in this priority order:
+	 * 1. JSON-LD author properties, with "@id" references resolved
+	 * 2. Microdata author properties
+	 * 3. article:author (a profile URL or a name)
+	 * 4. <meta name="author">
+	 * 5. Dublin Core creator
+	 * 6. twitter:creator
+	 * 7. <link rel="author">
+	 * Authors with the same name (case-insensitive), URL, or handle are merged, keeping
+	 * the source of the first occurrence. A URL or handle without a name is merged into
+	 * the only author found so far when there is exactly one.
+	 * @returns {WebpageAuthor[]} The authors, or an empty array if none are found.
+	 */
+	get authors() {
+		/** @type {WebpageAuthor[]} */
+		const candidates = [];
+
+		for (const node of getRootJsonLdNodes(
+			flattenJsonLd(this.jsonld, this.baseUrl),
+		)) {
+			candidates.push(...toAuthors(node.author, "jsonld"));
+		}
+
+		for (const item of this.microdata) {
+			candidates.push(
+				...toAuthors(
+					/** @type {{ [key: string]: unknown }} */ (item).author,
+					"microdata",
+				),
+			);
+		}
+
+		candidates.push(
+			...toAuthors(this.meta.get("article:author") ?? [], "article"),
+		);
+
+		for (const name of this.meta.get("author") ?? []) {
+			candidates.push(...toAuthors(name, "meta"));
+		}
+
+		for (const { value } of this.dublinCore.get("creator") ?? []) {
+			candidates.push(...toAuthors(value, "dublincore"));
+		}
+
+		for (const creator of this.meta.get("twitter:creator") ?? []) {
+			const handle = normalizeHandle(creator);
+
+			if (handle) {
+				candidates.push({
+					name: undefined,
+					url: undefined,
+					handle,
+					source: "twitter",
+				});
+			}
+		}
+
+		for (const url of this.authorUrls) {
+			candidates.push({
+				name: undefined,
+				url,
+				handle: undefined,
+				source: "link",
+			});
+		}
+
+		/** @type {WebpageAuthor[]} */
+		const result = [];
+
+		for (const candidate of candidates) {
+			const url =
+				candidate.url && resolveUrl(candidate.url, this.baseUrl);
+			const name = candidate.name?.toLowerCase();
+			const handle = candidate.handle?.toLowerCase();
+
+			let match = result.find(
+				author =>
+					(name && author.name?.toLowerCase() === name) ||
+					(url && author.url === url) ||
+					(handle && author.handle?.toLowerCase() === handle),
+			);
+
+			if (!match && !name && result.length === 1) {
+				const [only] = result;
+
+				if ((!url || !only.url) && (!handle || !only.handle)) {
+					match = only;
+				}
+			}
+
+			if (match) {
+				match.name ??= candidate.name;
+				match.url ??= url;
+				match.handle ??= candidate.handle;
+			} else {
+				result.push({ ...candidate, url });
+			}
+		}
+
+		return result;
+	}
+
+	/**
+	 * Finds all JSON-LD nodes of a type. Nodes inside "@graph" containers and nested
+	 * inside other nodes are included, nodes that share an "@id" are merged, and
+	 * references to other nodes by "@id" are replaced by the nodes themselves.
+	 * Types are compared after expanding them against the "@context", so "Article",
+	 * "schema:Article", "http://schema.org/Article", and "https://schema.org/Article"
+	 * all match. Nodes with an array of types match any of them.
+	 * @param {string} type The type to find (e.g., "Article").
+	 * @returns {JsonLdNode[]} The matching nodes, or an empty array if none match.
+	 * @throws {TypeError} If type is not a non-empty string.
+	 */
+	findJsonLd(type) {
+		if (typeof type !== "string" || !type.trim()) {
+			throw new TypeError("Expected type to be a non-empty string.");
+		}
+
+		return findJsonLdNodes(flattenJsonLd(this.jsonld, this.baseUrl), type);
+	}
+
+	/**
+	 * Returns the JSON-LD node with an "@id", merged with any other nodes that share
+	 * it and with references to other nodes resolved. Relative values are resolved
+	 * against the base URL when one is set.
+	 * @param {string} id The "@id" to find.
+	 * @returns {JsonLdNode|undefined} The node, or undefined if not found.
+	 * @throws {TypeError} If id is not a non-empty string.
+	 */
+	getJsonLdById(id) {
+		if (typeof id !== "string" || !id.trim()) {
+			throw new TypeError("Expected id to be a non-empty string.");
+		}
+
+		return getJsonLdNode(flattenJsonLd(this.jsonld, this.baseUrl), id);
+	}
+
+	/**
+	 * The structured data entities in the page from JSON-LD, microdata, and RDFa,
+	 * all in JSON-LD form. JSON-LD entities are the top-level nodes and members of
+	 * top-level "@graph" containers, with references resolved. Microdata and RDFa
+	 * items are converted so that type becomes "@type" and id becomes "@id", with
+	 * schema.org types shortened to bare terms. JSON-LD entities come first,
+	 * followed by microdata and then RDFa entities.
+	 * @returns {WebpageEntity[]} The entities, or an empty array if there are none.
+	 */
+	get entities() {
+		/** @type {WebpageEntity[]} */
+		const result = getRootJsonLdNodes(
+			flattenJsonLd(this.jsonld, this.baseUrl),
+		).map(data => ({ source: "jsonld", data }));
+
+		for (const item of this.microdata) {
+			result.push({ source: "microdata", data: microdataToJsonLd(item) });
+		}
+
+		for (const item of this.rdfa) {
+			result.push({ source: "rdfa", data: microdataToJsonLd(item) });
+		}
+
+		return result;
+	}
+
+	/**
+	 * Finds all entities of a type, regardless of whether they came from JSON-LD,
+	 * microdata, or RDFa. Types are compared the same way as in findJsonLd().
+	 * @param {string} type The type to find (e.g., "Article").
+	 * @returns {WebpageEntity[]} The matching entities, or an empty array if none match.
+	 * @throws {TypeError} If type is not a non-empty string.
+	 */
+	findEntities(type) {
+		if (typeof type !== "string" || !type.trim()) {
+			throw new TypeError("Expected type to be a non-empty string.");
+		}
+
+		return this.entities.filter(({ data }) =>
+			isJsonLdNodeOfType(data, type),
+		);
+	}
+
+	/**
+	 * The publication date of the page. Sources are checked in this priority order:
+	 * JSON-LD datePublished, article:published_time, microdata datePublished,
+	 * Dublin Core issued/created/date, and finally the first <time datetime>
+	 * element from dateTimes. Values that cannot be parsed are skipped.
+	 * @returns {WebpageDate|undefined} The publication date, or undefined if none is found.
+	 */
+	get publishedAt() {
+		const candidates = getDateCandidates(
+			this,
+			"datePublished",
+			[["article:published_time", "article"]],
+			DUBLIN_CORE_PUBLISHED_TERMS,
+		);
+
+		for (const value of this.dateTimes) {
+			candidates.push({ value, source: "time", property: "time" });
+		}
+
+		return pickDate(candidates);
+	}
+
+	/**
+	 * The last modification date of the page. Sources are checked in this priority
+	 * order: JSON-LD dateModified, article:modified_time, og:updated_time,
+	 * microdata dateModified, and Dublin Core modified. Values that cannot be
+	 * parsed are skipped.
+	 * @returns {WebpageDate|undefined} The modification date, or undefined if none is found.
+	 */
+	get modifiedAt() {
+		return pickDate(
+			getDateCandidates(
+				this,
+				"dateModified",
+				[
+					["article:modified_time", "article"],
+					["og:updated_time", "opengraph"],
+				],
+				DUBLIN_CORE_MODIFIED_TERMS,
+			),
+		);
+	}
+
+	/**
+	 * The primary language of the page. Sources are checked in this priority order:
+	 * <html lang>, JSON-LD inLanguage, og:locale, and
+	 * <meta http-equiv="content-language">.
+	 * @returns {WebpageLanguage|undefined} The language, or undefined if none is found.
+	 */
+	get language() {
+		return this.locales.find(
+			locale => locale.property !== "og:locale:alternate",
+		);
+	}
+
+	/**
+	 * All languages declared by the page, deduplicated by tag. The primary
+	 * language sources come first (in the same order as language), followed by
+	 * og:locale:alternate values.
+	 * @returns {WebpageLanguage[]} The languages, or an empty array if none are found.
+	 */
+	get locales() {
+		/** @type {Array<Omit<WebpageLanguage, "tag">>} */
+		const candidates = [];
+
+		if (this.htmlLang) {
+			candidates.push({
+				raw: this.htmlLang,
+				source: "html",
+				property: "lang",
+			});
+		}
+
+		// Top-level nodes come before nested ones such as WebPage.mainEntity
+		const { nodes } = flattenJsonLd(this.jsonld, this.baseUrl);
+
+		for (const { node } of [
+			...nodes.filter(({ root }) => root),
+			...nodes.filter(({ root }) => !root),
+		]) {
+			for (const value of [node.inLanguage].flat()) {
+				if (typeof value === "string") {
+					candidates.push({
+						raw: value,
+						source: "jsonld",
+						property: "inLanguage",
+					});
+				}
+			}
+		}
+
+		for (const raw of this.meta.get("og:locale") ?? []) {
+			candidates.push({
+				raw,
+				source: "opengraph",
+				property: "og:locale",
+			});
+		}
+
+		// The content-language value may list several languages separated by commas
+		for (const raw of this.contentLanguage?.split(",") ?? []) {
+			candidates.push({
+				raw: raw.trim(),
+				source: "http-equiv",
+				property: "content-language",
+			});
+		}
+
+		for (const raw of this.meta.get("og:locale:alternate") ?? []) {
+			candidates.push({
+				raw,
+				source: "opengraph",
+				property: "og:locale:alternate",
+			});
+		}
+
+		/** @type {WebpageLanguage[]} */
+		const result = [];
+
+		for (const candidate of candidates) {
+			const tag = normalizeLanguageTag(candidate.raw);
+
+			if (tag && !result.some(locale => locale.tag === tag)) {
+				result.push({ tag, ...candidate });
+			}
+		}
+
+		return result;
+	}
+
 	/**
 	 * The site name of the page, determined by Open Graph or meta tags.
 	 * @returns {string|undefined} The site name if found, otherwise undefined.
@@ -267,10 +1708,433 @@ export class WebpageMeta {
 		return result;
 	}
 
+	/**
+	 * The Twitter/X Card for the page, based on twitter:card and related properties.
+	 * Image and player URLs are resolved against the base URL when one is set.
+	 * @returns {WebpageTwitterCard|undefined} The Twitter Card, or undefined if twitter:card is missing.
+	 */
+	get twitterCard() {
+		/**
+		 * Gets the first value for a Twitter Card property.
+		 * @param {string} key The property name without the twitter: prefix.
+		 * @returns {string|undefined} The first value, or undefined if not found.
+		 */
+		const get = key => this.meta.get(`twitter:${key}`)?.[0];
+
+		const card = get("card");
+		if (!card) {
+			return undefined;
+		}
+
+		const image = get("image") ?? get("image:src");
+
+		/** @type {import("./webpage-twitter-card.js").TwitterCardPlayer|undefined} */
+		let player;
+		const playerUrl = get("player");
+		if (playerUrl) {
+			const stream = get("player:stream");
+			player = {
+				url: resolveUrl(playerUrl, this.baseUrl),
+				width: toNumber(get("player:width")),
+				height: toNumber(get("player:height")),
+				stream: stream && resolveUrl(stream, this.baseUrl),
+			};
+		}
+
+		/** @type {import("./webpage-twitter-card.js").TwitterCardApps|undefined} */
+		let apps;
+		for (const platform of TWITTER_APP_PLATFORMS) {
+			const id = get(`app:id:${platform}`);
+			const url = get(`app:url:${platform}`);
+			const name = get(`app:name:${platform}`);
+
+			if (id || url || name) {
+				apps ??= {
+					iphone: undefined,
+					ipad: undefined,
+					googleplay: undefined,
+				};
+				apps[platform] = { id, url, name };
+			}
+		}
+
+		return new WebpageTwitterCard(card, {
+			site: get("site"),
+			siteId: get("site:id"),
+			creator: get("creator"),
+			creatorId: get("creator:id"),
+			title: get("title"),
+			description: get("description"),
+			image: image && resolveUrl(image, this.baseUrl),
+			imageAlt: get("image:alt"),
+			player,
+			apps,
+		});
+	}
+
+	/**
+	 * The product on the page, normalized across metadata sources. Structured
+	 * values come from a single primary product: the first top-level Product
+	 * in JSON-LD, then microdata, then RDFa, with prices and currency taken
+	 * together from its first offer. Without a Product, the first top-level
+	 * Offer or AggregateOffer and its itemOffered product are used. Fields the
+	 * primary product lacks are then filled from, in order:
+	 * 1. product:* tags (e.g., product:price:amount)
+	 * 2. og:* tags (e.g., og:price:amount)
+	 * Prices and ratings are numbers, currencies are uppercase, and availability
+	 * and condition use schema.org terms (e.g., "InStock", "NewCondition").
+	 * @returns {WebpageProduct|undefined} The product, or undefined if no product metadata is found.
+	 */
+	get product() {
+		/**
+		 * Gets the first value for a meta tag.
+		 * @param {string} key The property or name.
+		 * @returns {string|undefined} The first value, or undefined if not found.
+		 */
+		const get = key => this.meta.get(key)?.[0];
+
+		// A page can describe several products, so all structured values come
+		// from one primary entity to avoid mixing fields from different products
+		const { entities } = this;
+		const product = entities.find(({ data }) =>
+			isJsonLdNodeOfType(data, "Product"),
+		);
+		const offer = product
+			? undefined
+			: entities.find(
+					({ data }) =>
+						isJsonLdNodeOfType(data, "Offer") ||
+						isJsonLdNodeOfType(data, "AggregateOffer"),
+				);
+
+		/** @type {Array<[WebpageProductSource, Partial<ProductValues>]>} */
+		const candidates = [];
+
+		if (product) {
+			candidates.push([product.source, getProductValues(product.data)]);
+		} else if (offer) {
+			const itemOffered = firstObject(offer.data.itemOffered);
+			candidates.push([
+				offer.source,
+				{
+					...(itemOffered && getProductValues(itemOffered)),
+					...getOfferValues(offer.data),
+				},
+			]);
+		}
+
+		for (const prefix of ["product", "og"]) {
+			candidates.push([
+				prefix === "og" ? "opengraph" : "product",
+				{
+					price: parseDecimal(get(`${prefix}:price:amount`)),
+					currency: get(`${prefix}:price:currency`)
+						?.trim()
+						.toUpperCase(),
+					availability: normalizeTerm(
+						get(`${prefix}:availability`),
+						AVAILABILITY_TERMS,
+					),
+					condition: normalizeTerm(
+						get(`${prefix}:condition`),
+						CONDITION_TERMS,
+					),
+					brand: firstText(get(`${prefix}:brand`)),
+					sku: firstText(get(`${prefix}:retailer_item_id`)),
+					gtin:
+						firstText(get(`${prefix}:gtin`)) ??
+						firstText(get(`${prefix}:ean`)) ??
+						firstText(get(`${prefix}:upc`)),
+				},
+			]);
+		}
+
+		if (get("og:type")?.trim().toLowerCase().startsWith("product")) {
+			candidates.push([
+				"opengraph",
+				{ name: firstText(get("og:title")) },
+			]);
+		}
+
+		/** @type {WebpageProduct} */
+		const result = {
+			name: undefined,
+			brand: undefined,
+			sku: undefined,
+			gtin: undefined,
+			price: undefined,
+			lowPrice: undefined,
+			highPrice: undefined,
+			currency: undefined,
+			availability: undefined,
+			condition: undefined,
+			rating: undefined,
+			ratingCount: undefined,
+			sources: {},
+		};
+
+		for (const field of PRODUCT_FIELDS) {
+			const match = candidates.find(
+				([, values]) => values[field] !== undefined,
+			);
+
+			if (match) {
+				const [source, values] = match;
+				Object.assign(result, { [field]: values[field] });
+				result.sources[field] = source;
+			}
+		}
+
+		return Object.keys(result.sources).length ? result : undefined;
+	}
+
+	/**
+	 * The native apps that can open the page, grouped by App Links platform.
+	 * Values are taken from App Links (al:*) tags first, then from the
+	 * apple-itunes-app and google-play-app banner tags, then from android-app://
+	 * and ios-app:// alternate links, and finally from Twitter/X app card tags.
+	 * Within a platform, each property uses the first source that provides it.
+	 * @returns {WebpageApps|undefined} The apps, or undefined if the page has no app metadata.
+	 */
+	get apps() {
+		/**
+		 * Gets the first value for a meta tag.
+		 * @param {string} key The property or name.
+		 * @returns {string|undefined} The first value, or undefined if not found.
+		 */
+		const get = key => this.meta.get(key)?.[0]?.trim() || undefined;
+
+		const itunes = parseAppBanner(get("apple-itunes-app"));
+		const googlePlay = parseAppBanner(get("google-play-app"));
+		const appUris = this.appAlternates
+			.map(parseAppUri)
+			.filter(app => app !== undefined);
+
+		/** @type {WebpageApps} */
+		const result = {
+			ios: undefined,
+			iphone: undefined,
+			ipad: undefined,
+			android: undefined,
+			windows_phone: undefined,
+			windows: undefined,
+			windows_universal: undefined,
+			web: undefined,
+		};
+		let found = false;
+
+		for (const [platform, idProperty, twitterPlatform] of APP_PLATFORMS) {
+			const appUri = appUris.find(app => app.platform === platform);
+			const twitter = twitterPlatform
+				? {
+						id: get(`twitter:app:id:${twitterPlatform}`),
+						url: get(`twitter:app:url:${twitterPlatform}`),
+						name: get(`twitter:app:name:${twitterPlatform}`),
+					}
+				: undefined;
+
+			/** @type {WebpageApp} */
+			const app = {
+				id:
+					get(`al:${platform}:${idProperty}`) ??
+					(platform === "ios" ? itunes.get("app-id") : undefined) ??
+					(platform === "android"
+						? googlePlay.get("app-id")
+						: undefined) ??
+					appUri?.id ??
+					twitter?.id,
+				url: get(`al:${platform}:url`) ?? appUri?.url ?? twitter?.url,
+				name: get(`al:${platform}:app_name`) ?? twitter?.name,
+			};
+
+			if (platform === "ios") {
+				app.argument = itunes.get("app-argument");
+			}
+
+			if (app.id || app.url || app.name || app.argument) {
+				result[platform] = app;
+				found = true;
+			}
+		}
+
+		const webUrl = get("al:web:url");
+		const shouldFallback = get("al:web:should_fallback")?.toLowerCase();
+
+		if (webUrl || shouldFallback) {
+			result.web = {
+				url: webUrl && resolveUrl(webUrl, this.baseUrl),
+				shouldFallback:
+					shouldFallback !== "false" && shouldFallback !== "0",
+			};
+			found = true;
+		}
+
+		return found ? result : undefined;
+	}
+
+	/**
+	 * The content of <meta http-equiv="content-language">.
+	 * @returns {string|undefined} The content language, or undefined if not specified.
+	 */
+	get contentLanguage() {
+		return this.httpEquiv.get("content-language")?.[0];
+	}
+
+	/**
+	 * The client-side redirect or reload from <meta http-equiv="refresh">.
+	 * The URL is resolved against the base URL when one is set.
+	 * @returns {WebpageRefresh|undefined} The refresh, or undefined if not specified or invalid.
+	 */
+	get refresh() {
+		const content = this.httpEquiv.get("refresh")?.[0];
+		const refresh = content ? parseRefresh(content) : undefined;
+
+		if (refresh?.url) {
+			refresh.url = resolveUrl(refresh.url, this.baseUrl);
+		}
+
+		return refresh;
+	}
+
+	/**
+	 * The color schemes the page supports, from <meta name="color-scheme">.
+	 * The "normal" keyword means no schemes are declared.
+	 * @returns {WebpageColorScheme|undefined} The color schemes, or undefined if not specified.
+	 */
+	get colorScheme() {
+		const content = this.meta.get("color-scheme")?.[0];
+
+		if (!content) {
+			return undefined;
+		}
+
+		const tokens = content.trim().toLowerCase().split(/\s+/);
+
+		return {
+			schemes: tokens.filter(
+				token => token && token !== "only" && token !== "normal",
+			),
+			only: tokens.includes("only"),
+		};
+	}
+
+	/**
+	 * The Windows tile color from <meta name="msapplication-TileColor">.
+	 * @returns {string|undefined} The tile color, or undefined if not specified.
+	 */
+	get tileColor() {
+		for (const [key, values] of this.meta) {
+			if (key.toLowerCase() === "msapplication-tilecolor") {
+				return values[0]?.trim() || undefined;
+			}
+		}
+
+		return undefined;
+	}
+
+	/**
+	 * Returns the brand color of the page for a color scheme. The theme color
+	 * whose media condition targets the scheme is preferred, followed by the
+	 * theme color without a media condition, the Windows tile color, and the
+	 * mask icon color.
+	 * @param {"light"|"dark"} [scheme] The color scheme.
+	 * @returns {string|undefined} The color, or undefined if none is found.
+	 * @throws {TypeError} If scheme is not "light" or "dark".
+	 */
+	getThemeColor(scheme = "light") {
+		if (!COLOR_SCHEMES.has(scheme)) {
+			throw new TypeError('Expected scheme to be "light" or "dark".');
+		}
+
+		for (const [media, color] of this.themeColors) {
+			if (getMediaColorScheme(media) === scheme) {
+				return color;
+			}
+		}
+
+		return (
+			this.themeColors.get("all") ??
+			this.tileColor ??
+			this.getFavicons("mask-icon").find(favicon => favicon.color)?.color
+		);
+	}
+
+	/**
+	 * The robots directives for the page, from <meta name="robots"> and bot-specific
+	 * tags such as <meta name="googlebot"> or <meta name="CCBot">, as recorded in
+	 * robotsRules. Meta names are matched case-insensitively.
+	 * @returns {WebpageRobots} The robots directives.
+	 */
+	get robots() {
+		return new WebpageRobots(this.robotsRules);
+	}
+
+	/**
+	 * Problems found while extracting metadata, such as JSON-LD script blocks
+	 * that are not valid JSON.
+	 * @type {WebpageMetaError[]}
+	 */
+	errors = [];
+
 	/**
 	 * All microdata items found in the page, as per the WHATWG microdata JSON extraction algorithm.
 	 * Each entry is an object representing a top-level microdata item and its properties.
 	 * @type {object[]}
 	 */
 	microdata = [];
+
+	/**
+	 * All top-level RDFa Lite 1.1 items found in the page, in the same shape as microdata items.
+	 * Types are expanded to IRIs using the vocab and prefix attributes in scope.
+	 * @type {object[]}
+	 */
+	rdfa = [];
+
+	/**
+	 * The microformats2 items and rel values found in the page, in the JSON
+	 * shape defined by the microformats2 parsing spec.
+	 * @type {Microformats}
+	 */
+	microformats = { items: [], rels: {}, "rel-urls": {} };
+
+	/**
+	 * The Dublin Core metadata in the page, keyed by DCMI term (e.g., "title",
+	 * "creator", "issued"). Names are matched case-insensitively, qualified names
+	 * such as "DC.date.issued" are stored under the refinement, and prefixes
+	 * declared with <link rel="schema.PREFIX"> are honored.
+	 * @type {Map<string, DublinCoreValue[]>}
+	 */
+	dublinCore = new Map();
+
+	/**
+	 * The main content of the page, with its cleaned HTML, text, word count,
+	 * reading time, and lead image. Only set when the extractMainContent option
+	 * is passed to extract().
+	 * @type {MainContent|undefined}
+	 */
+	mainContent;
+
+	/**
+	 * The Highwire Press citation_* meta tags in document order, as name and
+	 * content pairs.
+	 * @type {Array<[string, string]>}
+	 */
+	citationTags = [];
+
+	/**
+	 * The scholarly citation metadata of the page, from the Highwire Press
+	 * citation_* meta tags used by Google Scholar. Authors are grouped with the
+	 * institutions, email addresses, and ORCID iDs that follow them. When a base
+	 * URL is set, URLs are resolved against it.
+	 * @returns {WebpageCitation|undefined} The citation, or undefined if the page has no citation tags.
+	 */
+	get citation() {
+		if (!this.citationTags.length) {
+			return undefined;
+		}
+
+		return new WebpageCitation(this.citationTags, {
+			baseUrl: this.baseUrl,
+		});
+	}
 }
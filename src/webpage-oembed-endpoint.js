@@ -0,0 +1,57 @@
+/**
+ * @fileoverview Represents an oEmbed endpoint discovered in the page.
+ * @author Nicholas C. Zakas
+ */
+
+//-----------------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------------
+
+/**
+ * Represents an oEmbed endpoint discovered in the page.
+ */
+export class WebpageOEmbedEndpoint {
+	/**
+	 * The href (URL) of the oEmbed endpoint.
+	 * @type {string}
+	 */
+	href;
+
+	/**
+	 * The href attribute exactly as it appeared in the document, before being
+	 * resolved against the base URL. Only set when URL resolution is enabled.
+	 * @type {string|undefined}
+	 */
+	rawHref;
+
+	/**
+	 * The format of the oEmbed response ("json" or "xml").
+	 * @type {"json"|"xml"}
+	 */
+	format;
+
+	/**
+	 * The title of the embedded resource, if available.
+	 * @type {string|undefined}
+	 */
+	title;
+
+	/**
+	 * Creates a new WebpageOEmbedEndpoint instance.
+	 * @param {string} href The endpoint URL (required).
+	 * @param {object} [options] Optional endpoint properties.
+	 * @param {"json"|"xml"} [options.format] The response format. Defaults to "json".
+	 * @param {string} [options.title] The title of the embedded resource.
+	 * @param {string} [options.rawHref] The unresolved endpoint URL.
+	 * @throws {TypeError} If href is missing.
+	 */
+	constructor(href, options = {}) {
+		if (!href) {
+			throw new TypeError("WebpageOEmbedEndpoint: href is required");
+		}
+		this.href = href;
+		this.format = options.format ?? "json";
+		this.title = options.title;
+		this.rawHref = options.rawHref;
+	}
+}
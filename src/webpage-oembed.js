@@ -0,0 +1,279 @@
+/**
+ * @fileoverview Represents an oEmbed response.
+ * @author Nicholas C. Zakas
+ */
+
+//-----------------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------------
+
+import { decodeHtmlEntities } from "./decode-html-entities.js";
+
+//-----------------------------------------------------------------------------
+// Types
+//-----------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} OEmbedThumbnail
+ * @property {string} url The URL of the thumbnail image.
+ * @property {number|undefined} width The width of the thumbnail in pixels.
+ * @property {number|undefined} height The height of the thumbnail in pixels.
+ */
+
+/**
+ * @typedef {Object} OEmbedLink
+ * @property {string|undefined} name The name of the author or provider.
+ * @property {string|undefined} url The URL of the author or provider.
+ */
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+/**
+ * Parses an oEmbed XML response into a flat object of strings.
+ * oEmbed XML responses consist of a single <oembed> element with one child
+ * element per property, so a full XML parser isn't necessary.
+ * @param {string} text The XML text.
+ * @returns {{ [key: string]: string }} The parsed properties.
+ * @throws {Error} If there is no <oembed> element.
+ */
+function parseXml(text) {
+	const root = text.match(/<oembed(?:\s[^>]*)?>([\s\S]*)<\/oembed\s*>/i);
+
+	if (!root) {
+		throw new Error("Invalid oEmbed XML.");
+	}
+
+	/** @type {{ [key: string]: string }} */
+	const result = {};
+	const propertyPattern = /<([a-z_]+)(?:\s[^>]*)?>([\s\S]*?)<\/\1\s*>/gi;
+
+	for (const [, name, rawValue] of root[1].matchAll(propertyPattern)) {
+		const cdata = rawValue.match(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/);
+		result[name] = cdata ? cdata[1] : decodeHtmlEntities(rawValue.trim());
+	}
+
+	return result;
+}
+
+/**
+ * Returns the value as a string, or undefined if it's missing or empty.
+ * @param {unknown} value The value to convert.
+ * @returns {string|undefined} The string or undefined.
+ */
+function toOptionalString(value) {
+	if (typeof value === "number") {
+		return String(value);
+	}
+
+	if (typeof value !== "string") {
+		return undefined;
+	}
+
+	return value || undefined;
+}
+
+/**
+ * Converts a value to a number, returning undefined if it's not a valid number.
+ * @param {unknown} value The value to convert.
+ * @returns {number|undefined} The number or undefined.
+ */
+function toOptionalNumber(value) {
+	if (typeof value !== "number" && typeof value !== "string") {
+		return undefined;
+	}
+
+	if (value === "") {
+		return undefined;
+	}
+
+	const num = Number(value);
+	return Number.isNaN(num) ? undefined : num;
+}
+
+/**
+ * Creates an author or provider object from a name and URL.
+ * @param {unknown} name The name.
+ * @param {unknown} url The URL.
+ * @returns {OEmbedLink|undefined} The object, or undefined if both are missing.
+ */
+function toLink(name, url) {
+	const result = {
+		name: toOptionalString(name),
+		url: toOptionalString(url),
+	};
+
+	return result.name || result.url ? result : undefined;
+}
+
+//-----------------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------------
+
+/**
+ * Represents an oEmbed response.
+ */
+export class WebpageOEmbed {
+	/**
+	 * The resource type ("photo", "video", "link", or "rich").
+	 * @type {string}
+	 */
+	type;
+
+	/**
+	 * The oEmbed version (optional).
+	 * @type {string|undefined}
+	 */
+	version;
+
+	/**
+	 * The title of the resource (optional).
+	 * @type {string|undefined}
+	 */
+	title;
+
+	/**
+	 * The HTML used to embed the resource for video and rich types (optional).
+	 * @type {string|undefined}
+	 */
+	html;
+
+	/**
+	 * The URL of the image for the photo type (optional).
+	 * @type {string|undefined}
+	 */
+	url;
+
+	/**
+	 * The width of the resource in pixels (optional).
+	 * @type {number|undefined}
+	 */
+	width;
+
+	/**
+	 * The height of the resource in pixels (optional).
+	 * @type {number|undefined}
+	 */
+	height;
+
+	/**
+	 * The thumbnail for the resource (optional).
+	 * @type {OEmbedThumbnail|undefined}
+	 */
+	thumbnail;
+
+	/**
+	 * The author of the resource (optional).
+	 * @type {OEmbedLink|undefined}
+	 */
+	author;
+
+	/**
+	 * The provider of the resource (optional).
+	 * @type {OEmbedLink|undefined}
+	 */
+	provider;
+
+	/**
+	 * The suggested cache lifetime in seconds (optional).
+	 * @type {number|undefined}
+	 */
+	cacheAge;
+
+	/**
+	 * Creates a new WebpageOEmbed instance.
+	 * @param {string} type The resource type (required).
+	 * @param {object} [options] Optional response properties.
+	 * @param {string} [options.version] The oEmbed version.
+	 * @param {string} [options.title] The title of the resource.
+	 * @param {string} [options.html] The embed HTML.
+	 * @param {string} [options.url] The URL of the photo.
+	 * @param {number} [options.width] The width of the resource.
+	 * @param {number} [options.height] The height of the resource.
+	 * @param {OEmbedThumbnail} [options.thumbnail] The thumbnail.
+	 * @param {OEmbedLink} [options.author] The author.
+	 * @param {OEmbedLink} [options.provider] The provider.
+	 * @param {number} [options.cacheAge] The cache lifetime in seconds.
+	 * @throws {TypeError} If type is missing.
+	 */
+	constructor(type, options = {}) {
+		if (!type) {
+			throw new TypeError("WebpageOEmbed: type is required");
+		}
+		this.type = type;
+		this.version = options.version;
+		this.title = options.title;
+		this.html = options.html;
+		this.url = options.url;
+		this.width = options.width;
+		this.height = options.height;
+		this.thumbnail = options.thumbnail;
+		this.author = options.author;
+		this.provider = options.provider;
+		this.cacheAge = options.cacheAge;
+	}
+
+	/**
+	 * Parses the body of an oEmbed response.
+	 * If no format is given, XML is assumed when the text starts with "<".
+	 * @param {string} text The response body.
+	 * @param {"json"|"xml"} [format] The response format.
+	 * @returns {WebpageOEmbed} The parsed response.
+	 * @throws {TypeError} If text is not a string.
+	 * @throws {Error} If the response cannot be parsed or has no type.
+	 */
+	static parse(text, format) {
+		if (typeof text !== "string") {
+			throw new TypeError("Expected oEmbed text to be a string.");
+		}
+
+		const isXml = format ? format === "xml" : text.trim().startsWith("<");
+
+		/** @type {{ [key: string]: unknown }} */
+		let data;
+
+		if (isXml) {
+			data = parseXml(text);
+		} else {
+			try {
+				data = JSON.parse(text);
+			} catch (error) {
+				throw new Error("Invalid oEmbed JSON.", { cause: error });
+			}
+
+			if (!data || typeof data !== "object" || Array.isArray(data)) {
+				throw new Error(
+					"Expected oEmbed response to be a JSON object.",
+				);
+			}
+		}
+
+		const type = toOptionalString(data.type);
+
+		if (!type) {
+			throw new Error("Expected oEmbed response to have a type.");
+		}
+
+		const thumbnailUrl = toOptionalString(data.thumbnail_url);
+
+		return new WebpageOEmbed(type, {
+			version: toOptionalString(data.version),
+			title: toOptionalString(data.title),
+			html: toOptionalString(data.html),
+			url: toOptionalString(data.url),
+			width: toOptionalNumber(data.width),
+			height: toOptionalNumber(data.height),
+			thumbnail: thumbnailUrl
+				? {
+						url: thumbnailUrl,
+						width: toOptionalNumber(data.thumbnail_width),
+						height: toOptionalNumber(data.thumbnail_height),
+					}
+				: undefined,
+			author: toLink(data.author_name, data.author_url),
+			provider: toLink(data.provider_name, data.provider_url),
+			cacheAge: toOptionalNumber(data.cache_age),
+		});
+	}
+}
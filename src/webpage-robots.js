@@ -0,0 +1,305 @@
+/**
+ * @fileoverview Represents the robots meta directives of a page.
+ * @author Nicholas C. Zakas
+ */
+
+//-----------------------------------------------------------------------------
+// Types
+//-----------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} RobotsDirectives
+ * @property {boolean} noindex Whether the page should not be indexed.
+ * @property {boolean} nofollow Whether links on the page should not be followed.
+ * @property {boolean} noarchive Whether a cached copy should not be shown.
+ * @property {boolean} nosnippet Whether a text snippet should not be shown.
+ * @property {boolean} noimageindex Whether images on the page should not be indexed.
+ * @property {boolean} notranslate Whether a translation should not be offered.
+ * @property {boolean} indexifembedded Whether the page may be indexed when embedded.
+ * @property {number|undefined} maxSnippet The maximum snippet length in characters (-1 for no limit).
+ * @property {"none"|"standard"|"large"|undefined} maxImagePreview The maximum image preview size.
+ * @property {number|undefined} maxVideoPreview The maximum video preview length in seconds (-1 for no limit).
+ * @property {Date|undefined} unavailableAfter The date after which the page should not be shown.
+ */
+
+//-----------------------------------------------------------------------------
+// Data
+//-----------------------------------------------------------------------------
+
+/**
+ * The name used for generic directives that apply to all bots.
+ */
+const GENERIC_BOT = "robots";
+
+/**
+ * Boolean directives and the property they set.
+ * @type {Map<string, "noindex"|"nofollow"|"noarchive"|"nosnippet"|"noimageindex"|"notranslate"|"indexifembedded">}
+ */
+const FLAG_DIRECTIVES = new Map([
+	["noindex", "noindex"],
+	["nofollow", "nofollow"],
+	["noarchive", "noarchive"],
+	["nocache", "noarchive"],
+	["nosnippet", "nosnippet"],
+	["noimageindex", "noimageindex"],
+	["notranslate", "notranslate"],
+	["indexifembedded", "indexifembedded"],
+]);
+
+/**
+ * All recognized directive names, used to detect commas inside unavailable_after dates.
+ * @type {Set<string>}
+ */
+const KNOWN_DIRECTIVES = new Set([
+	...FLAG_DIRECTIVES.keys(),
+	"all",
+	"none",
+	"index",
+	"follow",
+	"noodp",
+	"noydir",
+	"max-snippet",
+	"max-image-preview",
+	"max-video-preview",
+	"unavailable_after",
+]);
+
+/**
+ * Image preview sizes from most to least restrictive.
+ * @type {Array<"none"|"standard"|"large">}
+ */
+const IMAGE_PREVIEW_SIZES = ["none", "standard", "large"];
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+/**
+ * Creates a directives object with no restrictions.
+ * @returns {RobotsDirectives} The directives.
+ */
+function createDirectives() {
+	return {
+		noindex: false,
+		nofollow: false,
+		noarchive: false,
+		nosnippet: false,
+		noimageindex: false,
+		notranslate: false,
+		indexifembedded: false,
+		maxSnippet: undefined,
+		maxImagePreview: undefined,
+		maxVideoPreview: undefined,
+		unavailableAfter: undefined,
+	};
+}
+
+/**
+ * Splits a robots content value into individual directives. Commas inside
+ * unavailable_after dates (e.g., "Friday, 01-Jan-2021 ...") are preserved.
+ * @param {string} content The content attribute value.
+ * @returns {string[]} The individual directives.
+ */
+function splitDirectives(content) {
+	/** @type {string[]} */
+	const result = [];
+
+	for (const part of content.split(",")) {
+		const token = part.trim();
+		const name = token.split(":")[0].trim().toLowerCase();
+		const last = result.length - 1;
+
+		if (
+			!KNOWN_DIRECTIVES.has(name) &&
+			last >= 0 &&
+			result[last].toLowerCase().startsWith("unavailable_after")
+		) {
+			result[last] += `, ${token}`;
+		} else if (token) {
+			result.push(token);
+		}
+	}
+
+	return result;
+}
+
+/**
+ * Converts a preview length to a number, treating -1 as unlimited.
+ * @param {number|undefined} value The value to convert.
+ * @returns {number} The comparable value.
+ */
+function toComparableLimit(value) {
+	return typeof value === "undefined" || value < 0 ? Infinity : value;
+}
+
+/**
+ * Returns the more restrictive of two numeric limits.
+ * @param {number|undefined} a The first limit.
+ * @param {number|undefined} b The second limit.
+ * @returns {number|undefined} The more restrictive limit.
+ */
+function minLimit(a, b) {
+	if (typeof a === "undefined") {
+		return b;
+	}
+
+	if (typeof b === "undefined") {
+		return a;
+	}
+
+	return toComparableLimit(a) <= toComparableLimit(b) ? a : b;
+}
+
+/**
+ * Parses the content values of robots meta tags into a directives object.
+ * When directives conflict, the most restrictive one applies.
+ * @param {string[]} contents The content attribute values.
+ * @returns {RobotsDirectives} The parsed directives.
+ */
+function parseDirectives(contents) {
+	const result = createDirectives();
+
+	for (const content of contents) {
+		for (const directive of splitDirectives(content)) {
+			const separator = directive.indexOf(":");
+			const name = (
+				separator === -1 ? directive : directive.slice(0, separator)
+			)
+				.trim()
+				.toLowerCase();
+			const value =
+				separator === -1 ? "" : directive.slice(separator + 1).trim();
+			const flag = FLAG_DIRECTIVES.get(name);
+
+			if (flag) {
+				result[flag] = true;
+			} else if (name === "none") {
+				result.noindex = true;
+				result.nofollow = true;
+			} else if (name === "max-snippet" || name === "max-video-preview") {
+				const num = parseInt(value, 10);
+
+				if (!Number.isNaN(num)) {
+					const key =
+						name === "max-snippet"
+							? "maxSnippet"
+							: "maxVideoPreview";
+					result[key] = minLimit(result[key], num);
+				}
+			} else if (name === "max-image-preview") {
+				const size = IMAGE_PREVIEW_SIZES.find(
+					s => s === value.toLowerCase(),
+				);
+
+				if (
+					size &&
+					(!result.maxImagePreview ||
+						IMAGE_PREVIEW_SIZES.indexOf(size) <
+							IMAGE_PREVIEW_SIZES.indexOf(result.maxImagePreview))
+				) {
+					result.maxImagePreview = size;
+				}
+			} else if (name === "unavailable_after") {
+				const date = new Date(value);
+
+				if (
+					!Number.isNaN(date.getTime()) &&
+					(!result.unavailableAfter || date < result.unavailableAfter)
+				) {
+					result.unavailableAfter = date;
+				}
+			}
+		}
+	}
+
+	return result;
+}
+
+//-----------------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------------
+
+/**
+ * Determines if the content of a meta tag holds robots directives, meaning at
+ * least one of its comma-separated directives is a recognized one (e.g.,
+ * "noindex" or "max-snippet:50").
+ * @param {string} content The content attribute value.
+ * @returns {boolean} True if the content holds robots directives.
+ */
+export function isRobotsContent(content) {
+	return splitDirectives(content).some(directive =>
+		KNOWN_DIRECTIVES.has(directive.split(":")[0].trim().toLowerCase()),
+	);
+}
+
+/**
+ * Represents the robots meta directives of a page, from <meta name="robots">
+ * and bot-specific tags such as <meta name="googlebot">.
+ */
+export class WebpageRobots {
+	/**
+	 * The raw content values keyed by lowercase bot name. Generic directives
+	 * are stored under "robots".
+	 * @type {Map<string, string[]>}
+	 */
+	rules;
+
+	/**
+	 * Creates a new WebpageRobots instance.
+	 * @param {Map<string, string[]>} [rules] The raw content values keyed by bot name.
+	 */
+	constructor(rules = new Map()) {
+		this.rules = new Map();
+
+		for (const [botName, contents] of rules) {
+			const key = botName.toLowerCase();
+			this.rules.set(key, [...(this.rules.get(key) ?? []), ...contents]);
+		}
+	}
+
+	/**
+	 * Returns the directives that apply to a bot, merging the generic robots
+	 * directives with the bot-specific ones. When they conflict, the most
+	 * restrictive directive applies.
+	 * @param {string} [botName] The bot name (e.g., "googlebot"). Omit for the generic directives.
+	 * @returns {RobotsDirectives} The directives.
+	 */
+	getDirectives(botName) {
+		const contents = [...(this.rules.get(GENERIC_BOT) ?? [])];
+		const key = botName?.toLowerCase();
+
+		if (key && key !== GENERIC_BOT) {
+			contents.push(...(this.rules.get(key) ?? []));
+		}
+
+		return parseDirectives(contents);
+	}
+
+	/**
+	 * Determines whether a bot may index the page. A page is not indexable if it
+	 * has a noindex directive or its unavailable_after date has passed.
+	 * @param {string} [botName] The bot name. Omit for the generic directives.
+	 * @param {Date} [now] The date to compare unavailable_after against.
+	 * @returns {boolean} True if the page may be indexed.
+	 */
+	isIndexable(botName, now = new Date()) {
+		const directives = this.getDirectives(botName);
+
+		if (directives.noindex) {
+			return false;
+		}
+
+		return (
+			!directives.unavailableAfter || now <= directives.unavailableAfter
+		);
+	}
+
+	/**
+	 * Determines whether a bot may follow the links on the page.
+	 * @param {string} [botName] The bot name. Omit for the generic directives.
+	 * @returns {boolean} True if links may be followed.
+	 */
+	canFollow(botName) {
+		return !this.getDirectives(botName).nofollow;
+	}
+}
@@ -0,0 +1,135 @@
+/**
+ * @fileoverview Represents a Twitter/X Card and its associated meta information.
+ * @author Nicholas C. Zakas
+ */
+
+//-----------------------------------------------------------------------------
+// Types
+//-----------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} TwitterCardPlayer
+ * @property {string} url The HTTPS URL of the player iframe.
+ * @property {number|undefined} width The width of the player in pixels.
+ * @property {number|undefined} height The height of the player in pixels.
+ * @property {string|undefined} stream The URL of a raw video or audio stream.
+ */
+
+/**
+ * @typedef {Object} TwitterCardApp
+ * @property {string|undefined} id The app ID in the platform's app store.
+ * @property {string|undefined} url The deep link URL into the app.
+ * @property {string|undefined} name The name of the app.
+ */
+
+/**
+ * @typedef {Object} TwitterCardApps
+ * @property {TwitterCardApp|undefined} iphone The iPhone app.
+ * @property {TwitterCardApp|undefined} ipad The iPad app.
+ * @property {TwitterCardApp|undefined} googleplay The Google Play app.
+ */
+
+//-----------------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------------
+
+export class WebpageTwitterCard {
+	/**
+	 * The card type (e.g., "summary", "summary_large_image", "app", "player").
+	 * @type {string}
+	 */
+	card;
+
+	/**
+	 * The username (e.g., "@example") of the website (optional).
+	 * @type {string|undefined}
+	 */
+	site;
+
+	/**
+	 * The numeric user ID of the website (optional).
+	 * @type {string|undefined}
+	 */
+	siteId;
+
+	/**
+	 * The username (e.g., "@example") of the content creator (optional).
+	 * @type {string|undefined}
+	 */
+	creator;
+
+	/**
+	 * The numeric user ID of the content creator (optional).
+	 * @type {string|undefined}
+	 */
+	creatorId;
+
+	/**
+	 * The card title (optional).
+	 * @type {string|undefined}
+	 */
+	title;
+
+	/**
+	 * The card description (optional).
+	 * @type {string|undefined}
+	 */
+	description;
+
+	/**
+	 * The card image URL (optional).
+	 * @type {string|undefined}
+	 */
+	image;
+
+	/**
+	 * The card image alt text (optional).
+	 * @type {string|undefined}
+	 */
+	imageAlt;
+
+	/**
+	 * The player information for player cards (optional).
+	 * @type {TwitterCardPlayer|undefined}
+	 */
+	player;
+
+	/**
+	 * The app information for app cards, keyed by platform (optional).
+	 * @type {TwitterCardApps|undefined}
+	 */
+	apps;
+
+	/**
+	 * Creates a new WebpageTwitterCard instance.
+	 * @param {string} card The card type (required).
+	 * @param {object} [options] Optional card properties.
+	 * @param {string} [options.site] The username (e.g., "@example") of the website.
+	 * @param {string} [options.siteId] The numeric user ID of the website.
+	 * @param {string} [options.creator] The username (e.g., "@example") of the content creator.
+	 * @param {string} [options.creatorId] The numeric user ID of the content creator.
+	 * @param {string} [options.title] The card title.
+	 * @param {string} [options.description] The card description.
+	 * @param {string} [options.image] The card image URL.
+	 * @param {string} [options.imageAlt] The card image alt text.
+	 * @param {TwitterCardPlayer} [options.player] The player information.
+	 * @param {TwitterCardApps} [options.apps] The app information.
+	 * @throws {TypeError} If card is missing.
+	 */
+	constructor(card, options = {}) {
+		if (!card) {
+			throw new TypeError("WebpageTwitterCard: card is required");
+		}
+		this.card = card;
+		this.site = options.site;
+		this.siteId = options.siteId;
+		this.creator = options.creator;
+		this.creatorId = options.creatorId;
+		this.title = options.title;
+		this.description = options.description;
+		this.image = options.image;
+		this.imageAlt = options.imageAlt;
+		this.player = options.player;
+		this.apps = options.apps;
+	}
+}
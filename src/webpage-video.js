@@ -14,6 +14,13 @@ export class WebpageVideo {
 	 */
 	url;
 
+	/**
+	 * The video URL exactly as it appeared in the document, before being
+	 * resolved against the base URL. Only set when URL resolution is enabled.
+	 * @type {string|undefined}
+	 */
+	rawUrl;
+
 	/**
 	 * The video secure URL (optional).
 	 * @type {string|undefined}
@@ -53,6 +60,7 @@ export class WebpageVideo {
 	 * @param {number} [options.width] The video width.
 	 * @param {number} [options.height] The video height.
 	 * @param {string} [options.alt] The video alt text.
+	 * @param {string} [options.rawUrl] The unresolved video URL.
 	 * @throws {TypeError} If url is missing.
 	 */
 	constructor(url, options = {}) {
@@ -65,6 +73,7 @@ export class WebpageVideo {
 		this.width = options.width;
 		this.height = options.height;
 		this.alt = options.alt;
+		this.rawUrl = options.rawUrl;
 	}
 
 	/**
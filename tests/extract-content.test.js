@@ -0,0 +1,224 @@
+/**
+ * @fileoverview Tests for the extractContent() utility.
+ * @author Nicholas C. Zakas
+ */
+
+//-----------------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------------
+
+import assert from "assert";
+import { JSDOM } from "jsdom";
+import { extractContent } from "../src/extract-content.js";
+import { WebpageImage } from "../src/webpage-image.js";
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+/**
+ * Creates a document from an HTML string.
+ * @param {string} html The HTML.
+ * @returns {Document} The document.
+ */
+function createDocument(html) {
+	return new JSDOM(html).window.document;
+}
+
+/**
+ * A paragraph long enough to be scored as content.
+ */
+const PARAGRAPH =
+	"The quick brown fox jumps over the lazy dog, and then it runs into the forest, where it finds a quiet place to rest for the night.";
+
+/**
+ * A page with navigation, a sidebar, comments, and an article.
+ */
+const ARTICLE_PAGE = `
+	<html><body>
+		<header class="site-header"><a href="/">Home</a><a href="/blog">Blog</a></header>
+		<nav><ul><li><a href="/a">Link A</a></li><li><a href="/b">Link B</a></li></ul></nav>
+		<div id="wrapper">
+			<div class="sidebar"><p>${PARAGRAPH}</p></div>
+			<div id="story" class="article-body" style="color: red">
+				<h2 class="title">Heading</h2>
+				<p onclick="alert(1)">${PARAGRAPH}</p>
+				<p>${PARAGRAPH} <a href="/more">Read more</a></p>
+				<script>console.log("no");</script>
+				<div class="share-buttons"><a href="/share">Share this</a></div>
+			</div>
+			<div class="comments"><p>${PARAGRAPH}</p><p>${PARAGRAPH}</p></div>
+		</div>
+		<footer><p>Copyright, all rights reserved, forever and ever and ever.</p></footer>
+	</body></html>
+`;
+
+//-----------------------------------------------------------------------------
+// Tests
+//-----------------------------------------------------------------------------
+
+describe("extractContent()", () => {
+	it("should find the main content and remove boilerplate", () => {
+		const document = createDocument(ARTICLE_PAGE);
+		const content = extractContent(document);
+
+		assert.strictEqual(content?.selector, "#story");
+		assert.strictEqual(
+			content.text,
+			`Heading\n\n${PARAGRAPH}\n\n${PARAGRAPH} Read more`,
+		);
+		assert.strictEqual(
+			content.html.replace(/\s+/g, " "),
+			`<h2>Heading</h2> <p>${PARAGRAPH}</p> <p>${PARAGRAPH} <a href="/more">Read more</a></p>`,
+		);
+	});
+
+	it("should not modify the document", () => {
+		const document = createDocument(ARTICLE_PAGE);
+		const before = document.documentElement.outerHTML;
+
+		extractContent(document, { baseUrl: "https://example.com/post" });
+
+		assert.strictEqual(document.documentElement.outerHTML, before);
+	});
+
+	it("should count words and estimate reading time", () => {
+		const words = Array.from({ length: 450 }, (_, i) => `word${i}`);
+		const document = createDocument(`
+			<html><body><article>
+				<p>${words.slice(0, 200).join(" ")}, and so on.</p>
+				<p>${words.slice(200).join(" ")}, don't stop.</p>
+			</article></body></html>
+		`);
+		const content = extractContent(document);
+
+		assert.strictEqual(content?.selector, "body > article");
+		assert.strictEqual(content.wordCount, 455);
+		assert.strictEqual(content.readingTime, 3);
+	});
+
+	it("should count each Han and kana character as a word", () => {
+		const document = createDocument(`
+			<html><body><article>
+				<p>今日は良い天気です。散歩に行きましょう、そして公園で休みましょう。English words too.</p>
+			</article></body></html>
+		`);
+		const content = extractContent(document);
+
+		assert.strictEqual(content?.wordCount, 33);
+		assert.strictEqual(content.readingTime, 1);
+	});
+
+	it("should return zero words for an empty body", () => {
+		const content = extractContent(
+			createDocument("<html><body></body></html>"),
+		);
+
+		assert.deepStrictEqual(content, {
+			selector: "body",
+			html: "",
+			text: "",
+			wordCount: 0,
+			readingTime: 0,
+			leadImage: undefined,
+		});
+	});
+
+	it("should include sibling paragraphs that belong to the content", () => {
+		const document = createDocument(`
+			<html><body><div>
+				<div>${`<p>${PARAGRAPH}</p>`.repeat(5)}</div>
+				<div><p>${PARAGRAPH}</p><p>${PARAGRAPH}</p></div>
+				<p>${PARAGRAPH}</p>
+				<div><a href="/next">Next page</a></div>
+			</div></body></html>
+		`);
+		const content = extractContent(document);
+
+		assert.strictEqual(
+			content?.selector,
+			"body > div > div:nth-of-type(1)",
+		);
+		assert.strictEqual(content.text, Array(8).fill(PARAGRAPH).join("\n\n"));
+	});
+
+	it("should resolve URLs and return the lead image", () => {
+		const document = createDocument(`
+			<html><body><article>
+				<p><img src="/pixel.gif" width="1" height="1"></p>
+				<figure>
+					<img data-src="/images/lead.jpg" width="800" height="600" alt="A fox" class="lazy">
+					<figcaption>A fox in the forest.</figcaption>
+				</figure>
+				<p>${PARAGRAPH} <a href="../about">About</a></p>
+			</article></body></html>
+		`);
+		const content = extractContent(document, {
+			baseUrl: "https://example.com/blog/post",
+		});
+
+		assert.deepStrictEqual(
+			content?.leadImage,
+			new WebpageImage("https://example.com/images/lead.jpg", {
+				width: 800,
+				height: 600,
+				alt: "A fox",
+				rawUrl: "/images/lead.jpg",
+			}),
+		);
+		assert.ok(content.html.includes('src="https://example.com/pixel.gif"'));
+		assert.ok(content.html.includes('href="https://example.com/about"'));
+		assert.ok(!content.html.includes("class="));
+		assert.ok(!content.html.includes("data-src"));
+	});
+
+	it("should remove script URLs and data: links", () => {
+		const document = createDocument(`
+			<html><body><article>
+				<p>${PARAGRAPH} <a href="javascript:alert(1)">Click</a></p>
+				<p>${PARAGRAPH} <a href=" java\tscript:alert(1)">Tab</a></p>
+				<p>${PARAGRAPH} <a href="data:text/html,<script>alert(1)</script>">Data</a></p>
+				<p><img src="javascript:alert(1)" srcset="javascript:alert(1) 2x"></p>
+				<p><img src="data:image/gif;base64,R0lGODlhAQABAAAAACw=" alt="Dot"></p>
+			</article></body></html>
+		`);
+		const content = extractContent(document, {
+			baseUrl: "https://example.com/post",
+		});
+
+		assert.ok(!/script:/i.test(content?.html ?? ""));
+		assert.ok(!content.html.includes('href="data:'));
+		assert.ok(!content.html.includes("srcset"));
+		assert.ok(
+			content.html.includes(
+				'src="data:image/gif;base64,R0lGODlhAQABAAAAACw="',
+			),
+		);
+		assert.strictEqual(content.leadImage, undefined);
+	});
+
+	it("should resolve srcset candidate URLs", () => {
+		const document = createDocument(`
+			<html><body><article>
+				<p>${PARAGRAPH}</p>
+				<img src="/a.jpg" srcset="/a2.jpg 2x, images/w_400,h_300.jpg 400w,/a3.jpg,, javascript:x 3x">
+			</article></body></html>
+		`);
+		const content = extractContent(document, {
+			baseUrl: "https://example.com/blog/post",
+		});
+
+		assert.ok(
+			content?.html.includes(
+				'srcset="https://example.com/a2.jpg 2x, https://example.com/blog/images/w_400,h_300.jpg 400w, https://example.com/a3.jpg"',
+			),
+		);
+	});
+
+	it("should return undefined when the document has no body", () => {
+		const document = new JSDOM("").window.document;
+		document.documentElement.remove();
+
+		assert.strictEqual(extractContent(document), undefined);
+	});
+});
@@ -0,0 +1,172 @@
+/**
+ * @fileoverview Tests for the extractDublinCore() utility.
+ * @author Nicholas C. Zakas
+ */
+
+//-----------------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------------
+
+import assert from "assert";
+import { JSDOM } from "jsdom";
+import { extractDublinCore } from "../src/extract-dublin-core.js";
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+/**
+ * Creates a document from an HTML string.
+ * @param {string} html The HTML.
+ * @returns {Document} The document.
+ */
+function createDocument(html) {
+	return new JSDOM(html).window.document;
+}
+
+//-----------------------------------------------------------------------------
+// Tests
+//-----------------------------------------------------------------------------
+
+describe("extractDublinCore()", () => {
+	it("should return an empty map when there is no Dublin Core", () => {
+		const document = createDocument(`
+			<html><head>
+				<meta name="description" content="Not Dublin Core" />
+				<meta name="schema.title" content="Not Dublin Core either" />
+			</head></html>
+		`);
+		assert.deepStrictEqual(extractDublinCore(document), new Map());
+	});
+
+	it("should key values by term regardless of case and prefix", () => {
+		const document = createDocument(`
+			<html><head>
+				<meta name="DC.Title" content="A Report" lang="en" />
+				<meta name="dcterms.title" content="Un rapport" xml:lang="fr" />
+				<meta name="DCTERMS.subject" scheme="LCSH" content="Libraries" />
+				<meta name="dcterms.dateaccepted" content="2024-02-01" />
+				<meta name="DC.creator" content="Doe, Jane" />
+				<meta name="DC.creator" content="Roe, Richard" />
+			</head></html>
+		`);
+		assert.deepStrictEqual(
+			extractDublinCore(document),
+			new Map([
+				[
+					"title",
+					[
+						{
+							value: "A Report",
+							property: "DC.Title",
+							scheme: undefined,
+							lang: "en",
+						},
+						{
+							value: "Un rapport",
+							property: "dcterms.title",
+							scheme: undefined,
+							lang: "fr",
+						},
+					],
+				],
+				[
+					"subject",
+					[
+						{
+							value: "Libraries",
+							property: "DCTERMS.subject",
+							scheme: "LCSH",
+							lang: undefined,
+						},
+					],
+				],
+				[
+					"dateAccepted",
+					[
+						{
+							value: "2024-02-01",
+							property: "dcterms.dateaccepted",
+							scheme: undefined,
+							lang: undefined,
+						},
+					],
+				],
+				[
+					"creator",
+					[
+						{
+							value: "Doe, Jane",
+							property: "DC.creator",
+							scheme: undefined,
+							lang: undefined,
+						},
+						{
+							value: "Roe, Richard",
+							property: "DC.creator",
+							scheme: undefined,
+							lang: undefined,
+						},
+					],
+				],
+			]),
+		);
+	});
+
+	it("should store qualified names under the refinement", () => {
+		const document = createDocument(`
+			<html><head>
+				<meta name="DC.date.issued" scheme="W3CDTF" content="2024-01-05" />
+				<meta name="DC.Description.Abstract" content="Summary" />
+				<meta name="DC.identifier.doi" content="10.1000/xyz" />
+			</head></html>
+		`);
+		const dublinCore = extractDublinCore(document);
+		assert.deepStrictEqual(
+			[...dublinCore.keys()],
+			["issued", "abstract", "identifier"],
+		);
+		assert.strictEqual(dublinCore.get("issued")?.[0].scheme, "W3CDTF");
+		assert.strictEqual(
+			dublinCore.get("identifier")?.[0].property,
+			"DC.identifier.doi",
+		);
+	});
+
+	it("should honor prefixes declared with schema links", () => {
+		const document = createDocument(`
+			<html><head>
+				<link rel="schema.DCT" href="https://purl.org/dc/terms/" />
+				<link rel="schema.DC" href="https://example.com/not-dublin-core#" />
+				<meta name="DCT.issued" content="2024-01-05" />
+				<meta name="DC.title" content="Not Dublin Core here" />
+			</head></html>
+		`);
+		const dublinCore = extractDublinCore(document);
+		assert.deepStrictEqual([...dublinCore.keys()], ["issued"]);
+		assert.strictEqual(
+			dublinCore.get("issued")?.[0].property,
+			"DCT.issued",
+		);
+	});
+
+	it("should extract link values and resolve them against the base URL", () => {
+		const document = createDocument(`
+			<html><head>
+				<link rel="DCTERMS.isPartOf" href="/series" />
+				<link rel="DC.creator" href="https://example.com/jane" />
+			</head></html>
+		`);
+		const dublinCore = extractDublinCore(document, {
+			baseUrl: "https://example.com/reports/1",
+		});
+		assert.strictEqual(
+			dublinCore.get("isPartOf")?.[0].value,
+			"https://example.com/series",
+		);
+		assert.strictEqual(
+			dublinCore.get("creator")?.[0].value,
+			"https://example.com/jane",
+		);
+	});
+});
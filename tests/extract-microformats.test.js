@@ -0,0 +1,260 @@
+/**
+ * @fileoverview Tests for the extractMicroformats() utility.
+ * @author Nicholas C. Zakas
+ */
+
+//-----------------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------------
+
+import assert from "assert";
+import { JSDOM } from "jsdom";
+import { extractMicroformats } from "../src/extract-microformats.js";
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+/**
+ * Creates a document from an HTML string.
+ * @param {string} html The HTML.
+ * @returns {Document} The document.
+ */
+function createDocument(html) {
+	return new JSDOM(html).window.document;
+}
+
+//-----------------------------------------------------------------------------
+// Tests
+//-----------------------------------------------------------------------------
+
+describe("extractMicroformats()", () => {
+	it("should return empty results when there are no microformats", () => {
+		const document = createDocument("<html><body><p>Hi</p></body></html>");
+		assert.deepStrictEqual(extractMicroformats(document), {
+			items: [],
+			rels: {},
+			"rel-urls": {},
+		});
+	});
+
+	it("should parse an h-entry with p-, u-, dt-, and e- properties", () => {
+		const document = createDocument(`
+			<article class="h-entry" id="post">
+				<h1 class="p-name">Hello World</h1>
+				<a class="u-url" href="/posts/hello">Permalink</a>
+				<time class="dt-published" datetime="2024-01-05T10:00:00Z">Jan 5</time>
+				<div class="e-content"><p>First <b>post</b>!</p></div>
+				<span class="p-category">news</span>
+				<span class="p-category">meta</span>
+			</article>
+		`);
+		const { items } = extractMicroformats(document, {
+			baseUrl: "https://example.com/",
+		});
+		assert.deepStrictEqual(items, [
+			{
+				type: ["h-entry"],
+				properties: {
+					name: ["Hello World"],
+					url: ["https://example.com/posts/hello"],
+					published: ["2024-01-05T10:00:00Z"],
+					content: [
+						{
+							html: "<p>First <b>post</b>!</p>",
+							value: "First post!",
+						},
+					],
+					category: ["news", "meta"],
+				},
+				id: "post",
+			},
+		]);
+	});
+
+	it("should parse nested h-card properties with a value", () => {
+		const document = createDocument(`
+			<div class="h-entry">
+				<p class="p-name">Note</p>
+				<div class="p-author h-card">
+					<img class="u-photo" src="/jane.jpg" alt="Jane's photo" />
+					<a class="p-name u-url" href="https://jane.example/">Jane</a>
+				</div>
+			</div>
+		`);
+		const { items } = extractMicroformats(document, {
+			baseUrl: "https://example.com/",
+		});
+		assert.deepStrictEqual(items[0].properties.author, [
+			{
+				type: ["h-card"],
+				properties: {
+					photo: [
+						{
+							value: "https://example.com/jane.jpg",
+							alt: "Jane's photo",
+						},
+					],
+					name: ["Jane"],
+					url: ["https://jane.example/"],
+				},
+				value: "Jane",
+			},
+		]);
+	});
+
+	it("should put nested items without properties into children", () => {
+		const document = createDocument(`
+			<div class="h-feed">
+				<h1 class="p-name">My Feed</h1>
+				<div class="h-entry"><span class="p-name">One</span></div>
+				<div class="h-entry"><span class="p-name">Two</span></div>
+			</div>
+		`);
+		const [feed] = extractMicroformats(document).items;
+		assert.deepStrictEqual(feed.properties, { name: ["My Feed"] });
+		assert.deepStrictEqual(
+			feed.children?.map(child => child.properties.name),
+			[["One"], ["Two"]],
+		);
+	});
+
+	it("should imply name, photo, and url for a simple h-card", () => {
+		const document = createDocument(`
+			<a class="h-card" href="/about"><img src="/me.png" alt="Jane Doe" /></a>
+			<span class="h-card">  Bob  <script>ignored()</script></span>
+			<abbr class="h-card" title="Carol Example">Carol</abbr>
+		`);
+		const { items } = extractMicroformats(document, {
+			baseUrl: "https://example.com/",
+		});
+		assert.deepStrictEqual(
+			items.map(item => item.properties),
+			[
+				{
+					name: ["Jane Doe"],
+					photo: [
+						{
+							value: "https://example.com/me.png",
+							alt: "Jane Doe",
+						},
+					],
+					url: ["https://example.com/about"],
+				},
+				{ name: ["Bob"] },
+				{ name: ["Carol Example"] },
+			],
+		);
+	});
+
+	it("should not imply a name when there are explicit p- properties", () => {
+		const document = createDocument(`
+			<div class="h-card"><span class="p-note">Just a note</span></div>
+		`);
+		const [card] = extractMicroformats(document).items;
+		assert.deepStrictEqual(card.properties, { note: ["Just a note"] });
+	});
+
+	it("should use the value class pattern", () => {
+		const document = createDocument(`
+			<div class="h-event">
+				<span class="p-name">Party</span>
+				<span class="dt-start">
+					<time class="value" datetime="2024-06-01">June 1</time> at
+					<span class="value">19:00</span>
+				</span>
+				<span class="p-summary"><span class="value">A</span>-<span class="value">B</span></span>
+				<span class="p-location"><span class="value-title" title="Home"></span>Somewhere</span>
+			</div>
+		`);
+		const [event] = extractMicroformats(document).items;
+		assert.deepStrictEqual(event.properties.start, ["2024-06-01 19:00"]);
+		assert.deepStrictEqual(event.properties.summary, ["AB"]);
+		assert.deepStrictEqual(event.properties.location, ["Home"]);
+	});
+
+	it("should collect rels and rel-urls", () => {
+		const document = createDocument(`
+			<html><head>
+				<link rel="me authn" href="https://github.com/jane" />
+				<link rel="alternate" type="application/rss+xml" title="Feed" href="/feed.xml" />
+			</head><body>
+				<a rel="me" href="https://github.com/jane">GitHub</a>
+				<a rel="tag" href="/tags/web" hreflang="en">web</a>
+			</body></html>
+		`);
+		const { rels, "rel-urls": relUrls } = extractMicroformats(document, {
+			baseUrl: "https://example.com/",
+		});
+		assert.deepStrictEqual(rels, {
+			me: ["https://github.com/jane"],
+			authn: ["https://github.com/jane"],
+			alternate: ["https://example.com/feed.xml"],
+			tag: ["https://example.com/tags/web"],
+		});
+		assert.deepStrictEqual(relUrls, {
+			"https://github.com/jane": { rels: ["me", "authn"] },
+			"https://example.com/feed.xml": {
+				rels: ["alternate"],
+				title: "Feed",
+				type: "application/rss+xml",
+			},
+			"https://example.com/tags/web": {
+				rels: ["tag"],
+				hreflang: "en",
+				text: "web",
+			},
+		});
+	});
+
+	it("should treat rel values named after Object properties as rels", () => {
+		const document = createDocument(`
+			<html><body>
+				<a rel="constructor" href="/a">A</a>
+				<a rel="__proto__ toString" href="/b">B</a>
+			</body></html>
+		`);
+		const { rels, "rel-urls": relUrls } = extractMicroformats(document, {
+			baseUrl: "https://example.com/",
+		});
+		assert.deepStrictEqual(rels, {
+			constructor: ["https://example.com/a"],
+			["__proto__"]: ["https://example.com/b"],
+			toString: ["https://example.com/b"],
+		});
+		assert.strictEqual(Object.getPrototypeOf(rels), Object.prototype);
+		assert.deepStrictEqual(relUrls, {
+			"https://example.com/a": { rels: ["constructor"], text: "A" },
+			"https://example.com/b": {
+				rels: ["__proto__", "toString"],
+				text: "B",
+			},
+		});
+	});
+
+	it("should treat rel URLs named after Object properties as URLs", () => {
+		const document = createDocument(`
+			<html><body><a rel="me" href="constructor">Me</a></body></html>
+		`);
+		const { "rel-urls": relUrls } = extractMicroformats(document);
+		assert.deepStrictEqual(relUrls, {
+			constructor: { rels: ["me"], text: "Me" },
+		});
+	});
+
+	it("should treat property names named after Object properties as properties", () => {
+		const document = createDocument(`
+			<div class="h-card">
+				<span class="p-name">Jane</span>
+				<span class="p-constructor">Builder</span>
+				<span class="p-to-string">Text</span>
+			</div>
+		`);
+		const [item] = extractMicroformats(document).items;
+		assert.deepStrictEqual(item.properties, {
+			name: ["Jane"],
+			constructor: ["Builder"],
+			"to-string": ["Text"],
+		});
+	});
+});
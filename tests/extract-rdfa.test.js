@@ -0,0 +1,186 @@
+/**
+ * @fileoverview Tests for the extractRdfa() utility.
+ * @author Nicholas C. Zakas
+ */
+
+//-----------------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------------
+
+import assert from "assert";
+import { JSDOM } from "jsdom";
+import { extractRdfa } from "../src/extract-rdfa.js";
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+/**
+ * Creates a document from an HTML string.
+ * @param {string} html The HTML.
+ * @returns {Document} The document.
+ */
+function createDocument(html) {
+	return new JSDOM(html).window.document;
+}
+
+//-----------------------------------------------------------------------------
+// Tests
+//-----------------------------------------------------------------------------
+
+describe("extractRdfa()", () => {
+	it("should return an empty array when there is no RDFa", () => {
+		const document = createDocument(`
+			<html><head>
+				<meta property="og:title" content="Not an item" />
+			</head><body><p>Hello</p></body></html>
+		`);
+		assert.deepStrictEqual(extractRdfa(document), []);
+	});
+
+	it("should extract an item with vocab, typeof, and property", () => {
+		const document = createDocument(`
+			<div vocab="https://schema.org/" typeof="Person">
+				<span property="name">Jane Doe</span>
+				<a property="url" href="https://jane.example/">Home</a>
+				<meta property="jobTitle" content="Editor" />
+				<time property="birthDate" datetime="1990-01-01">Jan 1</time>
+				<span property="knowsLanguage">en</span>
+				<span property="knowsLanguage">fr</span>
+			</div>
+		`);
+		assert.deepStrictEqual(extractRdfa(document), [
+			{
+				type: "https://schema.org/Person",
+				name: "Jane Doe",
+				url: "https://jane.example/",
+				jobTitle: "Editor",
+				birthDate: "1990-01-01",
+				knowsLanguage: ["en", "fr"],
+			},
+		]);
+	});
+
+	it("should nest items and use resource as the item id", () => {
+		const document = createDocument(`
+			<article vocab="http://schema.org/" typeof="BlogPosting" resource="/posts/1">
+				<h1 property="headline">Hello</h1>
+				<div property="author" typeof="Person" resource="#jane">
+					<span property="name">Jane</span>
+				</div>
+				<div property="publisher" typeof="Organization">
+					<span property="name">Example</span>
+				</div>
+			</article>
+		`);
+		assert.deepStrictEqual(
+			extractRdfa(document, { baseUrl: "https://example.com/blog/" }),
+			[
+				{
+					type: "http://schema.org/BlogPosting",
+					id: "https://example.com/posts/1",
+					headline: "Hello",
+					author: {
+						type: "http://schema.org/Person",
+						id: "https://example.com/blog/#jane",
+						name: "Jane",
+					},
+					publisher: {
+						type: "http://schema.org/Organization",
+						name: "Example",
+					},
+				},
+			],
+		);
+	});
+
+	it("should expand prefixed types and keep multiple types", () => {
+		const document = createDocument(`
+			<html prefix="ex: https://example.com/ns#">
+				<body>
+					<div typeof="schema:Product ex:Widget foo:Thing">
+						<span property="schema:name">Widget</span>
+					</div>
+				</body>
+			</html>
+		`);
+		assert.deepStrictEqual(extractRdfa(document), [
+			{
+				type: [
+					"http://schema.org/Product",
+					"https://example.com/ns#Widget",
+					"foo:Thing",
+				],
+				"schema:name": "Widget",
+			},
+		]);
+	});
+
+	it("should scope vocab to descendants and allow it to be reset", () => {
+		const document = createDocument(`
+			<div vocab="https://schema.org/">
+				<div typeof="Event"><span property="name">A</span></div>
+				<div vocab="">
+					<div typeof="Event"><span property="name">B</span></div>
+				</div>
+			</div>
+		`);
+		assert.deepStrictEqual(extractRdfa(document), [
+			{ type: "https://schema.org/Event", name: "A" },
+			{ type: "Event", name: "B" },
+		]);
+	});
+
+	it("should treat resource without typeof as a new subject", () => {
+		const document = createDocument(`
+			<div vocab="https://schema.org/" resource="#page">
+				<span property="name">Page</span>
+				<a property="sameAs" resource="https://other.example/">Other</a>
+			</div>
+			<div resource="#empty"></div>
+		`);
+		assert.deepStrictEqual(extractRdfa(document), [
+			{
+				id: "#page",
+				name: "Page",
+				sameAs: "https://other.example/",
+			},
+		]);
+	});
+
+	it("should use href as the id of a typed property element", () => {
+		const document = createDocument(`
+			<div vocab="https://schema.org/" typeof="Article">
+				<a property="author" typeof="Person" href="/people/jane">
+					<span property="name">Jane</span>
+				</a>
+			</div>
+		`);
+		const [article] = extractRdfa(document, {
+			baseUrl: "https://example.com/",
+		});
+		assert.deepStrictEqual(article.author, {
+			type: "https://schema.org/Person",
+			id: "https://example.com/people/jane",
+			name: "Jane",
+		});
+	});
+
+	it("should keep properties named after Object properties", () => {
+		const document = createDocument(`
+			<div vocab="https://schema.org/" typeof="Thing">
+				<div property="__proto__" typeof="Person">
+					<span property="name">Jane</span>
+				</div>
+				<span property="constructor">Builder</span>
+			</div>
+		`);
+		const [item] = extractRdfa(document);
+		assert.strictEqual(Object.getPrototypeOf(item), Object.prototype);
+		assert.deepStrictEqual(Object.entries(item), [
+			["type", "https://schema.org/Thing"],
+			["__proto__", { type: "https://schema.org/Person", name: "Jane" }],
+			["constructor", "Builder"],
+		]);
+	});
+});
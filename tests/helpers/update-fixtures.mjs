@@ -32,8 +32,12 @@ function serializeMeta(meta) {
 		images: simplify(meta.images),
 		favicons: simplify(meta.favicons),
 		videos: simplify(meta.videos),
+		audios: simplify(meta.audios),
+		oembed: simplify(meta.oembed),
 		jsonld: meta.jsonld,
 		microdata: meta.microdata,
+		rdfa: meta.rdfa,
+		microformats: meta.microformats,
 		canonicalUrl: meta.canonicalUrl,
 		title: meta.title,
 		firstHeading: meta.firstHeading,
@@ -0,0 +1,258 @@
+/**
+ * @fileoverview Tests for the JSON-LD graph utilities.
+ * @author Nicholas C. Zakas
+ */
+
+//-----------------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------------
+
+import assert from "assert";
+import {
+	flattenJsonLd,
+	findJsonLdNodes,
+	getJsonLdNode,
+	getRootJsonLdNodes,
+	isJsonLdNodeOfType,
+} from "../src/json-ld-graph.js";
+
+//-----------------------------------------------------------------------------
+// Tests
+//-----------------------------------------------------------------------------
+
+describe("flattenJsonLd()", () => {
+	it("should collect nodes from @graph containers and nested nodes", () => {
+		const graph = flattenJsonLd([
+			{
+				"@context": "https://schema.org",
+				"@graph": [
+					{
+						"@type": "Article",
+						"@id": "#article",
+						author: { "@type": "Person", name: "Jane" },
+					},
+					{ "@type": "WebSite", "@id": "#website" },
+				],
+			},
+		]);
+		assert.deepStrictEqual(
+			graph.nodes.map(({ node }) => node["@type"]),
+			["Article", "Person", "WebSite"],
+		);
+		assert.deepStrictEqual([...graph.ids.keys()], ["#article", "#website"]);
+	});
+
+	it("should merge nodes that share an @id, keeping the first values", () => {
+		const graph = flattenJsonLd([
+			{ "@type": "Organization", "@id": "#org", name: "Example" },
+			{ "@id": "#org", name: "Other", url: "https://example.com/" },
+		]);
+		assert.strictEqual(graph.nodes.length, 1);
+		assert.deepStrictEqual(graph.nodes[0].node, {
+			"@type": "Organization",
+			"@id": "#org",
+			name: "Example",
+			url: "https://example.com/",
+		});
+	});
+
+	it("should resolve @id values against the base URL", () => {
+		const graph = flattenJsonLd(
+			[{ "@type": "WebPage", "@id": "/page#webpage" }],
+			"https://example.com/a/",
+		);
+		assert.deepStrictEqual(
+			[...graph.ids.keys()],
+			["https://example.com/page#webpage"],
+		);
+	});
+});
+
+describe("findJsonLdNodes()", () => {
+	it("should match types across schema.org forms and type arrays", () => {
+		const graph = flattenJsonLd([
+			{ "@context": "http://schema.org", "@type": "Article", name: "A" },
+			{
+				"@context": "https://schema.org/",
+				"@type": "schema:Article",
+				name: "B",
+			},
+			{ "@type": "http://schema.org/Article", name: "C" },
+			{
+				"@type": ["BlogPosting", "https://schema.org/Article"],
+				name: "D",
+			},
+			{ "@type": "NewsArticle", name: "E" },
+		]);
+
+		for (const type of [
+			"Article",
+			"schema:Article",
+			"http://schema.org/Article",
+			"https://schema.org/Article",
+		]) {
+			assert.deepStrictEqual(
+				findJsonLdNodes(graph, type).map(node => node.name),
+				["A", "B", "C", "D"],
+			);
+		}
+	});
+
+	it("should not match bare types from other vocabularies", () => {
+		const graph = flattenJsonLd([
+			{
+				"@context": { "@vocab": "https://example.com/vocab#" },
+				"@type": "Article",
+			},
+		]);
+		assert.deepStrictEqual(findJsonLdNodes(graph, "Article"), []);
+		assert.strictEqual(
+			findJsonLdNodes(graph, "https://example.com/vocab#Article").length,
+			1,
+		);
+	});
+
+	it("should resolve references and leave cycles in place", () => {
+		const graph = flattenJsonLd([
+			{
+				"@graph": [
+					{
+						"@type": "Article",
+						"@id": "#article",
+						publisher: { "@id": "#org" },
+						isPartOf: { "@id": "#missing" },
+					},
+					{
+						"@type": "Organization",
+						"@id": "#org",
+						name: "Example",
+						owns: { "@id": "#article" },
+					},
+				],
+			},
+		]);
+		assert.deepStrictEqual(findJsonLdNodes(graph, "Article"), [
+			{
+				"@type": "Article",
+				"@id": "#article",
+				publisher: {
+					"@type": "Organization",
+					"@id": "#org",
+					name: "Example",
+					owns: { "@id": "#article" },
+				},
+				isPartOf: { "@id": "#missing" },
+			},
+		]);
+	});
+
+	it("should keep resolved properties named after Object properties", () => {
+		const graph = flattenJsonLd([
+			JSON.parse(`{
+				"@context": "https://schema.org",
+				"@graph": [
+					{ "@type": "Thing", "__proto__": { "@id": "#jane" } },
+					{ "@type": "Person", "@id": "#jane", "name": "Jane" }
+				]
+			}`),
+		]);
+		const [thing] = findJsonLdNodes(graph, "Thing");
+		assert.strictEqual(Object.getPrototypeOf(thing), Object.prototype);
+		assert.deepStrictEqual(Object.entries(thing), [
+			["@type", "Thing"],
+			["__proto__", { "@type": "Person", "@id": "#jane", name: "Jane" }],
+		]);
+	});
+});
+
+describe("getJsonLdNode()", () => {
+	it("should return the node with an @id or undefined", () => {
+		const graph = flattenJsonLd(
+			[
+				{
+					"@type": "Person",
+					"@id": "https://example.com/#jane",
+					name: "Jane",
+				},
+			],
+			"https://example.com/post",
+		);
+		assert.strictEqual(getJsonLdNode(graph, "/#jane")?.name, "Jane");
+		assert.strictEqual(
+			getJsonLdNode(graph, "https://example.com/#jane")?.name,
+			"Jane",
+		);
+		assert.strictEqual(getJsonLdNode(graph, "#bob"), undefined);
+	});
+});
+
+describe("getRootJsonLdNodes()", () => {
+	it("should return top-level and @graph nodes with their vocabulary", () => {
+		const graph = flattenJsonLd([
+			{
+				"@context": "https://schema.org",
+				"@graph": [
+					{
+						"@type": "Article",
+						"@id": "#article",
+						author: { "@id": "#jane" },
+					},
+					{ "@type": "Person", "@id": "#jane", name: "Jane" },
+				],
+			},
+			{
+				"@context": "https://schema.org",
+				"@type": "WebSite",
+				publisher: { "@type": "Organization", name: "Example" },
+			},
+		]);
+		assert.deepStrictEqual(getRootJsonLdNodes(graph), [
+			{
+				"@context": "https://schema.org/",
+				"@type": "Article",
+				"@id": "#article",
+				author: { "@type": "Person", "@id": "#jane", name: "Jane" },
+			},
+			{
+				"@context": "https://schema.org/",
+				"@type": "Person",
+				"@id": "#jane",
+				name: "Jane",
+			},
+			{
+				"@context": "https://schema.org",
+				"@type": "WebSite",
+				publisher: { "@type": "Organization", name: "Example" },
+			},
+		]);
+	});
+});
+
+describe("isJsonLdNodeOfType()", () => {
+	it("should match types using the node's own vocabulary", () => {
+		assert.strictEqual(
+			isJsonLdNodeOfType(
+				{ "@context": "http://schema.org", "@type": "Article" },
+				"https://schema.org/Article",
+			),
+			true,
+		);
+		assert.strictEqual(
+			isJsonLdNodeOfType(
+				{ "@type": ["Thing", "schema:NewsArticle"] },
+				"NewsArticle",
+			),
+			true,
+		);
+		assert.strictEqual(
+			isJsonLdNodeOfType(
+				{
+					"@context": { "@vocab": "https://example.com/ns#" },
+					"@type": "Article",
+				},
+				"Article",
+			),
+			false,
+		);
+	});
+});
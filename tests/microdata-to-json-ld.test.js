@@ -0,0 +1,102 @@
+/**
+ * @fileoverview Tests for the microdataToJsonLd() utility.
+ * @author Nicholas C. Zakas
+ */
+
+//-----------------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------------
+
+import assert from "assert";
+import { microdataToJsonLd } from "../src/microdata-to-json-ld.js";
+
+//-----------------------------------------------------------------------------
+// Tests
+//-----------------------------------------------------------------------------
+
+describe("microdataToJsonLd()", () => {
+	it("should convert schema.org items into compact JSON-LD nodes", () => {
+		assert.deepStrictEqual(
+			microdataToJsonLd({
+				type: "http://schema.org/Article",
+				id: "https://example.com/post",
+				headline: "Hello",
+				author: [
+					{ type: "https://schema.org/Person", name: "Jane" },
+					{ name: "Bob" },
+				],
+			}),
+			{
+				"@context": "https://schema.org",
+				"@type": "Article",
+				"@id": "https://example.com/post",
+				headline: "Hello",
+				author: [{ "@type": "Person", name: "Jane" }, { name: "Bob" }],
+			},
+		);
+	});
+
+	it("should shorten schema.org property names from RDFa items", () => {
+		assert.deepStrictEqual(
+			microdataToJsonLd({
+				type: ["http://schema.org/Product", "https://schema.org/Thing"],
+				"schema:name": "Widget",
+				"http://schema.org/sku": "42",
+			}),
+			{
+				"@context": "https://schema.org",
+				"@type": ["Product", "Thing"],
+				name: "Widget",
+				sku: "42",
+			},
+		);
+	});
+
+	it("should keep full IRIs for items from other vocabularies", () => {
+		assert.deepStrictEqual(
+			microdataToJsonLd({
+				type: "http://xmlns.com/foaf/0.1/Person",
+				"schema:name": "Jane",
+				knows: { type: "https://schema.org/Person", name: "Bob" },
+			}),
+			{
+				"@type": "http://xmlns.com/foaf/0.1/Person",
+				"schema:name": "Jane",
+				knows: { "@type": "https://schema.org/Person", name: "Bob" },
+			},
+		);
+	});
+
+	it("should leave numbers and dates unchanged", () => {
+		const date = new Date("2024-01-05T00:00:00Z");
+		assert.deepStrictEqual(
+			microdataToJsonLd({
+				type: "https://schema.org/Offer",
+				price: 19.99,
+				priceValidUntil: date,
+			}),
+			{
+				"@context": "https://schema.org",
+				"@type": "Offer",
+				price: 19.99,
+				priceValidUntil: date,
+			},
+		);
+	});
+
+	it("should keep properties named after Object properties", () => {
+		const item = JSON.parse(`{
+			"type": "https://schema.org/Thing",
+			"__proto__": { "type": "https://schema.org/Person", "name": "Jane" },
+			"constructor": "Builder"
+		}`);
+		const node = microdataToJsonLd(item);
+		assert.strictEqual(Object.getPrototypeOf(node), Object.prototype);
+		assert.deepStrictEqual(Object.entries(node), [
+			["@context", "https://schema.org"],
+			["@type", "Thing"],
+			["__proto__", { "@type": "Person", name: "Jane" }],
+			["constructor", "Builder"],
+		]);
+	});
+});
@@ -0,0 +1,40 @@
+/**
+ * @fileoverview Tests for the own property utilities.
+ * @author Nicholas C. Zakas
+ */
+
+//-----------------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------------
+
+import assert from "assert";
+import { getOwn, setOwn } from "../src/own-property.js";
+
+//-----------------------------------------------------------------------------
+// Tests
+//-----------------------------------------------------------------------------
+
+describe("getOwn()", () => {
+	it("should ignore inherited properties", () => {
+		/** @type {{ [key: string]: unknown }} */
+		const object = { name: "Jane" };
+		assert.strictEqual(getOwn(object, "name"), "Jane");
+		assert.strictEqual(getOwn(object, "constructor"), undefined);
+		assert.strictEqual(getOwn(object, "__proto__"), undefined);
+	});
+});
+
+describe("setOwn()", () => {
+	it("should add an own property without changing the prototype", () => {
+		/** @type {{ [key: string]: unknown }} */
+		const object = {};
+		assert.deepStrictEqual(setOwn(object, "__proto__", ["a"]), ["a"]);
+		setOwn(object, "constructor", "b");
+		assert.strictEqual(Object.getPrototypeOf(object), Object.prototype);
+		assert.deepStrictEqual(Object.entries(object), [
+			["__proto__", ["a"]],
+			["constructor", "b"],
+		]);
+		assert.deepStrictEqual(getOwn(object, "__proto__"), ["a"]);
+	});
+});
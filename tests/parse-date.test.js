@@ -0,0 +1,104 @@
+/**
+ * @fileoverview Tests for the parseDate() utility.
+ * @author Nicholas C. Zakas
+ */
+
+//-----------------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------------
+
+import assert from "assert";
+import { parseDate } from "../src/parse-date.js";
+
+//-----------------------------------------------------------------------------
+// Tests
+//-----------------------------------------------------------------------------
+
+describe("parseDate()", () => {
+	it("should parse an ISO 8601 date-time with a time zone", () => {
+		assert.strictEqual(
+			parseDate("2024-01-05T10:30:00+02:00")?.toISOString(),
+			"2024-01-05T08:30:00.000Z",
+		);
+	});
+
+	it("should parse fractional seconds", () => {
+		assert.strictEqual(
+			parseDate("2024-01-05T10:30:00.25Z")?.toISOString(),
+			"2024-01-05T10:30:00.250Z",
+		);
+	});
+
+	it("should treat dates without a time zone as UTC", () => {
+		assert.strictEqual(
+			parseDate("2024-01-05")?.toISOString(),
+			"2024-01-05T00:00:00.000Z",
+		);
+		assert.strictEqual(
+			parseDate("2024-01-05T10:30")?.toISOString(),
+			"2024-01-05T10:30:00.000Z",
+		);
+	});
+
+	it("should parse common ISO 8601 variants", () => {
+		const expected = "2024-01-05T10:30:00.000Z";
+
+		assert.strictEqual(
+			parseDate("2024-01-05 10:30:00")?.toISOString(),
+			expected,
+		);
+		assert.strictEqual(
+			parseDate("2024-01-05T12:30:00+0200")?.toISOString(),
+			expected,
+		);
+		assert.strictEqual(
+			parseDate("20240105T103000Z")?.toISOString(),
+			expected,
+		);
+		assert.strictEqual(
+			parseDate("2024/01/05 10:30")?.toISOString(),
+			expected,
+		);
+		assert.strictEqual(
+			parseDate("  2024-01-05T10:30:00Z  ")?.toISOString(),
+			expected,
+		);
+	});
+
+	it("should parse year and year-month dates", () => {
+		assert.strictEqual(
+			parseDate("2024")?.toISOString(),
+			"2024-01-01T00:00:00.000Z",
+		);
+		assert.strictEqual(
+			parseDate("2024-03")?.toISOString(),
+			"2024-03-01T00:00:00.000Z",
+		);
+	});
+
+	it("should parse RFC 2822 dates", () => {
+		assert.strictEqual(
+			parseDate("Fri, 05 Jan 2024 10:30:00 GMT")?.toISOString(),
+			"2024-01-05T10:30:00.000Z",
+		);
+	});
+
+	it("should return undefined for values that are not dates", () => {
+		assert.strictEqual(parseDate(""), undefined);
+		assert.strictEqual(parseDate("yesterday"), undefined);
+		assert.strictEqual(parseDate("42"), undefined);
+		assert.strictEqual(parseDate("2024-13-01"), undefined);
+		assert.strictEqual(parseDate("2024-01-05T25:00:00Z"), undefined);
+		assert.strictEqual(parseDate("May the fourth"), undefined);
+	});
+
+	it("should return undefined for days past the end of the month", () => {
+		assert.strictEqual(parseDate("2024-02-31"), undefined);
+		assert.strictEqual(parseDate("2023-02-29T10:00:00Z"), undefined);
+		assert.strictEqual(parseDate("2024-04-31"), undefined);
+		assert.deepStrictEqual(
+			parseDate("2024-02-29"),
+			new Date("2024-02-29T00:00:00Z"),
+		);
+	});
+});
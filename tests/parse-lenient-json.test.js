@@ -0,0 +1,73 @@
+/**
+ * @fileoverview Tests for the parseLenientJson() utility.
+ * @author Nicholas C. Zakas
+ */
+
+//-----------------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------------
+
+import assert from "assert";
+import { parseLenientJson } from "../src/parse-lenient-json.js";
+
+//-----------------------------------------------------------------------------
+// Tests
+//-----------------------------------------------------------------------------
+
+describe("parseLenientJson()", () => {
+	it("should parse valid JSON", () => {
+		assert.deepStrictEqual(parseLenientJson('{ "a": [1, 2] }'), [
+			{ a: [1, 2] },
+		]);
+	});
+
+	it("should remove HTML comment and CDATA wrappers", () => {
+		assert.deepStrictEqual(parseLenientJson('<!-- { "a": 1 } -->'), [
+			{ a: 1 },
+		]);
+		assert.deepStrictEqual(
+			parseLenientJson('//<![CDATA[\n{ "a": 1 }\n//]]>'),
+			[{ a: 1 }],
+		);
+		assert.deepStrictEqual(
+			parseLenientJson('/*<![CDATA[*/ <!-- { "a": 1 } --> /*]]>*/'),
+			[{ a: 1 }],
+		);
+	});
+
+	it("should remove trailing commas", () => {
+		assert.deepStrictEqual(
+			parseLenientJson('{ "a": [1, 2, ], "b": { "c": 3, },\n}'),
+			[{ a: [1, 2], b: { c: 3 } }],
+		);
+	});
+
+	it("should keep commas inside strings", () => {
+		assert.deepStrictEqual(parseLenientJson('{ "a": "x, }", }'), [
+			{ a: "x, }" },
+		]);
+	});
+
+	it("should escape control characters inside strings", () => {
+		assert.deepStrictEqual(
+			parseLenientJson('{ "a": "line one\nline\ttwo", "b": "q\\"\n" }'),
+			[{ a: "line one\nline\ttwo", b: 'q"\n' }],
+		);
+	});
+
+	it("should split concatenated values", () => {
+		assert.deepStrictEqual(
+			parseLenientJson('{ "a": 1 }\n{ "b": "}{" },\n[{ "c": 3 }];'),
+			[{ a: 1 }, { b: "}{" }, [{ c: 3 }]],
+		);
+	});
+
+	it("should throw SyntaxError for text that cannot be repaired", () => {
+		assert.throws(() => parseLenientJson('{ "a": }'), {
+			name: "SyntaxError",
+		});
+		assert.throws(() => parseLenientJson('{ "a": 1 '), {
+			name: "SyntaxError",
+		});
+	});
+});
@@ -0,0 +1,53 @@
+/**
+ * @fileoverview Tests for the resolveUrl() utility.
+ * @author Nicholas C. Zakas
+ */
+
+//-----------------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------------
+
+import assert from "assert";
+import { resolveUrl } from "../src/resolve-url.js";
+
+//-----------------------------------------------------------------------------
+// Tests
+//-----------------------------------------------------------------------------
+
+describe("resolveUrl()", () => {
+	it("should resolve a root-relative URL against the base URL", () => {
+		assert.strictEqual(
+			resolveUrl("/feed.xml", "https://example.com/blog/post"),
+			"https://example.com/feed.xml",
+		);
+	});
+
+	it("should resolve a path-relative URL against the base URL", () => {
+		assert.strictEqual(
+			resolveUrl("../img.png", "https://example.com/blog/post/"),
+			"https://example.com/blog/img.png",
+		);
+	});
+
+	it("should leave absolute URLs unchanged", () => {
+		assert.strictEqual(
+			resolveUrl("https://cdn.example.com/a.png", "https://example.com/"),
+			"https://cdn.example.com/a.png",
+		);
+	});
+
+	it("should return the value as-is when no base URL is provided", () => {
+		assert.strictEqual(resolveUrl("/feed.xml", undefined), "/feed.xml");
+	});
+
+	it("should return an empty value as-is", () => {
+		assert.strictEqual(resolveUrl("", "https://example.com/"), "");
+	});
+
+	it("should return the value as-is when it cannot be resolved", () => {
+		assert.strictEqual(
+			resolveUrl("http://[invalid", "https://example.com/"),
+			"http://[invalid",
+		);
+	});
+});
@@ -0,0 +1,59 @@
+/**
+ * @fileoverview Tests for WebpageAlternate class.
+ * @author Nicholas C. Zakas
+ */
+
+//-----------------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------------
+
+import assert from "assert";
+import { WebpageAlternate } from "../src/webpage-alternate.js";
+
+//-----------------------------------------------------------------------------
+// Tests
+//-----------------------------------------------------------------------------
+
+describe("WebpageAlternate", () => {
+	it("should create an alternate with correct properties", () => {
+		const alternate = new WebpageAlternate(
+			"https://example.com/fr/",
+			"fr",
+			{
+				media: "only screen and (max-width: 640px)",
+				type: "text/html",
+			},
+		);
+		assert.strictEqual(alternate.href, "https://example.com/fr/");
+		assert.strictEqual(alternate.hreflang, "fr");
+		assert.strictEqual(
+			alternate.media,
+			"only screen and (max-width: 640px)",
+		);
+		assert.strictEqual(alternate.type, "text/html");
+	});
+
+	it("should create an alternate with only href and hreflang", () => {
+		const alternate = new WebpageAlternate(
+			"https://example.com/",
+			"x-default",
+		);
+		assert.strictEqual(alternate.hreflang, "x-default");
+		assert.strictEqual(alternate.media, undefined);
+		assert.strictEqual(alternate.type, undefined);
+	});
+
+	it("should throw TypeError if href is missing", () => {
+		assert.throws(() => {
+			// @ts-expect-error
+			new WebpageAlternate();
+		}, TypeError);
+	});
+
+	it("should throw TypeError if hreflang is missing", () => {
+		assert.throws(() => {
+			// @ts-expect-error
+			new WebpageAlternate("https://example.com/");
+		}, TypeError);
+	});
+});
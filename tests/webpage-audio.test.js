@@ -0,0 +1,64 @@
+/**
+ * @fileoverview Tests for WebpageAudio class.
+ * @author Nicholas C. Zakas
+ */
+
+//-----------------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------------
+
+import assert from "assert";
+import { WebpageAudio } from "../src/webpage-audio.js";
+
+//-----------------------------------------------------------------------------
+// Tests
+//-----------------------------------------------------------------------------
+
+describe("WebpageAudio", () => {
+	it("should create an audio with correct properties", () => {
+		const audio = new WebpageAudio("https://example.com/episode.mp3", {
+			secureUrl: "https://secure.example.com/episode.mp3",
+			type: "audio/mpeg",
+		});
+		assert.strictEqual(audio.url, "https://example.com/episode.mp3");
+		assert.strictEqual(
+			audio.secureUrl,
+			"https://secure.example.com/episode.mp3",
+		);
+		assert.strictEqual(audio.type, "audio/mpeg");
+	});
+
+	it("should create an audio with only url (no options)", () => {
+		const audio = new WebpageAudio("https://example.com/episode.mp3");
+		assert.strictEqual(audio.url, "https://example.com/episode.mp3");
+		assert.strictEqual(audio.secureUrl, undefined);
+		assert.strictEqual(audio.type, undefined);
+		assert.strictEqual(audio.rawUrl, undefined);
+	});
+
+	it("should throw TypeError if url is missing", () => {
+		assert.throws(() => {
+			// @ts-expect-error
+			new WebpageAudio();
+		}, TypeError);
+	});
+});
+
+describe("WebpageAudio extname property", () => {
+	it("should return .mp3 for a simple MP3 URL", () => {
+		const audio = new WebpageAudio("https://example.com/episode.mp3");
+		assert.strictEqual(audio.extname, ".mp3");
+	});
+
+	it("should return .ogg for an OGG URL with query and fragment", () => {
+		const audio = new WebpageAudio(
+			"https://example.com/track.OGG?foo=bar#t=10",
+		);
+		assert.strictEqual(audio.extname, ".ogg");
+	});
+
+	it("should return empty string for URL with no extension", () => {
+		const audio = new WebpageAudio("https://example.com/stream/live");
+		assert.strictEqual(audio.extname, "");
+	});
+});
@@ -0,0 +1,243 @@
+/**
+ * @fileoverview Tests for WebpageCitation class.
+ * @author Nicholas C. Zakas
+ */
+
+//-----------------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------------
+
+import assert from "assert";
+import { WebpageCitation } from "../src/webpage-citation.js";
+
+//-----------------------------------------------------------------------------
+// Data
+//-----------------------------------------------------------------------------
+
+/** @type {Array<[string, string]>} */
+const ARTICLE_TAGS = [
+	["citation_title", "Deep Learning for Libraries"],
+	["citation_author", "Doe, Jane"],
+	["citation_author_institution", "University of Example"],
+	["citation_author_institution", "Example Research Lab"],
+	["citation_author_orcid", "0000-0002-1825-0097"],
+	["citation_author", "Richard Roe"],
+	["citation_author_email", "roe@example.com"],
+	["citation_author_institution", "Institute of Testing"],
+	["citation_publication_date", "2024/03/05"],
+	["citation_journal_title", "Journal of Examples"],
+	["citation_journal_abbrev", "J. Ex."],
+	["citation_volume", "12"],
+	["citation_issue", "3"],
+	["citation_firstpage", "100"],
+	["citation_lastpage", "115"],
+	["citation_doi", "doi:10.1000/xyz123"],
+	["citation_issn", "1234-5678"],
+	["citation_pdf_url", "/articles/xyz123.pdf"],
+	["citation_keywords", "machine learning; libraries"],
+	["citation_publisher", "Example & Sons"],
+];
+
+//-----------------------------------------------------------------------------
+// Tests
+//-----------------------------------------------------------------------------
+
+describe("WebpageCitation", () => {
+	it("should group authors with the institutions that follow them", () => {
+		const citation = new WebpageCitation(ARTICLE_TAGS);
+		assert.deepStrictEqual(citation.authors, [
+			{
+				name: "Doe, Jane",
+				institutions: ["University of Example", "Example Research Lab"],
+				email: undefined,
+				orcid: "0000-0002-1825-0097",
+			},
+			{
+				name: "Richard Roe",
+				institutions: ["Institute of Testing"],
+				email: "roe@example.com",
+				orcid: undefined,
+			},
+		]);
+	});
+
+	it("should set properties from the tags", () => {
+		const citation = new WebpageCitation(ARTICLE_TAGS, {
+			baseUrl: "https://journal.example/articles/xyz123",
+		});
+		assert.strictEqual(citation.title, "Deep Learning for Libraries");
+		assert.strictEqual(citation.date, "2024/03/05");
+		assert.strictEqual(citation.journalTitle, "Journal of Examples");
+		assert.strictEqual(citation.firstPage, "100");
+		assert.strictEqual(citation.doi, "10.1000/xyz123");
+		assert.deepStrictEqual(citation.issn, ["1234-5678"]);
+		assert.deepStrictEqual(citation.keywords, [
+			"machine learning",
+			"libraries",
+		]);
+		assert.strictEqual(
+			citation.pdfUrl,
+			"https://journal.example/articles/xyz123.pdf",
+		);
+		assert.strictEqual(citation.type, "article-journal");
+		assert.strictEqual(citation.key, "doe2024deep");
+	});
+
+	it("should match tag names case-insensitively and keep the first value", () => {
+		const citation = new WebpageCitation([
+			["Citation_Title", "First"],
+			["citation_title", "Second"],
+			["citation_date", "2020"],
+			["citation_publication_date", "2021-06"],
+			["citation_authors", "Doe, Jane; Roe, Richard"],
+			["citation_author_institution", "Example University"],
+		]);
+		assert.strictEqual(citation.title, "First");
+		assert.strictEqual(citation.date, "2021-06");
+		assert.deepStrictEqual(
+			citation.authors.map(({ name, institutions }) => [
+				name,
+				institutions,
+			]),
+			[
+				["Doe, Jane", []],
+				["Roe, Richard", ["Example University"]],
+			],
+		);
+	});
+
+	it("should ignore institutions before the first author", () => {
+		const citation = new WebpageCitation([
+			["citation_author_institution", "Nowhere"],
+			["citation_author", "Jane Doe"],
+		]);
+		assert.deepStrictEqual(citation.authors[0].institutions, []);
+	});
+
+	it("should infer the type from the tags that are present", () => {
+		assert.strictEqual(
+			new WebpageCitation([["citation_conference_title", "Conf"]]).type,
+			"paper-conference",
+		);
+		assert.strictEqual(
+			new WebpageCitation([["citation_dissertation_institution", "MIT"]])
+				.type,
+			"thesis",
+		);
+		assert.strictEqual(
+			new WebpageCitation([["citation_technical_report_number", "TR-1"]])
+				.type,
+			"report",
+		);
+		assert.strictEqual(
+			new WebpageCitation([["citation_isbn", "978-3-16-148410-0"]]).type,
+			"book",
+		);
+		assert.strictEqual(new WebpageCitation().type, "article");
+	});
+
+	describe("toCSL()", () => {
+		it("should convert the citation to CSL-JSON", () => {
+			const citation = new WebpageCitation(ARTICLE_TAGS, {
+				baseUrl: "https://journal.example/",
+			});
+			assert.deepStrictEqual(citation.toCSL(), {
+				id: "doe2024deep",
+				type: "article-journal",
+				title: "Deep Learning for Libraries",
+				author: [
+					{ family: "Doe", given: "Jane" },
+					{ family: "Roe", given: "Richard" },
+				],
+				issued: { "date-parts": [[2024, 3, 5]] },
+				"container-title": "Journal of Examples",
+				"container-title-short": "J. Ex.",
+				publisher: "Example & Sons",
+				volume: "12",
+				issue: "3",
+				page: "100-115",
+				DOI: "10.1000/xyz123",
+				ISSN: "1234-5678",
+				URL: "https://journal.example/articles/xyz123.pdf",
+				keyword: "machine learning, libraries",
+			});
+		});
+
+		it("should keep single-word names as literal names", () => {
+			const citation = new WebpageCitation([
+				["citation_title", "Report"],
+				["citation_author", "UNESCO"],
+				["citation_year", "2019"],
+			]);
+			assert.deepStrictEqual(citation.toCSL(), {
+				id: "unesco2019report",
+				type: "article",
+				title: "Report",
+				author: [{ literal: "UNESCO" }],
+				issued: { "date-parts": [[2019]] },
+			});
+		});
+	});
+
+	describe("toBibTeX()", () => {
+		it("should convert the citation to a BibTeX entry", () => {
+			const citation = new WebpageCitation(ARTICLE_TAGS, {
+				baseUrl: "https://journal.example/",
+			});
+			assert.strictEqual(
+				citation.toBibTeX(),
+				[
+					"@article{doe2024deep,",
+					"  title = {Deep Learning for Libraries},",
+					"  author = {Doe, Jane and Roe, Richard},",
+					"  journal = {Journal of Examples},",
+					"  publisher = {Example \\& Sons},",
+					"  year = {2024},",
+					"  month = mar,",
+					"  volume = {12},",
+					"  number = {3},",
+					"  pages = {100--115},",
+					"  doi = {10.1000/xyz123},",
+					"  issn = {1234-5678},",
+					"  url = {https://journal.example/articles/xyz123.pdf},",
+					"  keywords = {machine learning, libraries}",
+					"}",
+				].join("\n"),
+			);
+		});
+
+		it("should use the entry type and fields for the kind of work", () => {
+			const citation = new WebpageCitation([
+				["citation_title", "On 100% of_Things"],
+				["citation_author", "UNESCO"],
+				["citation_dissertation_institution", "MIT"],
+			]);
+			assert.strictEqual(
+				citation.toBibTeX(),
+				[
+					"@phdthesis{unesco100,",
+					"  title = {On 100\\% of\\_Things},",
+					"  author = {{UNESCO}},",
+					"  school = {MIT}",
+					"}",
+				].join("\n"),
+			);
+		});
+
+		it("should use a non-empty key when no part has ASCII letters", () => {
+			const citation = new WebpageCitation([
+				["citation_title", "研究"],
+				["citation_author", "王 小明"],
+			]);
+			assert.strictEqual(citation.key, "anonymous");
+			assert.ok(citation.toBibTeX().startsWith("@misc{anonymous,\n"));
+
+			const dated = new WebpageCitation([
+				["citation_title", "研究"],
+				["citation_author", "王 小明"],
+				["citation_date", "2024/01/05"],
+			]);
+			assert.strictEqual(dated.key, "anonymous2024");
+		});
+	});
+});
@@ -61,6 +61,15 @@ describe("WebpageFavicon", () => {
 		assert.strictEqual(favicon.sizes, "16x16");
 	});
 
+	it("should create a mask icon with a color", () => {
+		const favicon = new WebpageFavicon("/mask.svg", {
+			rel: "mask-icon",
+			color: "#5bbad5",
+		});
+		assert.strictEqual(favicon.rel, "mask-icon");
+		assert.strictEqual(favicon.color, "#5bbad5");
+	});
+
 	it("should throw TypeError if href is missing", () => {
 		assert.throws(() => {
 			// @ts-expect-error
@@ -0,0 +1,124 @@
+/**
+ * @fileoverview Tests for WebpageManifest class.
+ * @author Nicholas C. Zakas
+ */
+
+//-----------------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------------
+
+import assert from "assert";
+import { WebpageManifest } from "../src/webpage-manifest.js";
+import { WebpageFavicon } from "../src/webpage-favicon.js";
+
+//-----------------------------------------------------------------------------
+// Tests
+//-----------------------------------------------------------------------------
+
+describe("WebpageManifest", () => {
+	it("should create a manifest with default properties", () => {
+		const manifest = new WebpageManifest();
+		assert.strictEqual(manifest.url, undefined);
+		assert.strictEqual(manifest.name, undefined);
+		assert.strictEqual(manifest.shortName, undefined);
+		assert.deepStrictEqual(manifest.icons, []);
+		assert.strictEqual(manifest.themeColor, undefined);
+		assert.strictEqual(manifest.backgroundColor, undefined);
+		assert.strictEqual(manifest.startUrl, undefined);
+	});
+
+	describe("parse()", () => {
+		const text = JSON.stringify({
+			name: "Example App",
+			short_name: "Example",
+			start_url: "../?source=pwa",
+			theme_color: "#336699",
+			background_color: "#ffffff",
+			icons: [
+				{ src: "icon-192.png", sizes: "192x192", type: "image/png" },
+				{
+					src: "/maskable-512.png",
+					sizes: "512x512",
+					type: "image/png",
+					purpose: "maskable",
+				},
+				{ sizes: "48x48" },
+			],
+		});
+
+		it("should normalize manifest properties", () => {
+			const manifest = WebpageManifest.parse(text);
+			assert.strictEqual(manifest.name, "Example App");
+			assert.strictEqual(manifest.shortName, "Example");
+			assert.strictEqual(manifest.startUrl, "../?source=pwa");
+			assert.strictEqual(manifest.themeColor, "#336699");
+			assert.strictEqual(manifest.backgroundColor, "#ffffff");
+			assert.strictEqual(manifest.icons.length, 2);
+			assert.ok(manifest.icons[0] instanceof WebpageFavicon);
+			assert.strictEqual(manifest.icons[0].rel, "manifest");
+			assert.strictEqual(manifest.icons[0].href, "icon-192.png");
+			assert.strictEqual(manifest.icons[0].sizes, "192x192");
+			assert.strictEqual(manifest.icons[0].type, "image/png");
+			assert.strictEqual(manifest.icons[0].purpose, undefined);
+			assert.strictEqual(manifest.icons[0].rawHref, undefined);
+			assert.strictEqual(manifest.icons[1].purpose, "maskable");
+		});
+
+		it("should resolve icon URLs and start_url against the manifest URL", () => {
+			const manifest = WebpageManifest.parse(
+				text,
+				new URL("https://example.com/app/manifest.json"),
+			);
+			assert.strictEqual(
+				manifest.url,
+				"https://example.com/app/manifest.json",
+			);
+			assert.strictEqual(
+				manifest.startUrl,
+				"https://example.com/?source=pwa",
+			);
+			assert.strictEqual(
+				manifest.icons[0].href,
+				"https://example.com/app/icon-192.png",
+			);
+			assert.strictEqual(manifest.icons[0].rawHref, "icon-192.png");
+			assert.strictEqual(
+				manifest.icons[1].href,
+				"https://example.com/maskable-512.png",
+			);
+		});
+
+		it("should ignore properties with the wrong type", () => {
+			const manifest = WebpageManifest.parse(
+				JSON.stringify({ name: 42, icons: "icon.png" }),
+			);
+			assert.strictEqual(manifest.name, undefined);
+			assert.deepStrictEqual(manifest.icons, []);
+		});
+
+		it("should throw TypeError if text is not a string", () => {
+			assert.throws(
+				// @ts-expect-error
+				() => WebpageManifest.parse({}),
+				{
+					name: "TypeError",
+					message: /Expected manifest text to be a string/u,
+				},
+			);
+		});
+
+		it("should throw an error for invalid JSON", () => {
+			assert.throws(() => WebpageManifest.parse("{bad json}"), {
+				name: "Error",
+				message: /Invalid manifest JSON/u,
+			});
+		});
+
+		it("should throw an error if the JSON is not an object", () => {
+			assert.throws(() => WebpageManifest.parse("[]"), {
+				name: "Error",
+				message: /Expected manifest to be a JSON object/u,
+			});
+		});
+	});
+});
@@ -142,6 +142,94 @@ describe("WebpageMetaExtractor", () => {
 		});
 	});
 
+	describe("oEmbed discovery", () => {
+		it("should extract JSON and XML oEmbed endpoints", () => {
+			const html = `
+			<html><head>
+				<link rel="alternate" type="application/json+oembed" href="/oembed?format=json" title="Example JSON" />
+				<link rel="alternate" type="text/xml+oembed" href="/oembed?format=xml" title="Example XML" />
+				<link rel="alternate" type="application/rss+xml" href="/rss.xml" />
+			</head></html>
+			`;
+			const dom = new JSDOM(html);
+			const { oembed, feeds } = extractor.extract(dom.window.document, {
+				url: "https://example.com/post",
+			});
+			assert.deepStrictEqual(
+				oembed.map(e => [e.format, e.href, e.title, e.rawHref]),
+				[
+					[
+						"json",
+						"https://example.com/oembed?format=json",
+						"Example JSON",
+						"/oembed?format=json",
+					],
+					[
+						"xml",
+						"https://example.com/oembed?format=xml",
+						"Example XML",
+						"/oembed?format=xml",
+					],
+				],
+			);
+			assert.strictEqual(feeds.length, 1);
+		});
+
+		it("should return an empty array if there are no oEmbed links", () => {
+			const dom = new JSDOM("<html><head></head></html>");
+			const { oembed } = extractor.extract(dom.window.document);
+			assert.deepStrictEqual(oembed, []);
+		});
+	});
+
+	describe("Language alternates", () => {
+		it("should extract hreflang alternates including x-default", () => {
+			const html = `
+			<html><head>
+				<link rel="alternate" hreflang="en-US" href="/en-us/" />
+				<link rel="alternate" hreflang="de" href="/de/" type="text/html" media="screen" />
+				<link rel="alternate" hreflang="x-default" href="/" />
+				<link rel="alternate" type="application/rss+xml" href="/rss.xml" />
+			</head></html>
+			`;
+			const dom = new JSDOM(html);
+			const { alternates, feeds } = extractor.extract(
+				dom.window.document,
+				{ url: "https://example.com/page" },
+			);
+			assert.deepStrictEqual(
+				alternates.map(a => ({
+					hreflang: a.hreflang,
+					href: a.href,
+					media: a.media,
+					type: a.type,
+				})),
+				[
+					{
+						hreflang: "en-US",
+						href: "https://example.com/en-us/",
+						media: undefined,
+						type: undefined,
+					},
+					{
+						hreflang: "de",
+						href: "https://example.com/de/",
+						media: "screen",
+						type: "text/html",
+					},
+					{
+						hreflang: "x-default",
+						href: "https://example.com/",
+						media: undefined,
+						type: undefined,
+					},
+				],
+			);
+			assert.strictEqual(alternates[0].rawHref, "/en-us/");
+			assert.strictEqual(feeds.length, 1);
+		});
+	});
+
 	describe("Canonical URLs", () => {
 		it('should extract canonicalUrl from <link rel="canonical">', () => {
 			const html = `
@@ -165,6 +253,143 @@ describe("WebpageMetaExtractor", () => {
 		});
 	});
 
+	describe("URL resolution", () => {
+		const html = `
+			<html><head>
+				<link rel="icon" type="image/png" href="icon.png" />
+				<link rel="alternate" type="application/rss+xml" href="/feed.xml" />
+				<link rel="canonical" href="../canonical" />
+				<meta property="og:image" content="../img.png" />
+				<meta property="og:image:secure_url" content="/secure.png" />
+				<meta property="og:video" content="video.mp4" />
+				<meta property="og:url" content="/post" />
+			</head><body>
+				<div itemscope itemtype="http://schema.org/Thing">
+					<a itemprop="url" href="/thing">Thing</a>
+					<img itemprop="image" src="thing.png" />
+					<span itemprop="name">Thing</span>
+				</div>
+			</body></html>
+		`;
+
+		it("should leave URLs unresolved when no url option is passed", () => {
+			const dom = new JSDOM(html);
+			const meta = extractor.extract(dom.window.document);
+			assert.strictEqual(meta.baseUrl, undefined);
+			assert.strictEqual(meta.favicons[0].href, "icon.png");
+			assert.strictEqual(meta.favicons[0].rawHref, undefined);
+			assert.strictEqual(meta.feeds[0].href, "/feed.xml");
+			assert.strictEqual(meta.images[0].url, "../img.png");
+			assert.strictEqual(meta.images[0].rawUrl, undefined);
+			assert.strictEqual(meta.canonicalUrl, "../canonical");
+			assert.strictEqual(meta.rawCanonicalUrl, undefined);
+			assert.strictEqual(meta.microdata[0].url, "/thing");
+		});
+
+		it("should resolve all extracted URLs against the page URL", () => {
+			const dom = new JSDOM(html);
+			const meta = extractor.extract(dom.window.document, {
+				url: "https://example.com/blog/post/",
+			});
+			assert.strictEqual(meta.baseUrl, "https://example.com/blog/post/");
+			assert.strictEqual(
+				meta.favicons[0].href,
+				"https://example.com/blog/post/icon.png",
+			);
+			assert.strictEqual(meta.favicons[0].rawHref, "icon.png");
+			assert.strictEqual(
+				meta.feeds[0].href,
+				"https://example.com/feed.xml",
+			);
+			assert.strictEqual(meta.feeds[0].rawHref, "/feed.xml");
+			assert.strictEqual(
+				meta.images[0].url,
+				"https://example.com/blog/img.png",
+			);
+			assert.strictEqual(meta.images[0].rawUrl, "../img.png");
+			assert.strictEqual(
+				meta.images[0].secureUrl,
+				"https://example.com/secure.png",
+			);
+			assert.strictEqual(
+				meta.videos[0].url,
+				"https://example.com/blog/post/video.mp4",
+			);
+			assert.strictEqual(meta.videos[0].rawUrl, "video.mp4");
+			assert.strictEqual(
+				meta.canonicalUrl,
+				"https://example.com/blog/canonical",
+			);
+			assert.strictEqual(meta.rawCanonicalUrl, "../canonical");
+			assert.strictEqual(meta.image, "https://example.com/blog/img.png");
+			assert.strictEqual(meta.url, "https://example.com/post");
+			assert.deepStrictEqual(meta.microdata, [
+				{
+					type: "http://schema.org/Thing",
+					url: "https://example.com/thing",
+					image: "https://example.com/blog/post/thing.png",
+					name: "Thing",
+				},
+			]);
+		});
+
+		it("should keep raw values in the meta map", () => {
+			const dom = new JSDOM(html);
+			const meta = extractor.extract(dom.window.document, {
+				url: "https://example.com/blog/post/",
+			});
+			assert.deepStrictEqual(meta.meta.get("og:image"), ["../img.png"]);
+		});
+
+		it("should honor <base href> when resolving URLs", () => {
+			const dom = new JSDOM(`
+				<html><head>
+					<base href="/assets/" />
+					<link rel="icon" href="favicon.ico" />
+				</head></html>
+			`);
+			const meta = extractor.extract(dom.window.document, {
+				url: new URL("https://example.com/blog/post"),
+			});
+			assert.strictEqual(meta.baseUrl, "https://example.com/assets/");
+			assert.strictEqual(
+				meta.favicons[0].href,
+				"https://example.com/assets/favicon.ico",
+			);
+		});
+
+		it("should resolve the /favicon.ico fallback against the page URL", () => {
+			const dom = new JSDOM("<html><head></head></html>");
+			const meta = extractor.extract(dom.window.document, {
+				url: "https://example.com/blog/post",
+			});
+			assert.strictEqual(meta.favicon, "https://example.com/favicon.ico");
+		});
+
+		it("should resolve the /favicon.ico fallback against the page origin, not <base href>", () => {
+			const dom = new JSDOM(
+				'<html><head><base href="https://cdn.example.net/assets/"></head></html>',
+			);
+			const meta = extractor.extract(dom.window.document, {
+				url: "https://example.com/blog/post",
+			});
+			assert.strictEqual(meta.pageUrl, "https://example.com/blog/post");
+			assert.strictEqual(meta.baseUrl, "https://cdn.example.net/assets/");
+			assert.strictEqual(meta.favicon, "https://example.com/favicon.ico");
+		});
+
+		it("should throw TypeError if the url option is not an absolute URL", () => {
+			const dom = new JSDOM("<html><head></head></html>");
+			assert.throws(
+				() => extractor.extract(dom.window.document, { url: "/post" }),
+				{
+					name: "TypeError",
+					message: /absolute URL/u,
+				},
+			);
+		});
+	});
+
 	describe("WebpageMetaExtractor meta property population", () => {
 		let extractor;
 
@@ -373,6 +598,246 @@ describe("WebpageMetaExtractor", () => {
 		});
 	});
 
+	describe("WebpageMetaExtractor strict and typed microdata", () => {
+		let extractor;
+		beforeEach(() => {
+			extractor = new WebpageMetaExtractor();
+		});
+
+		const html = `
+			<html><head><base href="https://example.com/shop/" /></head><body>
+				<div itemscope itemtype="https://schema.org/Product https://schema.org/IndividualProduct" itemid="/products/1">
+					<span itemprop="name">Widget</span>
+					<a itemprop="url" href="widget">Widget page</a>
+					<meter itemprop="weight" value="2.5">2.5kg</meter>
+					<data itemprop="sku" value="42">SKU</data>
+					<time itemprop="releaseDate" datetime="2024-01-05">Jan 5</time>
+					<div itemprop="offers" itemscope itemtype="http://schema.org/Offer">
+						<meta itemprop="price" content="19.99" />
+						<meta itemprop="priceValidUntil" content="2024-12-31" />
+						<span itemprop="priceCurrency">USD</span>
+					</div>
+				</div>
+			</body></html>
+		`;
+
+		it("should keep the default output unchanged", () => {
+			const dom = new JSDOM(html);
+			const [item] = extractor.extract(dom.window.document).microdata;
+			assert.strictEqual(item.type, "https://schema.org/Product");
+			assert.strictEqual(item.id, "/products/1");
+			assert.strictEqual(item.url, "widget");
+			assert.strictEqual(item.weight, "2.5");
+			assert.strictEqual(item.offers.price, "19.99");
+		});
+
+		it("should produce strict WHATWG output when strictMicrodata is true", () => {
+			const dom = new JSDOM(html, { url: "https://example.com/" });
+			const [item] = extractor.extract(dom.window.document, {
+				strictMicrodata: true,
+			}).microdata;
+			assert.deepStrictEqual(item.type, [
+				"https://schema.org/Product",
+				"https://schema.org/IndividualProduct",
+			]);
+			assert.strictEqual(item.id, "https://example.com/products/1");
+			assert.strictEqual(item.url, "https://example.com/shop/widget");
+			assert.deepStrictEqual(item.offers.type, [
+				"http://schema.org/Offer",
+			]);
+			assert.strictEqual(item.weight, "2.5");
+		});
+
+		it("should convert numbers and dates when typedMicrodata is true", () => {
+			const dom = new JSDOM(html);
+			const [item] = extractor.extract(dom.window.document, {
+				typedMicrodata: true,
+			}).microdata;
+			assert.strictEqual(item.weight, 2.5);
+			assert.strictEqual(item.sku, 42);
+			assert.deepStrictEqual(
+				item.releaseDate,
+				new Date("2024-01-05T00:00:00Z"),
+			);
+			assert.strictEqual(item.offers.price, 19.99);
+			assert.deepStrictEqual(
+				item.offers.priceValidUntil,
+				new Date("2024-12-31T00:00:00Z"),
+			);
+			assert.strictEqual(item.offers.priceCurrency, "USD");
+		});
+
+		it("should keep zero-padded <data> identifiers as strings", () => {
+			const dom = new JSDOM(`
+				<div itemscope itemtype="https://schema.org/Product">
+					<data itemprop="sku" value="0012">SKU</data>
+					<data itemprop="gtin13" value="0012345678905">GTIN</data>
+					<data itemprop="model" value="1.50">Model</data>
+					<data itemprop="price" value="19.90">Price</data>
+				</div>
+			`);
+			const [item] = extractor.extract(dom.window.document, {
+				typedMicrodata: true,
+			}).microdata;
+			assert.strictEqual(item.sku, "0012");
+			assert.strictEqual(item.gtin13, "0012345678905");
+			assert.strictEqual(item.model, "1.50");
+			assert.strictEqual(item.price, 19.9);
+		});
+
+		it("should not convert values that aren't numbers or dates", () => {
+			const dom = new JSDOM(`
+				<div itemscope itemtype="https://schema.org/Event">
+					<data itemprop="code" value="abc">ABC</data>
+					<time itemprop="startDate">sometime soon</time>
+					<span itemprop="position">first</span>
+				</div>
+			`);
+			const [item] = extractor.extract(dom.window.document, {
+				typedMicrodata: true,
+			}).microdata;
+			assert.strictEqual(item.code, "abc");
+			assert.strictEqual(item.startDate, "sometime soon");
+			assert.strictEqual(item.position, "first");
+		});
+
+		it("should use typed microdata dates in publishedAt", () => {
+			const dom = new JSDOM(`
+				<div itemscope itemtype="https://schema.org/BlogPosting">
+					<time itemprop="datePublished" datetime="2024-01-05T10:00:00Z">Jan 5</time>
+				</div>
+			`);
+			const meta = extractor.extract(dom.window.document, {
+				typedMicrodata: true,
+			});
+			assert.deepStrictEqual(meta.publishedAt, {
+				date: new Date("2024-01-05T10:00:00Z"),
+				raw: "2024-01-05T10:00:00.000Z",
+				source: "microdata",
+				property: "datePublished",
+			});
+		});
+	});
+
+	describe("WebpageMetaExtractor main content extraction", () => {
+		let extractor;
+		beforeEach(() => {
+			extractor = new WebpageMetaExtractor();
+		});
+
+		const html = `
+			<html><body>
+				<nav><a href="/">Home</a></nav>
+				<article>
+					<h1>Hello</h1>
+					<img src="/hero.jpg" alt="Hero">
+					<p>This is the first paragraph of the article, with enough text to count.</p>
+				</article>
+			</body></html>
+		`;
+
+		it("should not extract main content by default", () => {
+			const dom = new JSDOM(html);
+			const meta = extractor.extract(dom.window.document);
+			assert.strictEqual(meta.mainContent, undefined);
+		});
+
+		it("should extract main content when extractMainContent is true", () => {
+			const dom = new JSDOM(html);
+			const meta = extractor.extract(dom.window.document, {
+				url: "https://example.com/posts/hello",
+				extractMainContent: true,
+			});
+			assert.strictEqual(meta.mainContent?.selector, "body > article");
+			assert.strictEqual(
+				meta.mainContent.text,
+				"Hello\n\nThis is the first paragraph of the article, with enough text to count.",
+			);
+			assert.strictEqual(meta.mainContent.wordCount, 14);
+			assert.strictEqual(meta.mainContent.readingTime, 1);
+			assert.strictEqual(
+				meta.mainContent.leadImage?.url,
+				"https://example.com/hero.jpg",
+			);
+			assert.strictEqual(meta.mainContent.leadImage.alt, "Hero");
+			assert.ok(dom.window.document.querySelector("nav"));
+		});
+	});
+
+	describe("WebpageMetaExtractor RDFa extraction", () => {
+		let extractor;
+		beforeEach(() => {
+			extractor = new WebpageMetaExtractor();
+		});
+
+		it("should extract RDFa Lite items alongside microdata", () => {
+			const html = `
+			<html><body>
+				<div vocab="https://schema.org/" typeof="Recipe">
+					<span property="name">Pancakes</span>
+					<img property="image" src="/pancakes.jpg" />
+				</div>
+				<div itemscope itemtype="https://schema.org/Person">
+					<span itemprop="name">Alice</span>
+				</div>
+			</body></html>
+		`;
+			const dom = new JSDOM(html);
+			const meta = extractor.extract(dom.window.document, {
+				url: "https://example.com/recipes/",
+			});
+			assert.deepStrictEqual(meta.rdfa, [
+				{
+					type: "https://schema.org/Recipe",
+					name: "Pancakes",
+					image: "https://example.com/pancakes.jpg",
+				},
+			]);
+			assert.strictEqual(meta.microdata.length, 1);
+		});
+
+		it("should return an empty array when there is no RDFa", () => {
+			const dom = new JSDOM("<html><body></body></html>");
+			const meta = extractor.extract(dom.window.document);
+			assert.deepStrictEqual(meta.rdfa, []);
+		});
+	});
+
+	describe("WebpageMetaExtractor microformats extraction", () => {
+		let extractor;
+		beforeEach(() => {
+			extractor = new WebpageMetaExtractor();
+		});
+
+		it("should extract microformats2 items and rels", () => {
+			const html = `
+			<html><body>
+				<article class="h-entry">
+					<h1 class="p-name">Hello</h1>
+					<a class="u-url" href="/hello">Link</a>
+				</article>
+				<a rel="me" href="https://social.example/@jane">Social</a>
+			</body></html>
+		`;
+			const dom = new JSDOM(html);
+			const meta = extractor.extract(dom.window.document, {
+				url: "https://example.com/",
+			});
+			assert.deepStrictEqual(meta.microformats.items, [
+				{
+					type: ["h-entry"],
+					properties: {
+						name: ["Hello"],
+						url: ["https://example.com/hello"],
+					},
+				},
+			]);
+			assert.deepStrictEqual(meta.microformats.rels, {
+				me: ["https://social.example/@jane"],
+			});
+		});
+	});
+
 	describe("WebpageMetaExtractor JSON-LD", () => {
 		let extractor;
 
@@ -420,6 +885,79 @@ describe("WebpageMetaExtractor", () => {
 			assert.deepStrictEqual(meta.jsonld[0], { "@type": "Test" });
 		});
 
+		it("should report JSON-LD blocks that cannot be parsed", () => {
+			const html = `
+			<html><head>
+				<script type="application/ld+json">{bad json}</script>
+				<script type="application/ld+json">   </script>
+				<script type="application/ld+json">{"@type": "Test"}</script>
+			</head></html>
+		`;
+			const dom = new JSDOM(html);
+			const meta = extractor.extract(dom.window.document);
+			assert.strictEqual(meta.errors.length, 1);
+			assert.strictEqual(meta.errors[0].source, "jsonld");
+			assert.strictEqual(meta.errors[0].index, 0);
+			assert.strictEqual(meta.errors[0].recovered, false);
+			assert.strictEqual(typeof meta.errors[0].message, "string");
+		});
+
+		it("should repair malformed JSON-LD and report the recovery", () => {
+			const html = `
+			<html><head>
+				<script type="application/ld+json">
+					<!--
+					{
+						"@type": "Article",
+						"description": "Line one
+Line two",
+					}
+					{ "@type": "Person", "name": "Jane", }
+					-->
+				</script>
+			</head></html>
+		`;
+			const dom = new JSDOM(html);
+			const meta = extractor.extract(dom.window.document, {
+				lenientJsonLd: true,
+			});
+			assert.deepStrictEqual(meta.jsonld, [
+				{ "@type": "Article", description: "Line one\nLine two" },
+				{ "@type": "Person", name: "Jane" },
+			]);
+			assert.strictEqual(meta.errors.length, 1);
+			assert.strictEqual(meta.errors[0].index, 0);
+			assert.strictEqual(meta.errors[0].recovered, true);
+		});
+
+		it("should not repair malformed JSON-LD by default", () => {
+			const html = `
+			<html><head>
+				<script type="application/ld+json">{ "@type": "Article", }</script>
+			</head></html>
+		`;
+			const dom = new JSDOM(html);
+			const meta = extractor.extract(dom.window.document);
+			assert.deepStrictEqual(meta.jsonld, []);
+			assert.strictEqual(meta.errors.length, 1);
+			assert.strictEqual(meta.errors[0].recovered, false);
+		});
+
+		it("should not repair malformed JSON-LD when lenientJsonLd is false", () => {
+			const html = `
+			<html><head>
+				<script type="application/ld+json">{ "@type": "Article", }</script>
+			</head></html>
+		`;
+			const dom = new JSDOM(html);
+			const meta = extractor.extract(dom.window.document, {
+				lenientJsonLd: false,
+			});
+			assert.deepStrictEqual(meta.jsonld, []);
+			assert.strictEqual(meta.errors.length, 1);
+			assert.strictEqual(meta.errors[0].recovered, false);
+		});
+
 		it("should extract JSON-LD when script contains an array of objects", () => {
 			const html = `
 			<html><head>
@@ -614,6 +1152,83 @@ describe("WebpageMetaExtractor", () => {
 		});
 	});
 
+	describe("WebpageMeta audios property", () => {
+		let extractor;
+
+		beforeEach(() => {
+			extractor = new WebpageMetaExtractor();
+		});
+
+		it("should extract all og:audio meta fields as WebpageAudio objects", () => {
+			const html = `
+			<html><head>
+				<meta property="og:audio" content="episode1.mp3" />
+				<meta property="og:audio:secure_url" content="https://secure.example.com/episode1.mp3" />
+				<meta property="og:audio:type" content="audio/mpeg" />
+				<meta property="og:audio:url" content="episode2.ogg" />
+				<meta property="og:audio:type" content="audio/ogg" />
+			</head></html>
+		`;
+			const dom = new JSDOM(html);
+			const meta = extractor.extract(dom.window.document);
+			assert.strictEqual(meta.audios.length, 2);
+
+			const toPlain = audio => ({
+				url: audio.url,
+				secureUrl: audio.secureUrl,
+				type: audio.type,
+			});
+
+			assert.deepStrictEqual(toPlain(meta.audios[0]), {
+				url: "episode1.mp3",
+				secureUrl: "https://secure.example.com/episode1.mp3",
+				type: "audio/mpeg",
+			});
+			assert.deepStrictEqual(toPlain(meta.audios[1]), {
+				url: "episode2.ogg",
+				secureUrl: undefined,
+				type: "audio/ogg",
+			});
+			assert.deepStrictEqual(meta.meta.get("og:audio:type"), [
+				"audio/mpeg",
+				"audio/ogg",
+			]);
+		});
+
+		it("should not include audios without a url", () => {
+			const html = `
+			<html><head>
+				<meta property="og:audio:type" content="audio/mpeg" />
+			</head></html>
+		`;
+			const dom = new JSDOM(html);
+			const meta = extractor.extract(dom.window.document);
+			assert.strictEqual(meta.audios.length, 0);
+		});
+
+		it("should resolve audio URLs when a url option is passed", () => {
+			const html = `
+			<html><head>
+				<meta property="og:audio" content="/episode.mp3" />
+				<meta property="og:audio:secure_url" content="/secure/episode.mp3" />
+			</head></html>
+		`;
+			const dom = new JSDOM(html);
+			const meta = extractor.extract(dom.window.document, {
+				url: "https://example.com/podcast/",
+			});
+			assert.strictEqual(
+				meta.audios[0].url,
+				"https://example.com/episode.mp3",
+			);
+			assert.strictEqual(meta.audios[0].rawUrl, "/episode.mp3");
+			assert.strictEqual(
+				meta.audios[0].secureUrl,
+				"https://example.com/secure/episode.mp3",
+			);
+		});
+	});
+
 	describe("WebpageMetaExtractor images extraction", () => {
 		let extractor;
 
@@ -21,7 +21,7 @@ import { WebpageMetaExtractor } from "../src/webpage-meta-extractor.js";
 /**
  * Convert WebpageMeta instance to a plain serializable JSON object for snapshots.
  * - Maps are converted to plain objects (sorted by key for stability)
- * - Arrays of class instances (images, favicons, videos) reduced to plain objects
+ * - Arrays of class instances (images, favicons, videos, audios, oembed) reduced to plain objects
  * - Undefined properties are omitted
  *
  * @param {import("../src/webpage-meta.js").WebpageMeta} meta
@@ -56,8 +56,12 @@ function serializeMeta(meta) {
 		images: simplify(meta.images),
 		favicons: simplify(meta.favicons),
 		videos: simplify(meta.videos),
+		audios: simplify(meta.audios),
+		oembed: simplify(meta.oembed),
 		jsonld: meta.jsonld,
 		microdata: meta.microdata,
+		rdfa: meta.rdfa,
+		microformats: meta.microformats,
 		canonicalUrl: meta.canonicalUrl,
 		title: meta.title,
 		firstHeading: meta.firstHeading,
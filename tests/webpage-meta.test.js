@@ -12,6 +12,11 @@ import { JSDOM } from "jsdom";
 import { WebpageMetaExtractor } from "../src/webpage-meta-extractor.js";
 import { WebpageMeta } from "../src/webpage-meta.js";
 import { WebpageFavicon } from "../src/webpage-favicon.js";
+import { WebpageTwitterCard } from "../src/webpage-twitter-card.js";
+import { WebpageManifest } from "../src/webpage-manifest.js";
+import { WebpageAlternate } from "../src/webpage-alternate.js";
+import { WebpageRobots } from "../src/webpage-robots.js";
+import { WebpageCitation } from "../src/webpage-citation.js";
 
 //-----------------------------------------------------------------------------
 // Tests
@@ -283,6 +288,385 @@ describe("WebpageMeta favicons and favicon getter", () => {
 	});
 });
 
+describe("WebpageMeta icon rels and getFavicons()", () => {
+	let extractor;
+
+	beforeEach(() => {
+		extractor = new WebpageMetaExtractor();
+	});
+
+	it("should extract Apple touch icons, mask icons, fluid icons, and multi-token rels", () => {
+		const html = `
+			<html><head>
+				<link rel="icon shortcut" href="/favicon.ico" />
+				<link rel="apple-touch-icon" sizes="180x180" href="/apple-180.png" />
+				<link rel="apple-touch-icon-precomposed" href="/apple-precomposed.png" />
+				<link rel="mask-icon" href="/mask.svg" color="#ff0000" />
+				<link rel="fluid-icon" href="/fluid.png" title="Example" />
+				<link rel="stylesheet" href="/icons.css" />
+			</head></html>
+		`;
+		const dom = new JSDOM(html);
+		const meta = extractor.extract(dom.window.document);
+		assert.deepStrictEqual(
+			meta.favicons.map(f => [f.rel, f.href]),
+			[
+				["icon shortcut", "/favicon.ico"],
+				["apple-touch-icon", "/apple-180.png"],
+				["apple-touch-icon-precomposed", "/apple-precomposed.png"],
+				["mask-icon", "/mask.svg"],
+				["fluid-icon", "/fluid.png"],
+			],
+		);
+		assert.strictEqual(meta.favicons[3].color, "#ff0000");
+		assert.strictEqual(meta.favicon, "/favicon.ico");
+	});
+
+	it("should normalize whitespace and case in rel", () => {
+		const html = `
+			<html><head>
+				<link rel="  Shortcut   ICON " href="/favicon.ico" />
+			</head></html>
+		`;
+		const dom = new JSDOM(html);
+		const meta = extractor.extract(dom.window.document);
+		assert.strictEqual(meta.favicons[0].rel, "shortcut icon");
+	});
+
+	it("should group favicons by purpose", () => {
+		const meta = new WebpageMeta();
+		meta.favicons = [
+			new WebpageFavicon("/favicon.png", { type: "image/png" }),
+			new WebpageFavicon("/favicon.ico", { rel: "icon shortcut" }),
+			new WebpageFavicon("/apple.png", { rel: "apple-touch-icon" }),
+			new WebpageFavicon("/apple-pre.png", {
+				rel: "apple-touch-icon-precomposed",
+			}),
+			new WebpageFavicon("/mask.svg", { rel: "mask-icon" }),
+			new WebpageFavicon("/fluid.png", { rel: "fluid-icon" }),
+		];
+		assert.deepStrictEqual(
+			meta.getFavicons("icon").map(f => f.href),
+			["/favicon.png", "/favicon.ico"],
+		);
+		assert.deepStrictEqual(
+			meta.getFavicons("apple-touch-icon").map(f => f.href),
+			["/apple.png", "/apple-pre.png"],
+		);
+		assert.deepStrictEqual(
+			meta.getFavicons("mask-icon").map(f => f.href),
+			["/mask.svg"],
+		);
+		assert.deepStrictEqual(
+			meta.getFavicons("fluid-icon").map(f => f.href),
+			["/fluid.png"],
+		);
+	});
+
+	it("should throw TypeError for an unknown purpose", () => {
+		const meta = new WebpageMeta();
+		assert.throws(
+			// @ts-expect-error
+			() => meta.getFavicons("unknown"),
+			{
+				name: "TypeError",
+				message: /Expected purpose to be one of/u,
+			},
+		);
+	});
+
+	it("should not use a mask icon as the favicon even though it is SVG", () => {
+		const meta = new WebpageMeta();
+		meta.favicons = [
+			new WebpageFavicon("/mask.svg", {
+				rel: "mask-icon",
+				color: "#000",
+			}),
+			new WebpageFavicon("/favicon.ico", { rel: "shortcut icon" }),
+		];
+		assert.strictEqual(meta.favicon, "/favicon.ico");
+	});
+
+	it("should fall back to the largest Apple touch icon when there are no regular icons", () => {
+		const meta = new WebpageMeta();
+		meta.favicons = [
+			new WebpageFavicon("/mask.svg", { rel: "mask-icon" }),
+			new WebpageFavicon("/apple-120.png", {
+				rel: "apple-touch-icon",
+				sizes: "120x120",
+			}),
+			new WebpageFavicon("/apple-180.png", {
+				rel: "apple-touch-icon",
+				sizes: "180x180",
+			}),
+		];
+		assert.strictEqual(meta.favicon, "/apple-180.png");
+	});
+
+	it("should fall back to a fluid icon when there are no regular or touch icons", () => {
+		const meta = new WebpageMeta();
+		meta.favicons = [
+			new WebpageFavicon("/mask.svg", { rel: "mask-icon" }),
+			new WebpageFavicon("/fluid.png", { rel: "fluid-icon" }),
+		];
+		assert.strictEqual(meta.favicon, "/fluid.png");
+	});
+
+	it("should fall back to /favicon.ico when only a mask icon is present", () => {
+		const meta = new WebpageMeta();
+		meta.favicons = [new WebpageFavicon("/mask.svg", { rel: "mask-icon" })];
+		assert.strictEqual(meta.favicon, "/favicon.ico");
+	});
+});
+
+describe("WebpageMeta getBestFavicon()", () => {
+	/**
+	 * Creates a WebpageMeta with a common set of favicons.
+	 * @returns {WebpageMeta}
+	 */
+	function createMeta() {
+		const meta = new WebpageMeta();
+		meta.favicons = [
+			new WebpageFavicon("/favicon.ico", {
+				rel: "icon",
+				sizes: "16x16 32x32 48x48",
+			}),
+			new WebpageFavicon("/favicon-64.png", {
+				rel: "icon",
+				type: "image/png",
+				sizes: "64x64",
+			}),
+			new WebpageFavicon("/favicon-192.png", {
+				rel: "icon",
+				type: "image/png",
+				sizes: "192X192",
+			}),
+			new WebpageFavicon("/favicon.svg", {
+				rel: "icon",
+				type: "image/svg+xml",
+			}),
+			new WebpageFavicon("/apple.png", {
+				rel: "apple-touch-icon",
+				sizes: "180x180",
+			}),
+		];
+		return meta;
+	}
+
+	it("should return the WebpageFavicon object rather than the href", () => {
+		const meta = createMeta();
+		const favicon = meta.getBestFavicon();
+		assert.ok(favicon instanceof WebpageFavicon);
+		assert.strictEqual(favicon.href, "/favicon.svg");
+	});
+
+	it("should prefer SVG by default", () => {
+		const meta = createMeta();
+		assert.strictEqual(
+			meta.getBestFavicon({ size: 16 })?.href,
+			"/favicon.svg",
+		);
+	});
+
+	it("should pick the closest size at or above the requested size", () => {
+		const meta = createMeta();
+		assert.strictEqual(
+			meta.getBestFavicon({ size: 16, preferSvg: false })?.href,
+			"/favicon.ico",
+		);
+		assert.strictEqual(
+			meta.getBestFavicon({ size: 40, preferSvg: false })?.href,
+			"/favicon.ico",
+		);
+		assert.strictEqual(
+			meta.getBestFavicon({ size: 50, preferSvg: false })?.href,
+			"/favicon-64.png",
+		);
+		assert.strictEqual(
+			meta.getBestFavicon({ size: 100, preferSvg: false })?.href,
+			"/favicon-192.png",
+		);
+	});
+
+	it("should prefer a scalable icon over a too-small raster icon", () => {
+		const meta = createMeta();
+		assert.strictEqual(
+			meta.getBestFavicon({ size: 512, preferSvg: false })?.href,
+			"/favicon.svg",
+		);
+	});
+
+	it("should fall back to the largest icon below the requested size", () => {
+		const meta = createMeta();
+		assert.strictEqual(
+			meta.getBestFavicon({ size: 512, formats: ["png", "ico"] })?.href,
+			"/favicon-192.png",
+		);
+	});
+
+	it("should return the largest raster icon when no size is requested", () => {
+		const meta = createMeta();
+		assert.strictEqual(
+			meta.getBestFavicon({ preferSvg: false })?.href,
+			"/favicon-192.png",
+		);
+	});
+
+	it("should filter by format", () => {
+		const meta = createMeta();
+		assert.strictEqual(
+			meta.getBestFavicon({ size: 16, formats: ["PNG"] })?.href,
+			"/favicon-64.png",
+		);
+		assert.strictEqual(
+			meta.getBestFavicon({ formats: ["gif"] }),
+			undefined,
+		);
+	});
+
+	it('should treat sizes="any" as scalable', () => {
+		const meta = new WebpageMeta();
+		meta.favicons = [
+			new WebpageFavicon("/favicon-32.png", {
+				type: "image/png",
+				sizes: "32x32",
+			}),
+			new WebpageFavicon("/icon.png", {
+				type: "image/png",
+				sizes: "any",
+			}),
+		];
+		assert.strictEqual(
+			meta.getBestFavicon({ size: 32 })?.href,
+			"/icon.png",
+		);
+		assert.strictEqual(
+			meta.getBestFavicon({ size: 32, preferSvg: false })?.href,
+			"/favicon-32.png",
+		);
+	});
+
+	it("should fall back to an icon without a declared size", () => {
+		const meta = new WebpageMeta();
+		meta.favicons = [new WebpageFavicon("/favicon.ico")];
+		assert.strictEqual(
+			meta.getBestFavicon({ size: 32 })?.href,
+			"/favicon.ico",
+		);
+	});
+
+	it("should select icons for the given purpose", () => {
+		const meta = createMeta();
+		assert.strictEqual(
+			meta.getBestFavicon({ size: 120, purpose: "apple-touch-icon" })
+				?.href,
+			"/apple.png",
+		);
+	});
+
+	it("should return undefined if there are no favicons", () => {
+		const meta = new WebpageMeta();
+		assert.strictEqual(meta.getBestFavicon({ size: 32 }), undefined);
+	});
+
+	it("should throw TypeError for an invalid size", () => {
+		const meta = createMeta();
+		assert.throws(() => meta.getBestFavicon({ size: 0 }), {
+			name: "TypeError",
+			message: /Expected size to be a positive number/u,
+		});
+	});
+
+	it("should throw TypeError for invalid formats", () => {
+		const meta = createMeta();
+		assert.throws(
+			// @ts-expect-error
+			() => meta.getBestFavicon({ formats: "png" }),
+			{
+				name: "TypeError",
+				message: /Expected formats to be an array/u,
+			},
+		);
+	});
+});
+
+describe("WebpageMeta web app manifest", () => {
+	let extractor;
+
+	beforeEach(() => {
+		extractor = new WebpageMetaExtractor();
+	});
+
+	it("should capture the manifest link", () => {
+		const html = `
+			<html><head>
+				<link rel="manifest" href="/site.webmanifest" />
+				<link rel="manifest" href="/other.webmanifest" />
+			</head></html>
+		`;
+		const dom = new JSDOM(html);
+		const meta = extractor.extract(dom.window.document, {
+			url: "https://example.com/blog/",
+		});
+		assert.strictEqual(
+			meta.manifestUrl,
+			"https://example.com/site.webmanifest",
+		);
+		assert.strictEqual(meta.rawManifestUrl, "/site.webmanifest");
+		assert.strictEqual(meta.manifest, undefined);
+	});
+
+	it("should leave manifestUrl undefined if there is no manifest link", () => {
+		const dom = new JSDOM("<html><head></head></html>");
+		const meta = extractor.extract(dom.window.document);
+		assert.strictEqual(meta.manifestUrl, undefined);
+	});
+
+	it("should include manifest icons in favicon selection", () => {
+		const meta = new WebpageMeta();
+		meta.favicons = [
+			new WebpageFavicon("/favicon-32.png", {
+				rel: "icon",
+				type: "image/png",
+				sizes: "32x32",
+			}),
+		];
+		meta.manifest = WebpageManifest.parse(
+			JSON.stringify({
+				icons: [
+					{
+						src: "/icon-192.png",
+						sizes: "192x192",
+						type: "image/png",
+					},
+					{
+						src: "/maskable-512.png",
+						sizes: "512x512",
+						type: "image/png",
+						purpose: "maskable",
+					},
+					{
+						src: "/both-256.png",
+						sizes: "256x256",
+						type: "image/png",
+						purpose: "any maskable",
+					},
+				],
+			}),
+		);
+		assert.deepStrictEqual(
+			meta.getFavicons("icon").map(f => f.href),
+			["/favicon-32.png", "/icon-192.png", "/both-256.png"],
+		);
+		assert.strictEqual(meta.favicon, "/both-256.png");
+		assert.strictEqual(
+			meta.getBestFavicon({ size: 100 })?.href,
+			"/icon-192.png",
+		);
+		assert.strictEqual(meta.favicons.length, 1);
+	});
+});
+
 describe("WebpageMeta direct property logic", () => {
 	it("should prefer SVG favicon even with query string", () => {
 		const meta = new WebpageMeta();
@@ -380,3 +764,1583 @@ describe("openGraphObject property", () => {
 		});
 	});
 });
+
+describe("twitterCard property", () => {
+	let extractor;
+
+	beforeEach(() => {
+		extractor = new WebpageMetaExtractor();
+	});
+
+	it("should return undefined if twitter:card is missing", () => {
+		const meta = new WebpageMeta();
+		meta.meta.set("twitter:title", ["Title"]);
+		assert.strictEqual(meta.twitterCard, undefined);
+	});
+
+	it("should model a summary card", () => {
+		const html = `
+			<html><head>
+				<meta name="twitter:card" content="summary_large_image" />
+				<meta name="twitter:site" content="@site" />
+				<meta name="twitter:site:id" content="1234" />
+				<meta name="twitter:creator" content="@creator" />
+				<meta name="twitter:creator:id" content="5678" />
+				<meta name="twitter:title" content="Card Title" />
+				<meta name="twitter:description" content="Card Desc" />
+				<meta name="twitter:image" content="/card.png" />
+				<meta name="twitter:image:alt" content="Card Alt" />
+			</head></html>
+		`;
+		const dom = new JSDOM(html);
+		const { twitterCard } = extractor.extract(dom.window.document, {
+			url: "https://example.com/post",
+		});
+		assert.ok(twitterCard instanceof WebpageTwitterCard);
+		assert.strictEqual(twitterCard.card, "summary_large_image");
+		assert.strictEqual(twitterCard.site, "@site");
+		assert.strictEqual(twitterCard.siteId, "1234");
+		assert.strictEqual(twitterCard.creator, "@creator");
+		assert.strictEqual(twitterCard.creatorId, "5678");
+		assert.strictEqual(twitterCard.title, "Card Title");
+		assert.strictEqual(twitterCard.description, "Card Desc");
+		assert.strictEqual(twitterCard.image, "https://example.com/card.png");
+		assert.strictEqual(twitterCard.imageAlt, "Card Alt");
+		assert.strictEqual(twitterCard.player, undefined);
+		assert.strictEqual(twitterCard.apps, undefined);
+	});
+
+	it("should fall back to twitter:image:src for the image", () => {
+		const meta = new WebpageMeta();
+		meta.meta.set("twitter:card", ["summary"]);
+		meta.meta.set("twitter:image:src", ["img.png"]);
+		assert.strictEqual(meta.twitterCard?.image, "img.png");
+	});
+
+	it("should model a player card", () => {
+		const meta = new WebpageMeta();
+		meta.meta.set("twitter:card", ["player"]);
+		meta.meta.set("twitter:player", ["https://example.com/embed"]);
+		meta.meta.set("twitter:player:width", ["480"]);
+		meta.meta.set("twitter:player:height", ["abc"]);
+		meta.meta.set("twitter:player:stream", ["https://example.com/v.mp4"]);
+		assert.deepStrictEqual(meta.twitterCard?.player, {
+			url: "https://example.com/embed",
+			width: 480,
+			height: undefined,
+			stream: "https://example.com/v.mp4",
+		});
+	});
+
+	it("should model an app card", () => {
+		const meta = new WebpageMeta();
+		meta.meta.set("twitter:card", ["app"]);
+		meta.meta.set("twitter:app:id:iphone", ["307234931"]);
+		meta.meta.set("twitter:app:url:iphone", ["example://app"]);
+		meta.meta.set("twitter:app:name:iphone", ["Example"]);
+		meta.meta.set("twitter:app:id:googleplay", ["com.example.app"]);
+		assert.deepStrictEqual(meta.twitterCard?.apps, {
+			iphone: {
+				id: "307234931",
+				url: "example://app",
+				name: "Example",
+			},
+			ipad: undefined,
+			googleplay: {
+				id: "com.example.app",
+				url: undefined,
+				name: undefined,
+			},
+		});
+	});
+});
+
+describe("findAlternate()", () => {
+	/**
+	 * Creates a WebpageMeta with a common set of alternates.
+	 * @returns {WebpageMeta}
+	 */
+	function createMeta() {
+		const meta = new WebpageMeta();
+		meta.alternates = [
+			new WebpageAlternate("/en-us/", "en-US"),
+			new WebpageAlternate("/en-gb/", "en-GB"),
+			new WebpageAlternate("/fr/", "fr"),
+			new WebpageAlternate("/zh-hant/", "zh-Hant"),
+			new WebpageAlternate("/", "x-default"),
+		];
+		return meta;
+	}
+
+	it("should find an exact match case-insensitively", () => {
+		const meta = createMeta();
+		assert.strictEqual(meta.findAlternate("en-gb")?.href, "/en-gb/");
+		assert.strictEqual(meta.findAlternate("EN_US")?.href, "/en-us/");
+	});
+
+	it("should fall back by removing subtags", () => {
+		const meta = createMeta();
+		assert.strictEqual(meta.findAlternate("fr-CA")?.href, "/fr/");
+		assert.strictEqual(meta.findAlternate("zh-Hant-TW")?.href, "/zh-hant/");
+	});
+
+	it("should fall back to the same primary language", () => {
+		const meta = createMeta();
+		assert.strictEqual(meta.findAlternate("en")?.href, "/en-us/");
+		assert.strictEqual(meta.findAlternate("en-AU")?.href, "/en-us/");
+	});
+
+	it("should try each locale in order before x-default", () => {
+		const meta = createMeta();
+		assert.strictEqual(meta.findAlternate(["de", "fr"])?.href, "/fr/");
+	});
+
+	it("should fall back to x-default", () => {
+		const meta = createMeta();
+		assert.strictEqual(meta.findAlternate(["de", "es"])?.href, "/");
+	});
+
+	it("should return undefined if nothing matches and there is no x-default", () => {
+		const meta = new WebpageMeta();
+		meta.alternates = [new WebpageAlternate("/fr/", "fr")];
+		assert.strictEqual(meta.findAlternate("de"), undefined);
+	});
+
+	it("should throw TypeError for invalid locales", () => {
+		const meta = createMeta();
+		assert.throws(
+			// @ts-expect-error
+			() => meta.findAlternate(42),
+			{
+				name: "TypeError",
+				message:
+					/Expected locales to be a string or an array of strings/u,
+			},
+		);
+	});
+});
+
+describe("robots property", () => {
+	let extractor;
+
+	beforeEach(() => {
+		extractor = new WebpageMetaExtractor();
+	});
+
+	it("should collect generic and bot-specific robots meta tags", () => {
+		const html = `
+			<html><head>
+				<meta name="ROBOTS" content="noarchive" />
+				<meta name="googlebot" content="noindex" />
+				<meta name="bingbot" content="nofollow" />
+				<meta name="description" content="noindex" />
+			</head></html>
+		`;
+		const dom = new JSDOM(html);
+		const { robots } = extractor.extract(dom.window.document);
+		assert.ok(robots instanceof WebpageRobots);
+		assert.deepStrictEqual(
+			[...robots.rules.keys()],
+			["robots", "googlebot", "bingbot"],
+		);
+		assert.strictEqual(robots.getDirectives().noarchive, true);
+		assert.strictEqual(robots.isIndexable(), true);
+		assert.strictEqual(robots.isIndexable("googlebot"), false);
+		assert.strictEqual(robots.canFollow("googlebot"), true);
+		assert.strictEqual(robots.canFollow("bingbot"), false);
+		assert.strictEqual(robots.getDirectives("bingbot").noarchive, true);
+	});
+
+	it("should find directives for bots that aren't well-known", () => {
+		const html = `
+			<html><head>
+				<meta name="robots" content="max-snippet:50" />
+				<meta name="CCBot" content="noindex" />
+				<meta name="ExampleBot" content="nofollow" />
+				<meta name="description" content="None" />
+				<meta name="generator" content="noindex" />
+				<meta property="og:title" content="noindex" />
+				<meta name="twitter:title" content="Nobody knows" />
+			</head></html>
+		`;
+		const dom = new JSDOM(html);
+		const { robots } = extractor.extract(dom.window.document);
+		assert.deepStrictEqual(
+			[...robots.rules.keys()],
+			["robots", "ccbot", "examplebot"],
+		);
+		assert.strictEqual(robots.isIndexable("description"), true);
+		assert.strictEqual(robots.isIndexable("generator"), true);
+		assert.strictEqual(robots.isIndexable("og:title"), true);
+		assert.strictEqual(robots.isIndexable("twitter:title"), true);
+		assert.strictEqual(robots.isIndexable("ccbot"), false);
+		assert.strictEqual(robots.isIndexable("CCBot"), false);
+		assert.strictEqual(robots.canFollow("examplebot"), false);
+		assert.strictEqual(robots.getDirectives("ccbot").maxSnippet, 50);
+		assert.strictEqual(robots.isIndexable("otherbot"), true);
+		assert.strictEqual(robots.isIndexable(), true);
+	});
+
+	it("should be indexable and followable without robots meta tags", () => {
+		const meta = new WebpageMeta();
+		assert.strictEqual(meta.robots.isIndexable(), true);
+		assert.strictEqual(meta.robots.canFollow(), true);
+	});
+});
+
+describe("authors property", () => {
+	let extractor;
+
+	beforeEach(() => {
+		extractor = new WebpageMetaExtractor();
+	});
+
+	it("should return an empty array when there are no authors", () => {
+		const meta = new WebpageMeta();
+		assert.deepStrictEqual(meta.authors, []);
+	});
+
+	it("should merge authors from all sources into a single entry", () => {
+		const html = `
+			<html><head>
+				<link rel="author" href="/about/jane" />
+				<meta name="author" content="Jane Doe" />
+				<meta property="article:author" content="https://example.com/about/jane" />
+				<meta name="twitter:creator" content="janedoe" />
+				<script type="application/ld+json">
+					{ "@type": "Article", "author": { "@type": "Person", "name": "Jane Doe" } }
+				</script>
+			</head></html>
+		`;
+		const dom = new JSDOM(html);
+		const meta = extractor.extract(dom.window.document, {
+			url: "https://example.com/posts/1",
+		});
+		assert.deepStrictEqual(meta.authorUrls, [
+			"https://example.com/about/jane",
+		]);
+		assert.deepStrictEqual(meta.authors, [
+			{
+				name: "Jane Doe",
+				url: "https://example.com/about/jane",
+				handle: "@janedoe",
+				source: "jsonld",
+			},
+		]);
+	});
+
+	it("should return multiple authors in priority order without duplicates", () => {
+		const html = `
+			<html><head>
+				<meta name="author" content="Bob Smith" />
+				<meta name="author" content="alice example" />
+				<script type="application/ld+json">
+					{
+						"@graph": [
+							{
+								"@type": "Article",
+								"author": [
+									"Alice Example",
+									{ "@type": "Person", "name": "Carol", "url": "https://carol.example" }
+								]
+							}
+						]
+					}
+				</script>
+			</head></html>
+		`;
+		const dom = new JSDOM(html);
+		const { authors } = extractor.extract(dom.window.document);
+		assert.deepStrictEqual(authors, [
+			{
+				name: "Alice Example",
+				url: undefined,
+				handle: undefined,
+				source: "jsonld",
+			},
+			{
+				name: "Carol",
+				url: "https://carol.example",
+				handle: undefined,
+				source: "jsonld",
+			},
+			{
+				name: "Bob Smith",
+				url: undefined,
+				handle: undefined,
+				source: "meta",
+			},
+		]);
+	});
+
+	it("should read microdata authors and article:author names", () => {
+		const html = `
+			<html><head>
+				<meta property="article:author" content="Dan Writer" />
+			</head><body>
+				<div itemscope itemtype="https://schema.org/BlogPosting">
+					<div itemprop="author" itemscope itemtype="https://schema.org/Person">
+						<span itemprop="name">Erin</span>
+						<a itemprop="url" href="https://erin.example/">Home</a>
+					</div>
+				</div>
+			</body></html>
+		`;
+		const dom = new JSDOM(html);
+		const { authors } = extractor.extract(dom.window.document);
+		assert.deepStrictEqual(authors, [
+			{
+				name: "Erin",
+				url: "https://erin.example/",
+				handle: undefined,
+				source: "microdata",
+			},
+			{
+				name: "Dan Writer",
+				url: undefined,
+				handle: undefined,
+				source: "article",
+			},
+		]);
+	});
+
+	it("should keep a handle-only author when no name is available", () => {
+		const html = `
+			<html><head>
+				<meta name="twitter:creator" content="@@someone" />
+			</head></html>
+		`;
+		const dom = new JSDOM(html);
+		const { authors } = extractor.extract(dom.window.document);
+		assert.deepStrictEqual(authors, [
+			{
+				name: undefined,
+				url: undefined,
+				handle: "@someone",
+				source: "twitter",
+			},
+		]);
+	});
+
+	it("should resolve JSON-LD author references to Person nodes", () => {
+		const html = `
+			<html><head>
+				<script type="application/ld+json">
+					{
+						"@context": "https://schema.org",
+						"@graph": [
+							{
+								"@type": "Article",
+								"@id": "https://ex.com/post/#article",
+								"author": { "@id": "https://ex.com/#/schema/person/abc" }
+							},
+							{
+								"@type": "Person",
+								"@id": "https://ex.com/#/schema/person/abc",
+								"name": "Jane Doe",
+								"url": "https://ex.com/author/jane/"
+							}
+						]
+					}
+				</script>
+			</head></html>
+		`;
+		const dom = new JSDOM(html);
+		const { authors } = extractor.extract(dom.window.document);
+		assert.deepStrictEqual(authors, [
+			{
+				name: "Jane Doe",
+				url: "https://ex.com/author/jane/",
+				handle: undefined,
+				source: "jsonld",
+			},
+		]);
+	});
+
+	it("should not use a fragment @id as an author URL", () => {
+		const html = `
+			<html><head>
+				<script type="application/ld+json">
+					{ "@type": "Article", "author": { "@id": "https://ex.com/#/schema/person/abc" } }
+				</script>
+			</head></html>
+		`;
+		const dom = new JSDOM(html);
+		const { authors } = extractor.extract(dom.window.document);
+		assert.deepStrictEqual(authors, []);
+	});
+
+	it("should keep a URL in <meta name=author> as the author URL", () => {
+		const html = `
+			<html><head>
+				<meta name="author" content="https://ex.com/jane" />
+			</head></html>
+		`;
+		const dom = new JSDOM(html);
+		const { authors } = extractor.extract(dom.window.document);
+		assert.deepStrictEqual(authors, [
+			{
+				name: undefined,
+				url: "https://ex.com/jane",
+				handle: undefined,
+				source: "meta",
+			},
+		]);
+	});
+});
+
+describe("publishedAt and modifiedAt properties", () => {
+	let extractor;
+
+	beforeEach(() => {
+		extractor = new WebpageMetaExtractor();
+	});
+
+	it("should return undefined when there are no dates", () => {
+		const meta = new WebpageMeta();
+		assert.strictEqual(meta.publishedAt, undefined);
+		assert.strictEqual(meta.modifiedAt, undefined);
+	});
+
+	it("should prefer JSON-LD dates over meta tags", () => {
+		const html = `
+			<html><head>
+				<meta property="article:published_time" content="2024-01-01T00:00:00Z" />
+				<meta property="article:modified_time" content="2024-01-02T00:00:00Z" />
+				<script type="application/ld+json">
+					{
+						"@graph": [
+							{
+								"@type": "Article",
+								"datePublished": "2024-01-05T10:30:00+02:00",
+								"dateModified": "2024-02-01"
+							}
+						]
+					}
+				</script>
+			</head></html>
+		`;
+		const dom = new JSDOM(html);
+		const meta = extractor.extract(dom.window.document);
+		assert.deepStrictEqual(meta.publishedAt, {
+			date: new Date("2024-01-05T08:30:00Z"),
+			raw: "2024-01-05T10:30:00+02:00",
+			source: "jsonld",
+			property: "datePublished",
+		});
+		assert.deepStrictEqual(meta.modifiedAt, {
+			date: new Date("2024-02-01T00:00:00Z"),
+			raw: "2024-02-01",
+			source: "jsonld",
+			property: "dateModified",
+		});
+	});
+
+	it("should read dates from nested JSON-LD nodes", () => {
+		const meta = new WebpageMeta();
+		meta.jsonld = [
+			{
+				"@context": "https://schema.org",
+				"@type": "WebPage",
+				mainEntity: {
+					"@type": "Article",
+					datePublished: "2024-01-05",
+					comment: {
+						"@type": "Comment",
+						datePublished: "2024-06-01",
+					},
+				},
+			},
+		];
+		meta.meta.set("article:modified_time", ["2024-02-31"]);
+		assert.deepStrictEqual(meta.publishedAt, {
+			date: new Date("2024-01-05T00:00:00Z"),
+			raw: "2024-01-05",
+			source: "jsonld",
+			property: "datePublished",
+		});
+		assert.strictEqual(meta.modifiedAt, undefined);
+	});
+
+	it("should read Open Graph article and updated_time tags", () => {
+		const html = `
+			<html><head>
+				<meta property="article:published_time" content="2024-01-05 10:30:00" />
+				<meta property="og:updated_time" content="2024-03-01T12:00:00+0000" />
+			</head></html>
+		`;
+		const dom = new JSDOM(html);
+		const meta = extractor.extract(dom.window.document);
+		assert.strictEqual(meta.publishedAt?.source, "article");
+		assert.strictEqual(
+			meta.publishedAt?.date.toISOString(),
+			"2024-01-05T10:30:00.000Z",
+		);
+		assert.deepStrictEqual(meta.modifiedAt, {
+			date: new Date("2024-03-01T12:00:00Z"),
+			raw: "2024-03-01T12:00:00+0000",
+			source: "opengraph",
+			property: "og:updated_time",
+		});
+	});
+
+	it("should fall back to microdata, Dublin Core, and time elements", () => {
+		const html = `
+			<html><head>
+				<meta name="DC.Date.Modified" content="2024-04-01" />
+				<meta name="DC.date" content="2023-12-31" />
+			</head><body>
+				<div itemscope itemtype="https://schema.org/BlogPosting">
+					<time itemprop="datePublished" datetime="2024-01-05">Jan 5</time>
+				</div>
+				<time datetime="2020-01-01">Old</time>
+			</body></html>
+		`;
+		const dom = new JSDOM(html);
+		const meta = extractor.extract(dom.window.document);
+		assert.deepStrictEqual(meta.dateTimes, ["2024-01-05"]);
+		assert.deepStrictEqual(meta.publishedAt, {
+			date: new Date("2024-01-05T00:00:00Z"),
+			raw: "2024-01-05",
+			source: "microdata",
+			property: "datePublished",
+		});
+		assert.deepStrictEqual(meta.modifiedAt, {
+			date: new Date("2024-04-01T00:00:00Z"),
+			raw: "2024-04-01",
+			source: "dublincore",
+			property: "DC.Date.Modified",
+		});
+
+		meta.microdata = [];
+		assert.strictEqual(meta.publishedAt?.source, "dublincore");
+		assert.strictEqual(meta.publishedAt?.property, "DC.date");
+
+		meta.dublinCore.delete("date");
+		assert.deepStrictEqual(meta.publishedAt, {
+			date: new Date("2024-01-05T00:00:00Z"),
+			raw: "2024-01-05",
+			source: "time",
+			property: "time",
+		});
+	});
+
+	it("should only use <time> elements that belong to the page content", () => {
+		const html = `
+			<html><body>
+				<aside><time datetime="2019-05-05">Popular post</time></aside>
+				<article>
+					<h1>Title</h1>
+					<p>Posted <time datetime="2024-02-10">Feb 10</time></p>
+				</article>
+				<section class="comments"><time datetime="2024-03-01">Reply</time></section>
+				<time pubdate datetime="2024-02-09">Feb 9</time>
+			</body></html>
+		`;
+		const dom = new JSDOM(html);
+		const meta = extractor.extract(dom.window.document);
+		assert.deepStrictEqual(meta.dateTimes, ["2024-02-10", "2024-02-09"]);
+		assert.strictEqual(meta.publishedAt?.raw, "2024-02-10");
+		assert.strictEqual(meta.publishedAt?.source, "time");
+	});
+
+	it("should not fall back to <time> elements outside the page content", () => {
+		const html = `
+			<html><body>
+				<div class="sidebar"><time datetime="2019-05-05">Popular post</time></div>
+			</body></html>
+		`;
+		const dom = new JSDOM(html);
+		const meta = extractor.extract(dom.window.document);
+		assert.deepStrictEqual(meta.dateTimes, []);
+		assert.strictEqual(meta.publishedAt, undefined);
+	});
+
+	it("should skip values that cannot be parsed", () => {
+		const html = `
+			<html><head>
+				<meta property="article:published_time" content="last Tuesday" />
+				<meta name="dcterms.created" content="2024-01-05" />
+			</head></html>
+		`;
+		const dom = new JSDOM(html);
+		const { publishedAt } = extractor.extract(dom.window.document);
+		assert.strictEqual(publishedAt?.source, "dublincore");
+		assert.strictEqual(publishedAt?.raw, "2024-01-05");
+	});
+});
+
+describe("language and locales properties", () => {
+	let extractor;
+
+	beforeEach(() => {
+		extractor = new WebpageMetaExtractor();
+	});
+
+	it("should return undefined and an empty array without language information", () => {
+		const meta = new WebpageMeta();
+		assert.strictEqual(meta.language, undefined);
+		assert.deepStrictEqual(meta.locales, []);
+	});
+
+	it("should prefer the html lang attribute", () => {
+		const html = `
+			<html lang="en-us"><head>
+				<meta property="og:locale" content="fr_FR" />
+				<meta http-equiv="Content-Language" content="de" />
+			</head></html>
+		`;
+		const dom = new JSDOM(html);
+		const meta = extractor.extract(dom.window.document);
+		assert.strictEqual(meta.htmlLang, "en-us");
+		assert.strictEqual(meta.contentLanguage, "de");
+		assert.deepStrictEqual(meta.language, {
+			tag: "en-US",
+			raw: "en-us",
+			source: "html",
+			property: "lang",
+		});
+	});
+
+	it("should read inLanguage from nested JSON-LD nodes", () => {
+		const html = `
+			<html><head>
+				<script type="application/ld+json">
+					{
+						"@context": "https://schema.org",
+						"@type": "WebPage",
+						"mainEntity": {
+							"@type": "Article",
+							"inLanguage": "pt-BR",
+							"translationOfWork": { "@type": "Article", "inLanguage": "en" }
+						}
+					}
+				</script>
+			</head></html>
+		`;
+		const dom = new JSDOM(html);
+		const meta = extractor.extract(dom.window.document);
+		assert.deepStrictEqual(meta.language, {
+			tag: "pt-BR",
+			raw: "pt-BR",
+			source: "jsonld",
+			property: "inLanguage",
+		});
+		assert.deepStrictEqual(
+			meta.locales.map(({ tag }) => tag),
+			["pt-BR", "en"],
+		);
+	});
+
+	it("should list all locales with provenance and without duplicates", () => {
+		const html = `
+			<html><head>
+				<meta property="og:locale" content="en_GB" />
+				<meta property="og:locale:alternate" content="fr_FR" />
+				<meta property="og:locale:alternate" content="en_gb" />
+				<meta property="og:locale:alternate" content="zh_hant_tw" />
+				<meta http-equiv="content-language" content="en-GB, de" />
+				<script type="application/ld+json">
+					{ "@type": "WebPage", "inLanguage": ["en-GB", "cy"] }
+				</script>
+			</head></html>
+		`;
+		const dom = new JSDOM(html);
+		const meta = extractor.extract(dom.window.document);
+		assert.deepStrictEqual(meta.language, {
+			tag: "en-GB",
+			raw: "en-GB",
+			source: "jsonld",
+			property: "inLanguage",
+		});
+		assert.deepStrictEqual(meta.locales, [
+			{
+				tag: "en-GB",
+				raw: "en-GB",
+				source: "jsonld",
+				property: "inLanguage",
+			},
+			{ tag: "cy", raw: "cy", source: "jsonld", property: "inLanguage" },
+			{
+				tag: "de",
+				raw: "de",
+				source: "http-equiv",
+				property: "content-language",
+			},
+			{
+				tag: "fr-FR",
+				raw: "fr_FR",
+				source: "opengraph",
+				property: "og:locale:alternate",
+			},
+			{
+				tag: "zh-Hant-TW",
+				raw: "zh_hant_tw",
+				source: "opengraph",
+				property: "og:locale:alternate",
+			},
+		]);
+	});
+
+	it("should ignore values that are not language tags", () => {
+		const html = `
+			<html lang="  "><head>
+				<meta property="og:locale" content="not a locale" />
+				<meta http-equiv="content-language" content="es-419" />
+			</head></html>
+		`;
+		const dom = new JSDOM(html);
+		const meta = extractor.extract(dom.window.document);
+		assert.strictEqual(meta.htmlLang, undefined);
+		assert.strictEqual(meta.language?.tag, "es-419");
+		assert.strictEqual(meta.language?.source, "http-equiv");
+	});
+
+	it("should not use an alternate locale as the primary language", () => {
+		const html = `
+			<html><head>
+				<meta property="og:locale:alternate" content="fr_FR" />
+			</head></html>
+		`;
+		const dom = new JSDOM(html);
+		const meta = extractor.extract(dom.window.document);
+		assert.strictEqual(meta.language, undefined);
+		assert.strictEqual(meta.locales.length, 1);
+	});
+});
+
+describe("theme color properties", () => {
+	let extractor;
+
+	beforeEach(() => {
+		extractor = new WebpageMetaExtractor();
+	});
+
+	it("should key theme colors by media condition", () => {
+		const html = `
+			<html><head>
+				<meta name="theme-color" content="#ffffff" />
+				<meta name="theme-color" media="(prefers-color-scheme:   dark)" content="#000000" />
+				<meta name="theme-color" media="(prefers-color-scheme: dark)" content="#111111" />
+				<meta name="color-scheme" content="dark light" />
+			</head></html>
+		`;
+		const dom = new JSDOM(html);
+		const meta = extractor.extract(dom.window.document);
+		assert.deepStrictEqual(
+			meta.themeColors,
+			new Map([
+				["all", "#ffffff"],
+				["(prefers-color-scheme: dark)", "#000000"],
+			]),
+		);
+		assert.deepStrictEqual(meta.colorScheme, {
+			schemes: ["dark", "light"],
+			only: false,
+		});
+		assert.strictEqual(meta.getThemeColor(), "#ffffff");
+		assert.strictEqual(meta.getThemeColor("light"), "#ffffff");
+		assert.strictEqual(meta.getThemeColor("dark"), "#000000");
+	});
+
+	it("should prefer a theme color whose media targets the scheme", () => {
+		const html = `
+			<html><head>
+				<meta name="theme-color" media="(prefers-color-scheme: light)" content="cyan" />
+				<meta name="theme-color" content="gray" />
+				<meta name="theme-color" media="(prefers-color-scheme: dark)" content="navy" />
+			</head></html>
+		`;
+		const dom = new JSDOM(html);
+		const meta = extractor.extract(dom.window.document);
+		assert.strictEqual(meta.getThemeColor("light"), "cyan");
+		assert.strictEqual(meta.getThemeColor("dark"), "navy");
+	});
+
+	it("should fall back to the tile color and then the mask icon color", () => {
+		const html = `
+			<html><head>
+				<meta name="theme-color" media="(prefers-color-scheme: dark)" content="#000" />
+				<meta name="msapplication-TileColor" content="#2b5797" />
+				<link rel="mask-icon" href="/safari.svg" color="#5bbad5" />
+			</head></html>
+		`;
+		const dom = new JSDOM(html);
+		const meta = extractor.extract(dom.window.document);
+		assert.strictEqual(meta.tileColor, "#2b5797");
+		assert.strictEqual(meta.getThemeColor("light"), "#2b5797");
+
+		meta.meta.delete("msapplication-TileColor");
+		assert.strictEqual(meta.tileColor, undefined);
+		assert.strictEqual(meta.getThemeColor("light"), "#5bbad5");
+		assert.strictEqual(meta.getThemeColor("dark"), "#000");
+	});
+
+	it("should parse the only keyword in color-scheme", () => {
+		const meta = new WebpageMeta();
+		meta.meta.set("color-scheme", ["only light"]);
+		assert.deepStrictEqual(meta.colorScheme, {
+			schemes: ["light"],
+			only: true,
+		});
+
+		meta.meta.set("color-scheme", ["normal"]);
+		assert.deepStrictEqual(meta.colorScheme, { schemes: [], only: false });
+	});
+
+	it("should return undefined without color metadata", () => {
+		const meta = new WebpageMeta();
+		assert.strictEqual(meta.colorScheme, undefined);
+		assert.strictEqual(meta.getThemeColor("dark"), undefined);
+	});
+
+	it("should throw TypeError for an invalid scheme", () => {
+		const meta = new WebpageMeta();
+		assert.throws(
+			() => {
+				// @ts-expect-error testing invalid input
+				meta.getThemeColor("blue");
+			},
+			{
+				name: "TypeError",
+				message: /Expected scheme to be "light" or "dark"/u,
+			},
+		);
+	});
+});
+
+describe("httpEquiv and refresh properties", () => {
+	let extractor;
+
+	beforeEach(() => {
+		extractor = new WebpageMetaExtractor();
+	});
+
+	it("should collect http-equiv directives keyed by lowercase name", () => {
+		const html = `
+			<html><head>
+				<meta http-equiv="Content-Type" content="text/html; charset=utf-8" />
+				<meta http-equiv="X-UA-Compatible" content="IE=edge" />
+				<meta http-equiv="Content-Security-Policy" content="default-src 'self'" />
+				<meta http-equiv="content-security-policy" content="img-src *" />
+			</head></html>
+		`;
+		const dom = new JSDOM(html);
+		const meta = extractor.extract(dom.window.document);
+		assert.deepStrictEqual(
+			meta.httpEquiv,
+			new Map([
+				["content-type", ["text/html; charset=utf-8"]],
+				["x-ua-compatible", ["IE=edge"]],
+				[
+					"content-security-policy",
+					["default-src 'self'", "img-src *"],
+				],
+			]),
+		);
+		assert.strictEqual(meta.meta.size, 0);
+		assert.strictEqual(meta.refresh, undefined);
+	});
+
+	it("should parse a refresh redirect and resolve its URL", () => {
+		const html = `
+			<html><head>
+				<meta http-equiv="refresh" content="5; URL='/next?page=2'" />
+			</head></html>
+		`;
+		const dom = new JSDOM(html);
+		const meta = extractor.extract(dom.window.document, {
+			url: "https://example.com/start",
+		});
+		assert.deepStrictEqual(meta.refresh, {
+			delay: 5,
+			url: "https://example.com/next?page=2",
+		});
+	});
+
+	it("should parse the variations of the refresh syntax", () => {
+		const meta = new WebpageMeta();
+		const refreshFor = content => {
+			meta.httpEquiv.set("refresh", [content]);
+			return meta.refresh;
+		};
+
+		assert.deepStrictEqual(refreshFor("30"), { delay: 30, url: undefined });
+		assert.deepStrictEqual(refreshFor("0;url=https://example.com/"), {
+			delay: 0,
+			url: "https://example.com/",
+		});
+		assert.deepStrictEqual(refreshFor("2, https://example.com/a"), {
+			delay: 2,
+			url: "https://example.com/a",
+		});
+		assert.deepStrictEqual(refreshFor('1.5 ; url = "/b" ignored'), {
+			delay: 1,
+			url: "/b",
+		});
+		assert.strictEqual(refreshFor("soon"), undefined);
+		assert.strictEqual(refreshFor("5url=/c"), undefined);
+	});
+
+	it("should read the content language from httpEquiv", () => {
+		const meta = new WebpageMeta();
+		meta.httpEquiv.set("content-language", ["fr"]);
+		assert.strictEqual(meta.contentLanguage, "fr");
+		assert.strictEqual(meta.language?.tag, "fr");
+	});
+});
+
+describe("findJsonLd() and getJsonLdById()", () => {
+	let extractor;
+
+	beforeEach(() => {
+		extractor = new WebpageMetaExtractor();
+	});
+
+	it("should find nodes by type with references resolved", () => {
+		const html = `
+			<html><head>
+				<script type="application/ld+json">
+					{
+						"@context": "https://schema.org",
+						"@graph": [
+							{
+								"@type": ["Article", "BlogPosting"],
+								"@id": "https://example.com/post#article",
+								"headline": "Hello",
+								"author": { "@id": "/#jane" }
+							},
+							{ "@type": "Person", "@id": "https://example.com/#jane", "name": "Jane" }
+						]
+					}
+				</script>
+			</head></html>
+		`;
+		const dom = new JSDOM(html);
+		const meta = extractor.extract(dom.window.document, {
+			url: "https://example.com/post",
+		});
+		const [article] = meta.findJsonLd("Article");
+		assert.strictEqual(article.headline, "Hello");
+		assert.strictEqual(article.author.name, "Jane");
+		assert.deepStrictEqual(
+			meta.findJsonLd("http://schema.org/BlogPosting"),
+			[article],
+		);
+		assert.deepStrictEqual(meta.findJsonLd("Recipe"), []);
+		assert.strictEqual(meta.getJsonLdById("/#jane")?.name, "Jane");
+		assert.strictEqual(meta.getJsonLdById("#nobody"), undefined);
+	});
+
+	it("should not modify the jsonld property", () => {
+		const meta = new WebpageMeta();
+		meta.jsonld = [
+			{ "@type": "Article", author: { "@id": "#a" } },
+			{ "@type": "Person", "@id": "#a", name: "A" },
+		];
+		assert.strictEqual(meta.findJsonLd("Article")[0].author.name, "A");
+		assert.deepStrictEqual(meta.jsonld[0].author, { "@id": "#a" });
+	});
+
+	it("should throw TypeError for invalid arguments", () => {
+		const meta = new WebpageMeta();
+		assert.throws(
+			() => {
+				// @ts-expect-error testing invalid input
+				meta.findJsonLd(42);
+			},
+			{
+				name: "TypeError",
+				message: /Expected type to be a non-empty string/u,
+			},
+		);
+		assert.throws(() => meta.getJsonLdById(" "), {
+			name: "TypeError",
+			message: /Expected id to be a non-empty string/u,
+		});
+	});
+});
+
+describe("entities and findEntities()", () => {
+	let extractor;
+
+	beforeEach(() => {
+		extractor = new WebpageMetaExtractor();
+	});
+
+	it("should merge JSON-LD, microdata, and RDFa entities with a source", () => {
+		const html = `
+			<html><head>
+				<script type="application/ld+json">
+					{
+						"@context": "https://schema.org",
+						"@graph": [
+							{ "@type": "WebSite", "@id": "#site", "name": "Example" },
+							{ "@type": "WebPage", "isPartOf": { "@id": "#site" } }
+						]
+					}
+				</script>
+			</head><body>
+				<article itemscope itemtype="https://schema.org/Article" itemid="#post">
+					<h1 itemprop="headline">Hello</h1>
+					<span itemprop="author" itemscope itemtype="https://schema.org/Person">
+						<span itemprop="name">Jane</span>
+					</span>
+				</article>
+				<div vocab="https://schema.org/" typeof="Event">
+					<span property="name">Launch</span>
+				</div>
+			</body></html>
+		`;
+		const dom = new JSDOM(html);
+		const meta = extractor.extract(dom.window.document);
+		assert.deepStrictEqual(meta.entities, [
+			{
+				source: "jsonld",
+				data: {
+					"@context": "https://schema.org/",
+					"@type": "WebSite",
+					"@id": "#site",
+					name: "Example",
+				},
+			},
+			{
+				source: "jsonld",
+				data: {
+					"@context": "https://schema.org/",
+					"@type": "WebPage",
+					isPartOf: {
+						"@type": "WebSite",
+						"@id": "#site",
+						name: "Example",
+					},
+				},
+			},
+			{
+				source: "microdata",
+				data: {
+					"@context": "https://schema.org",
+					"@type": "Article",
+					"@id": "#post",
+					headline: "Hello",
+					author: { "@type": "Person", name: "Jane" },
+				},
+			},
+			{
+				source: "rdfa",
+				data: {
+					"@context": "https://schema.org",
+					"@type": "Event",
+					name: "Launch",
+				},
+			},
+		]);
+	});
+
+	it("should find entities of a type from any source", () => {
+		const meta = new WebpageMeta();
+		meta.jsonld = [
+			{ "@context": "http://schema.org", "@type": "NewsArticle" },
+		];
+		meta.microdata = [
+			{ type: "http://schema.org/Article", headline: "From microdata" },
+		];
+		meta.rdfa = [
+			{ type: "http://schema.org/Article", headline: "From RDFa" },
+		];
+		assert.deepStrictEqual(
+			meta
+				.findEntities("Article")
+				.map(({ source, data }) => [source, data.headline]),
+			[
+				["microdata", "From microdata"],
+				["rdfa", "From RDFa"],
+			],
+		);
+		assert.strictEqual(
+			meta.findEntities("https://schema.org/NewsArticle")[0].source,
+			"jsonld",
+		);
+		assert.deepStrictEqual(meta.findEntities("Recipe"), []);
+	});
+
+	it("should return an empty array when there is no structured data", () => {
+		assert.deepStrictEqual(new WebpageMeta().entities, []);
+	});
+
+	it("should throw TypeError for an invalid type", () => {
+		const meta = new WebpageMeta();
+		assert.throws(() => meta.findEntities(""), {
+			name: "TypeError",
+			message: /Expected type to be a non-empty string/u,
+		});
+	});
+});
+
+describe("dublinCore property", () => {
+	let extractor;
+
+	beforeEach(() => {
+		extractor = new WebpageMetaExtractor();
+	});
+
+	it("should use Dublin Core as a fallback for title, description, authors, and dates", () => {
+		const html = `
+			<html><head>
+				<title>Report | Library</title>
+				<link rel="schema.DCTERMS" href="http://purl.org/dc/terms/" />
+				<meta name="DCTERMS.title" content="Annual Report" />
+				<meta name="DCTERMS.abstract" content="What happened this year." />
+				<meta name="DC.Creator" content="Jane Doe" />
+				<meta name="dcterms.issued" scheme="DCTERMS.W3CDTF" content="2024-01-05" />
+				<meta name="DCTERMS.modified" content="2024-03-01" />
+			</head></html>
+		`;
+		const dom = new JSDOM(html);
+		const meta = extractor.extract(dom.window.document);
+		assert.strictEqual(meta.title, "Annual Report");
+		assert.strictEqual(meta.description, "What happened this year.");
+		assert.deepStrictEqual(meta.authors, [
+			{
+				name: "Jane Doe",
+				url: undefined,
+				handle: undefined,
+				source: "dublincore",
+			},
+		]);
+		assert.deepStrictEqual(meta.publishedAt, {
+			date: new Date("2024-01-05T00:00:00Z"),
+			raw: "2024-01-05",
+			source: "dublincore",
+			property: "dcterms.issued",
+		});
+		assert.strictEqual(meta.modifiedAt?.property, "DCTERMS.modified");
+		assert.strictEqual(
+			meta.dublinCore.get("issued")?.[0].scheme,
+			"DCTERMS.W3CDTF",
+		);
+	});
+
+	it("should prefer other metadata over Dublin Core", () => {
+		const html = `
+			<html><head>
+				<meta property="og:title" content="OG Title" />
+				<meta name="description" content="Meta description" />
+				<meta name="author" content="Jane Doe" />
+				<meta name="DC.title" content="DC Title" />
+				<meta name="DC.description" content="DC description" />
+				<meta name="DC.creator" content="jane doe" />
+				<meta name="DC.creator" content="Richard Roe" />
+			</head></html>
+		`;
+		const dom = new JSDOM(html);
+		const meta = extractor.extract(dom.window.document);
+		assert.strictEqual(meta.title, "OG Title");
+		assert.strictEqual(meta.description, "Meta description");
+		assert.deepStrictEqual(
+			meta.authors.map(({ name, source }) => [name, source]),
+			[
+				["Jane Doe", "meta"],
+				["Richard Roe", "dublincore"],
+			],
+		);
+	});
+
+	it("should be an empty map by default", () => {
+		assert.deepStrictEqual(new WebpageMeta().dublinCore, new Map());
+	});
+});
+
+describe("citation property", () => {
+	let extractor;
+
+	beforeEach(() => {
+		extractor = new WebpageMetaExtractor();
+	});
+
+	it("should build a citation from citation tags in document order", () => {
+		const html = `
+			<html><head>
+				<meta name="citation_title" content="A Study" />
+				<meta name="citation_author" content="Doe, Jane" />
+				<meta name="citation_author_institution" content="University A" />
+				<meta name="citation_author" content="Roe, Richard" />
+				<meta name="citation_author_institution" content="University B" />
+				<meta name="citation_pdf_url" content="/study.pdf" />
+			</head></html>
+		`;
+		const dom = new JSDOM(html);
+		const meta = extractor.extract(dom.window.document, {
+			url: "https://journal.example/articles/study",
+		});
+		const { citation } = meta;
+		assert.ok(citation instanceof WebpageCitation);
+		assert.strictEqual(citation.title, "A Study");
+		assert.deepStrictEqual(
+			citation.authors.map(({ name, institutions }) => [
+				name,
+				institutions,
+			]),
+			[
+				["Doe, Jane", ["University A"]],
+				["Roe, Richard", ["University B"]],
+			],
+		);
+		assert.strictEqual(
+			citation.pdfUrl,
+			"https://journal.example/study.pdf",
+		);
+		assert.deepStrictEqual(meta.meta.get("citation_author"), [
+			"Doe, Jane",
+			"Roe, Richard",
+		]);
+	});
+
+	it("should be undefined when there are no citation tags", () => {
+		const dom = new JSDOM(`<meta name="description" content="Hi" />`);
+		assert.strictEqual(
+			extractor.extract(dom.window.document).citation,
+			undefined,
+		);
+	});
+});
+
+describe("apps property", () => {
+	let extractor;
+
+	beforeEach(() => {
+		extractor = new WebpageMetaExtractor();
+	});
+
+	it("should group App Links tags by platform", () => {
+		const html = `
+			<html><head>
+				<meta property="al:ios:url" content="example://post/1" />
+				<meta property="al:ios:app_store_id" content="12345" />
+				<meta property="al:ios:app_name" content="Example" />
+				<meta property="al:android:url" content="example://post/1" />
+				<meta property="al:android:package" content="com.example" />
+				<meta property="al:android:app_name" content="Example" />
+				<meta property="al:windows_universal:url" content="example://post/1" />
+				<meta property="al:windows_universal:app_id" content="Example.App" />
+				<meta property="al:web:url" content="/post/1" />
+				<meta property="al:web:should_fallback" content="false" />
+			</head></html>
+		`;
+		const dom = new JSDOM(html);
+		const meta = extractor.extract(dom.window.document, {
+			url: "https://example.com/",
+		});
+		assert.deepStrictEqual(meta.apps, {
+			ios: {
+				id: "12345",
+				url: "example://post/1",
+				name: "Example",
+				argument: undefined,
+			},
+			iphone: undefined,
+			ipad: undefined,
+			android: {
+				id: "com.example",
+				url: "example://post/1",
+				name: "Example",
+			},
+			windows_phone: undefined,
+			windows: undefined,
+			windows_universal: {
+				id: "Example.App",
+				url: "example://post/1",
+				name: undefined,
+			},
+			web: {
+				url: "https://example.com/post/1",
+				shouldFallback: false,
+			},
+		});
+	});
+
+	it("should use app banner tags and app alternate links", () => {
+		const html = `
+			<html><head>
+				<meta name="apple-itunes-app" content="app-id=12345, app-argument=https://example.com/post?a=1,2" />
+				<meta name="google-play-app" content="app-id=com.example" />
+				<link rel="alternate" href="android-app://com.example/https/example.com/post" />
+				<link rel="alternate" href="ios-app://67890/example/post" />
+			</head></html>
+		`;
+		const dom = new JSDOM(html);
+		const meta = extractor.extract(dom.window.document);
+		assert.deepStrictEqual(meta.appAlternates, [
+			"android-app://com.example/https/example.com/post",
+			"ios-app://67890/example/post",
+		]);
+		assert.deepStrictEqual(meta.apps?.ios, {
+			id: "12345",
+			url: "example://post",
+			name: undefined,
+			argument: "https://example.com/post?a=1,2",
+		});
+		assert.deepStrictEqual(meta.apps?.android, {
+			id: "com.example",
+			url: "https://example.com/post",
+			name: undefined,
+		});
+		assert.strictEqual(meta.apps?.web, undefined);
+		assert.deepStrictEqual(meta.alternates, []);
+	});
+
+	it("should fall back to Twitter/X app card tags", () => {
+		const html = `
+			<html><head>
+				<meta name="twitter:app:id:iphone" content="111" />
+				<meta name="twitter:app:url:iphone" content="example://iphone" />
+				<meta name="twitter:app:id:googleplay" content="com.example" />
+				<meta property="al:android:url" content="example://android" />
+			</head></html>
+		`;
+		const dom = new JSDOM(html);
+		const { apps } = extractor.extract(dom.window.document);
+		assert.strictEqual(apps?.ios, undefined);
+		assert.deepStrictEqual(apps?.iphone, {
+			id: "111",
+			url: "example://iphone",
+			name: undefined,
+		});
+		assert.deepStrictEqual(apps?.android, {
+			id: "com.example",
+			url: "example://android",
+			name: undefined,
+		});
+	});
+
+	it("should default shouldFallback to true", () => {
+		const meta = new WebpageMeta();
+		meta.meta.set("al:web:url", ["https://example.com/web"]);
+		assert.deepStrictEqual(meta.apps?.web, {
+			url: "https://example.com/web",
+			shouldFallback: true,
+		});
+	});
+
+	it("should be undefined when there is no app metadata", () => {
+		assert.strictEqual(new WebpageMeta().apps, undefined);
+	});
+});
+
+describe("product property", () => {
+	let extractor;
+
+	beforeEach(() => {
+		extractor = new WebpageMetaExtractor();
+	});
+
+	it("should normalize a JSON-LD Product with an Offer", () => {
+		const html = `
+			<html><head>
+				<script type="application/ld+json">
+					{
+						"@context": "https://schema.org",
+						"@type": "Product",
+						"name": "Widget",
+						"brand": { "@type": "Brand", "name": "Acme" },
+						"sku": "W-1",
+						"gtin13": "0012345678905",
+						"offers": {
+							"@type": "Offer",
+							"price": "1,299.00",
+							"priceCurrency": "usd",
+							"availability": "http://schema.org/InStock",
+							"itemCondition": "https://schema.org/NewCondition"
+						},
+						"aggregateRating": {
+							"@type": "AggregateRating",
+							"ratingValue": "4.5",
+							"reviewCount": 89
+						}
+					}
+				</script>
+			</head></html>
+		`;
+		const dom = new JSDOM(html);
+		const meta = extractor.extract(dom.window.document);
+		assert.deepStrictEqual(meta.product, {
+			name: "Widget",
+			brand: "Acme",
+			sku: "W-1",
+			gtin: "0012345678905",
+			price: 1299,
+			lowPrice: undefined,
+			highPrice: undefined,
+			currency: "USD",
+			availability: "InStock",
+			condition: "NewCondition",
+			rating: 4.5,
+			ratingCount: 89,
+			sources: {
+				name: "jsonld",
+				brand: "jsonld",
+				sku: "jsonld",
+				gtin: "jsonld",
+				price: "jsonld",
+				currency: "jsonld",
+				availability: "jsonld",
+				condition: "jsonld",
+				rating: "jsonld",
+				ratingCount: "jsonld",
+			},
+		});
+	});
+
+	it("should fill missing fields from Open Graph product tags", () => {
+		const html = `
+			<html><head>
+				<meta property="og:type" content="product" />
+				<meta property="og:title" content="Widget" />
+				<meta property="og:price:amount" content="10" />
+				<meta property="product:price:amount" content="19,99" />
+				<meta property="product:price:currency" content="EUR" />
+				<meta property="product:availability" content="out of stock" />
+				<meta property="product:condition" content="refurbished" />
+				<meta property="product:brand" content="Acme" />
+				<meta property="product:retailer_item_id" content="W-1" />
+			</head><body>
+				<div itemscope itemtype="https://schema.org/Product">
+					<span itemprop="name">Microdata Widget</span>
+					<div itemprop="offers" itemscope itemtype="https://schema.org/AggregateOffer">
+						<meta itemprop="lowPrice" content="15.00" />
+						<meta itemprop="highPrice" content="25.00" />
+					</div>
+				</div>
+			</body></html>
+		`;
+		const dom = new JSDOM(html);
+		const { product } = extractor.extract(dom.window.document);
+		assert.strictEqual(product?.name, "Microdata Widget");
+		assert.strictEqual(product?.price, 15);
+		assert.strictEqual(product?.lowPrice, 15);
+		assert.strictEqual(product?.highPrice, 25);
+		assert.strictEqual(product?.currency, "EUR");
+		assert.strictEqual(product?.availability, "OutOfStock");
+		assert.strictEqual(product?.condition, "RefurbishedCondition");
+		assert.strictEqual(product?.brand, "Acme");
+		assert.strictEqual(product?.sku, "W-1");
+		assert.deepStrictEqual(product?.sources, {
+			name: "microdata",
+			brand: "product",
+			sku: "product",
+			price: "microdata",
+			lowPrice: "microdata",
+			highPrice: "microdata",
+			currency: "product",
+			availability: "product",
+			condition: "product",
+		});
+	});
+
+	it("should use Open Graph tags alone", () => {
+		const meta = new WebpageMeta();
+		meta.meta.set("og:type", ["product.item"]);
+		meta.meta.set("og:title", ["Widget"]);
+		meta.meta.set("og:price:amount", ["1.299,50 €"]);
+		meta.meta.set("og:price:currency", ["eur"]);
+		const { product } = meta;
+		assert.strictEqual(product?.name, "Widget");
+		assert.strictEqual(product?.price, 1299.5);
+		assert.strictEqual(product?.currency, "EUR");
+		assert.deepStrictEqual(product?.sources, {
+			name: "opengraph",
+			price: "opengraph",
+			currency: "opengraph",
+		});
+	});
+
+	it("should use standalone offers and their itemOffered product", () => {
+		const meta = new WebpageMeta();
+		meta.jsonld = [
+			{
+				"@context": "https://schema.org",
+				"@type": "Offer",
+				price: 5,
+				priceSpecification: { priceCurrency: "GBP" },
+				availability: "PreOrder",
+				itemOffered: { "@type": "Product", name: "Gadget" },
+			},
+		];
+		const { product } = meta;
+		assert.strictEqual(product?.name, "Gadget");
+		assert.strictEqual(product?.price, 5);
+		assert.strictEqual(product?.currency, "GBP");
+		assert.strictEqual(product?.availability, "PreOrder");
+	});
+
+	it("should take every structured field from one product", () => {
+		const meta = new WebpageMeta();
+		meta.jsonld = [
+			{
+				"@context": "https://schema.org",
+				"@graph": [
+					{
+						"@type": "Product",
+						name: "A",
+						offers: { "@type": "Offer", price: 10 },
+						isRelatedTo: {
+							"@type": "Product",
+							name: "Related",
+							sku: "SKU-R",
+						},
+					},
+					{
+						"@type": "Product",
+						name: "B",
+						sku: "SKU-B",
+						offers: {
+							"@type": "Offer",
+							price: 2000,
+							priceCurrency: "JPY",
+						},
+					},
+				],
+			},
+		];
+		const { product } = meta;
+		assert.strictEqual(product?.name, "A");
+		assert.strictEqual(product.sku, undefined);
+		assert.strictEqual(product.price, 10);
+		assert.strictEqual(product.currency, undefined);
+		assert.deepStrictEqual(product.sources, {
+			name: "jsonld",
+			price: "jsonld",
+		});
+	});
+
+	it("should prefer a JSON-LD product over microdata without mixing them", () => {
+		const html = `
+			<html><head>
+				<script type="application/ld+json">
+					{ "@context": "https://schema.org", "@type": "Product", "name": "JSON-LD" }
+				</script>
+			</head><body>
+				<div itemscope itemtype="https://schema.org/Product">
+					<span itemprop="name">Microdata</span>
+					<span itemprop="sku">M-1</span>
+				</div>
+			</body></html>
+		`;
+		const dom = new JSDOM(html);
+		const { product } = extractor.extract(dom.window.document);
+		assert.strictEqual(product?.name, "JSON-LD");
+		assert.strictEqual(product.sku, undefined);
+	});
+
+	it("should skip prices that are not numbers and keep unknown terms", () => {
+		const meta = new WebpageMeta();
+		meta.meta.set("product:price:amount", ["call for price"]);
+		meta.meta.set("product:availability", ["pending"]);
+		assert.strictEqual(meta.product?.price, undefined);
+		assert.strictEqual(meta.product?.availability, "pending");
+	});
+
+	it("should be undefined when there is no product metadata", () => {
+		assert.strictEqual(new WebpageMeta().product, undefined);
+	});
+});
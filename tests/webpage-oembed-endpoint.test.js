@@ -0,0 +1,45 @@
+/**
+ * @fileoverview Tests for WebpageOEmbedEndpoint class.
+ * @author Nicholas C. Zakas
+ */
+
+//-----------------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------------
+
+import assert from "assert";
+import { WebpageOEmbedEndpoint } from "../src/webpage-oembed-endpoint.js";
+
+//-----------------------------------------------------------------------------
+// Tests
+//-----------------------------------------------------------------------------
+
+describe("WebpageOEmbedEndpoint", () => {
+	it("should create an endpoint with correct properties", () => {
+		const endpoint = new WebpageOEmbedEndpoint(
+			"https://example.com/oembed?format=xml",
+			{ format: "xml", title: "Example" },
+		);
+		assert.strictEqual(
+			endpoint.href,
+			"https://example.com/oembed?format=xml",
+		);
+		assert.strictEqual(endpoint.format, "xml");
+		assert.strictEqual(endpoint.title, "Example");
+	});
+
+	it("should default the format to json", () => {
+		const endpoint = new WebpageOEmbedEndpoint(
+			"https://example.com/oembed",
+		);
+		assert.strictEqual(endpoint.format, "json");
+		assert.strictEqual(endpoint.title, undefined);
+	});
+
+	it("should throw TypeError if href is missing", () => {
+		assert.throws(() => {
+			// @ts-expect-error
+			new WebpageOEmbedEndpoint();
+		}, TypeError);
+	});
+});
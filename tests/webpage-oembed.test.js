@@ -0,0 +1,158 @@
+/**
+ * @fileoverview Tests for WebpageOEmbed class.
+ * @author Nicholas C. Zakas
+ */
+
+//-----------------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------------
+
+import assert from "assert";
+import { WebpageOEmbed } from "../src/webpage-oembed.js";
+
+//-----------------------------------------------------------------------------
+// Tests
+//-----------------------------------------------------------------------------
+
+describe("WebpageOEmbed", () => {
+	it("should create a response with only a type (no options)", () => {
+		const oembed = new WebpageOEmbed("link");
+		assert.strictEqual(oembed.type, "link");
+		assert.strictEqual(oembed.html, undefined);
+		assert.strictEqual(oembed.thumbnail, undefined);
+		assert.strictEqual(oembed.author, undefined);
+		assert.strictEqual(oembed.provider, undefined);
+	});
+
+	it("should throw TypeError if type is missing", () => {
+		assert.throws(() => {
+			// @ts-expect-error
+			new WebpageOEmbed();
+		}, TypeError);
+	});
+
+	describe("parse()", () => {
+		it("should parse a JSON video response", () => {
+			const oembed = WebpageOEmbed.parse(
+				JSON.stringify({
+					type: "video",
+					version: "1.0",
+					title: "The Arbiter",
+					html: '<iframe src="https://player.example.com/1"></iframe>',
+					width: 640,
+					height: "360",
+					thumbnail_url: "https://example.com/thumb.jpg",
+					thumbnail_width: 295,
+					thumbnail_height: 166,
+					author_name: "Jane",
+					author_url: "https://example.com/jane",
+					provider_name: "Example",
+					provider_url: "https://example.com/",
+					cache_age: 3600,
+				}),
+			);
+			assert.ok(oembed instanceof WebpageOEmbed);
+			assert.strictEqual(oembed.type, "video");
+			assert.strictEqual(oembed.version, "1.0");
+			assert.strictEqual(oembed.title, "The Arbiter");
+			assert.strictEqual(
+				oembed.html,
+				'<iframe src="https://player.example.com/1"></iframe>',
+			);
+			assert.strictEqual(oembed.width, 640);
+			assert.strictEqual(oembed.height, 360);
+			assert.deepStrictEqual(oembed.thumbnail, {
+				url: "https://example.com/thumb.jpg",
+				width: 295,
+				height: 166,
+			});
+			assert.deepStrictEqual(oembed.author, {
+				name: "Jane",
+				url: "https://example.com/jane",
+			});
+			assert.deepStrictEqual(oembed.provider, {
+				name: "Example",
+				url: "https://example.com/",
+			});
+			assert.strictEqual(oembed.cacheAge, 3600);
+		});
+
+		it("should treat null dimensions as undefined", () => {
+			const oembed = WebpageOEmbed.parse(
+				JSON.stringify({ type: "rich", width: 600, height: null }),
+			);
+			assert.strictEqual(oembed.width, 600);
+			assert.strictEqual(oembed.height, undefined);
+		});
+
+		it("should parse an XML photo response", () => {
+			const oembed =
+				WebpageOEmbed.parse(`<?xml version="1.0" encoding="utf-8" standalone="yes"?>
+<oembed>
+	<version>1.0</version>
+	<type>photo</type>
+	<title>Bees &amp; Flowers</title>
+	<url>https://example.com/photo.jpg</url>
+	<width>240</width>
+	<height>160</height>
+	<html><![CDATA[<img src="https://example.com/photo.jpg">]]></html>
+	<provider_name>Example</provider_name>
+</oembed>`);
+			assert.strictEqual(oembed.type, "photo");
+			assert.strictEqual(oembed.version, "1.0");
+			assert.strictEqual(oembed.title, "Bees & Flowers");
+			assert.strictEqual(oembed.url, "https://example.com/photo.jpg");
+			assert.strictEqual(oembed.width, 240);
+			assert.strictEqual(oembed.height, 160);
+			assert.strictEqual(
+				oembed.html,
+				'<img src="https://example.com/photo.jpg">',
+			);
+			assert.deepStrictEqual(oembed.provider, {
+				name: "Example",
+				url: undefined,
+			});
+			assert.strictEqual(oembed.author, undefined);
+		});
+
+		it("should decode escaped HTML in an XML response", () => {
+			const oembed = WebpageOEmbed.parse(
+				"<oembed><type>rich</type><html>&lt;div&gt;Hi&lt;/div&gt;</html></oembed>",
+				"xml",
+			);
+			assert.strictEqual(oembed.html, "<div>Hi</div>");
+		});
+
+		it("should throw TypeError if text is not a string", () => {
+			assert.throws(
+				// @ts-expect-error
+				() => WebpageOEmbed.parse(null),
+				{
+					name: "TypeError",
+					message: /Expected oEmbed text to be a string/u,
+				},
+			);
+		});
+
+		it("should throw an error for invalid JSON", () => {
+			assert.throws(() => WebpageOEmbed.parse("{bad json}", "json"), {
+				name: "Error",
+				message: /Invalid oEmbed JSON/u,
+			});
+		});
+
+		it("should throw an error for XML without an oembed element", () => {
+			assert.throws(() => WebpageOEmbed.parse("<html></html>"), {
+				name: "Error",
+				message: /Invalid oEmbed XML/u,
+			});
+		});
+
+		it("should throw an error if the response has no type", () => {
+			assert.throws(() => WebpageOEmbed.parse('{"title": "No type"}'), {
+				name: "Error",
+				message: /Expected oEmbed response to have a type/u,
+			});
+		});
+	});
+});
@@ -0,0 +1,152 @@
+/**
+ * @fileoverview Tests for WebpageRobots class.
+ * @author Nicholas C. Zakas
+ */
+
+//-----------------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------------
+
+import assert from "assert";
+import { WebpageRobots, isRobotsContent } from "../src/webpage-robots.js";
+
+//-----------------------------------------------------------------------------
+// Tests
+//-----------------------------------------------------------------------------
+
+describe("WebpageRobots", () => {
+	it("should allow everything when there are no rules", () => {
+		const robots = new WebpageRobots();
+		assert.strictEqual(robots.rules.size, 0);
+		assert.strictEqual(robots.isIndexable(), true);
+		assert.strictEqual(robots.canFollow("googlebot"), true);
+		assert.deepStrictEqual(robots.getDirectives(), {
+			noindex: false,
+			nofollow: false,
+			noarchive: false,
+			nosnippet: false,
+			noimageindex: false,
+			notranslate: false,
+			indexifembedded: false,
+			maxSnippet: undefined,
+			maxImagePreview: undefined,
+			maxVideoPreview: undefined,
+			unavailableAfter: undefined,
+		});
+	});
+
+	it("should parse comma-separated directives case-insensitively", () => {
+		const robots = new WebpageRobots(
+			new Map([
+				[
+					"robots",
+					[
+						"NOINDEX, nofollow,noarchive, nosnippet, max-snippet:50, max-image-preview:LARGE, max-video-preview:-1",
+					],
+				],
+			]),
+		);
+		const directives = robots.getDirectives();
+		assert.strictEqual(directives.noindex, true);
+		assert.strictEqual(directives.nofollow, true);
+		assert.strictEqual(directives.noarchive, true);
+		assert.strictEqual(directives.nosnippet, true);
+		assert.strictEqual(directives.maxSnippet, 50);
+		assert.strictEqual(directives.maxImagePreview, "large");
+		assert.strictEqual(directives.maxVideoPreview, -1);
+	});
+
+	it("should treat none as noindex and nofollow", () => {
+		const robots = new WebpageRobots(new Map([["robots", ["none"]]]));
+		assert.strictEqual(robots.isIndexable(), false);
+		assert.strictEqual(robots.canFollow(), false);
+	});
+
+	it("should parse unavailable_after dates, including dates with commas", () => {
+		const iso = new WebpageRobots(
+			new Map([["robots", ["unavailable_after: 2030-01-01T00:00:00Z"]]]),
+		);
+		assert.strictEqual(
+			iso.getDirectives().unavailableAfter?.toISOString(),
+			"2030-01-01T00:00:00.000Z",
+		);
+
+		const rfc850 = new WebpageRobots(
+			new Map([
+				[
+					"robots",
+					[
+						"noarchive, unavailable_after: Tuesday, 01 Jan 2030 00:00:00 GMT",
+					],
+				],
+			]),
+		);
+		assert.strictEqual(rfc850.getDirectives().noarchive, true);
+		assert.strictEqual(
+			rfc850.getDirectives().unavailableAfter?.toISOString(),
+			"2030-01-01T00:00:00.000Z",
+		);
+	});
+
+	it("should not be indexable after the unavailable_after date", () => {
+		const robots = new WebpageRobots(
+			new Map([["robots", ["unavailable_after: 2030-01-01"]]]),
+		);
+		assert.strictEqual(
+			robots.isIndexable(undefined, new Date("2029-12-31")),
+			true,
+		);
+		assert.strictEqual(
+			robots.isIndexable(undefined, new Date("2030-01-02")),
+			false,
+		);
+	});
+
+	it("should merge generic and bot-specific directives", () => {
+		const robots = new WebpageRobots(
+			new Map([
+				["robots", ["nofollow, max-snippet:100"]],
+				["Googlebot", ["noindex, max-snippet:20"]],
+				["bingbot", ["max-snippet:-1"]],
+			]),
+		);
+		assert.strictEqual(robots.isIndexable(), true);
+		assert.strictEqual(robots.isIndexable("googlebot"), false);
+		assert.strictEqual(robots.isIndexable("GOOGLEBOT"), false);
+		assert.strictEqual(robots.isIndexable("bingbot"), true);
+		assert.strictEqual(robots.canFollow("bingbot"), false);
+		assert.strictEqual(robots.getDirectives("googlebot").maxSnippet, 20);
+		assert.strictEqual(robots.getDirectives("bingbot").maxSnippet, 100);
+	});
+
+	it("should use the most restrictive image preview", () => {
+		const robots = new WebpageRobots(
+			new Map([
+				["robots", ["max-image-preview:large"]],
+				["googlebot", ["max-image-preview:standard"]],
+			]),
+		);
+		assert.strictEqual(robots.getDirectives().maxImagePreview, "large");
+		assert.strictEqual(
+			robots.getDirectives("googlebot").maxImagePreview,
+			"standard",
+		);
+	});
+});
+
+describe("isRobotsContent()", () => {
+	it("should detect content with at least one known directive", () => {
+		assert.strictEqual(isRobotsContent("noindex"), true);
+		assert.strictEqual(isRobotsContent("NoFollow, noai"), true);
+		assert.strictEqual(isRobotsContent("max-snippet:50"), true);
+		assert.strictEqual(
+			isRobotsContent(
+				"unavailable_after: Friday, 01-Jan-2021 00:00:00 GMT",
+			),
+			true,
+		);
+		assert.strictEqual(isRobotsContent("A page about indexing"), false);
+		assert.strictEqual(isRobotsContent("noai, noimageai"), false);
+		assert.strictEqual(isRobotsContent(""), false);
+	});
+});
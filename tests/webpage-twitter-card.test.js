@@ -0,0 +1,56 @@
+/**
+ * @fileoverview Tests for WebpageTwitterCard class.
+ * @author Nicholas C. Zakas
+ */
+
+//-----------------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------------
+
+import assert from "assert";
+import { WebpageTwitterCard } from "../src/webpage-twitter-card.js";
+
+//-----------------------------------------------------------------------------
+// Tests
+//-----------------------------------------------------------------------------
+
+describe("WebpageTwitterCard", () => {
+	it("should create a card with correct properties", () => {
+		const card = new WebpageTwitterCard("summary", {
+			site: "@site",
+			siteId: "123",
+			creator: "@creator",
+			creatorId: "456",
+			title: "Title",
+			description: "Description",
+			image: "https://example.com/img.png",
+			imageAlt: "Alt",
+		});
+		assert.strictEqual(card.card, "summary");
+		assert.strictEqual(card.site, "@site");
+		assert.strictEqual(card.siteId, "123");
+		assert.strictEqual(card.creator, "@creator");
+		assert.strictEqual(card.creatorId, "456");
+		assert.strictEqual(card.title, "Title");
+		assert.strictEqual(card.description, "Description");
+		assert.strictEqual(card.image, "https://example.com/img.png");
+		assert.strictEqual(card.imageAlt, "Alt");
+		assert.strictEqual(card.player, undefined);
+		assert.strictEqual(card.apps, undefined);
+	});
+
+	it("should create a card with only a card type (no options)", () => {
+		const card = new WebpageTwitterCard("summary_large_image");
+		assert.strictEqual(card.card, "summary_large_image");
+		assert.strictEqual(card.site, undefined);
+		assert.strictEqual(card.title, undefined);
+		assert.strictEqual(card.image, undefined);
+	});
+
+	it("should throw TypeError if card is missing", () => {
+		assert.throws(() => {
+			// @ts-expect-error
+			new WebpageTwitterCard();
+		}, TypeError);
+	});
+});